@@ -3,7 +3,8 @@
 
   const state = {
     range: "daily",
-    analysisPeriod: 30,
+    customRange: { from: "", to: "" },
+    analysisPeriod: null,
     sort: { key: "elo", direction: "desc" },
     selectedPlayers: new Set(),
     comparisonChart: null,
@@ -11,7 +12,7 @@
     historyCachePromise: null,
     comparisonRenderId: 0,
     playerDetailCache: new Map(),
-    deepDive: { playerId: null, tab: "overview", matchPage: 1, teammatePage: 1, map: "all", result: "all", query: "", mapSort: "matches", mapSortDirection: "desc", chart: null, trigger: null, filterTimer: null }
+    deepDive: { playerId: null, tab: "overview", matchPage: 1, teammatePage: 1, opponentBucket: "all", map: "all", result: "all", query: "", mapSort: "matches", mapSortDirection: "desc", chart: null, trigger: null, filterTimer: null }
   };
 
   const colors = ["#ff5500", "#ff955c", "#e1ad63", "#7f95a8", "#9b88a8"];
@@ -36,6 +37,10 @@
 
   const text = value => String(value ?? "").trim();
 
+  // "100% (34–100)": a winrate with its 95% confidence bounds, bare without them.
+  const winrateLabel = (winrate, stats) => number(stats?.winrateMargin) ? `${number(winrate)}% (${number(stats.winrateLower)}–${number(stats.winrateUpper)})` : `${number(winrate)}%`;
+  const winrateRange = stats => number(stats?.winrateMargin) ? `95%-Intervall ${number(stats.winrateLower)}–${number(stats.winrateUpper)} %` : "";
+
   const iconMarkup = (name, className = "ui-icon") => {
     const paths = {
       target: '<circle cx="12" cy="12" r="8"/><circle cx="12" cy="12" r="4"/><path d="M12 2v3m0 14v3M2 12h3m14 0h3"/>',
@@ -65,7 +70,7 @@
       { match: "ELO TREND", label: "ELO-Trend · letzte 30 Matches", icon: "trend", className: "detail-trend" },
       { match: "ELO-TREND", label: "ELO-Trend · letzte 30 Matches", icon: "trend", className: "detail-trend" },
       { match: "MOST PLAYED WITH", label: "Most played with", icon: "users", className: "detail-mates" },
-      { match: "MOST WINS WITH", label: "Most wins with", icon: "trophy", className: "detail-wins" },
+      { match: "BEST WINRATE WITH", label: "Best winrate with", icon: "trophy", className: "detail-wins" },
       { match: "MOST LOSSES WITH", label: "Most losses with", icon: "skull", className: "detail-losses" }
     ];
     document.querySelectorAll(".details-row .font-bold").forEach(element => {
@@ -78,6 +83,23 @@
     });
   };
 
+  const eloTimelines = () => window.ELO_TIMELINES || { players: {} };
+  // Timezone, week start and day reset hour from dashboard.config.json.
+  const calendar = () => ({ timezone: "Europe/Berlin", weekStart: 1, resetHour: 0, ...eloTimelines().calendar });
+  const shiftDay = (day, days) => {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  };
+  const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+  // Calendar day a Unix timestamp counts towards; before the reset hour it is still the previous day.
+  const dayOf = seconds => {
+    const { timezone, resetHour } = calendar();
+    return new Intl.DateTimeFormat("en-CA", { timeZone: timezone, year: "numeric", month: "2-digit", day: "2-digit" })
+      .format(new Date((seconds - resetHour * 3600) * 1000));
+  };
+  const today = () => dayOf(Date.now() / 1000);
+
   const relativeTime = timestamp => {
     const seconds = Number(timestamp);
     if (!seconds) return "Keine Aktivität";
@@ -85,24 +107,59 @@
     const formatter = new Intl.RelativeTimeFormat("de", { numeric: "auto" });
     if (diff < 60) return "gerade eben";
     if (diff < 3600) return formatter.format(-Math.floor(diff / 60), "minute");
-    if (diff < 86400) return formatter.format(-Math.floor(diff / 3600), "hour");
-    if (diff < 604800) return formatter.format(-Math.floor(diff / 86400), "day");
-    if (diff < 2592000) return formatter.format(-Math.floor(diff / 604800), "week");
+    // "gestern" and "vor 3 Tagen" count calendar days, so they flip at the configured reset hour.
+    const days = daysBetween(dayOf(seconds), today());
+    if (days === 0) return formatter.format(-Math.floor(diff / 3600), "hour");
+    if (days < 7) return formatter.format(-days, "day");
+    if (diff < 2592000) return formatter.format(-Math.max(1, Math.floor(diff / 604800)), "week");
     if (diff < 31536000) return formatter.format(-Math.floor(diff / 2592000), "month");
     return formatter.format(-Math.floor(diff / 31536000), "year");
   };
 
-  const getSnapshot = row => {
-    const records = window.ELO_DATA?.[state.range];
-    if (!Array.isArray(records)) return null;
-    return records.find(item => item.playerId === row.dataset.playerId) || null;
+  // Inclusive calendar days of a trend range; `to: null` means "up to the current ELO".
+  const rangeBounds = range => {
+    const day = today();
+    const lastDays = /^days:(\d+)$/.exec(range);
+    if (lastDays) return { from: shiftDay(day, 1 - Number(lastDays[1])), to: null };
+    switch (range) {
+      case "weekly": {
+        const weekday = new Date(`${day}T00:00:00Z`).getUTCDay() || 7;
+        return { from: shiftDay(day, -((weekday - calendar().weekStart + 7) % 7)), to: null };
+      }
+      case "monthly": return { from: `${day.slice(0, 8)}01`, to: null };
+      case "yearly": return { from: `${day.slice(0, 5)}01-01`, to: null };
+      case "season": return { from: eloTimelines().seasonStart || `${day.slice(0, 5)}01-01`, to: null };
+      case "custom": {
+        const { from, to } = state.customRange;
+        return { from: from || day, to: to && to < day ? to : null };
+      }
+      default: return { from: day, to: null };
+    }
+  };
+
+  // ELO a player ended `day` with; the earliest known value if the timeline starts later.
+  const eloOnDay = (timeline, day) => {
+    let elo = null;
+    for (const [pointDay, value] of timeline) {
+      if (pointDay > day) break;
+      elo = value;
+    }
+    return elo ?? timeline[0][1];
+  };
+
+  const rangeDiff = row => {
+    const timeline = eloTimelines().players?.[row.dataset.playerId];
+    if (!Array.isArray(timeline) || !timeline.length) return 0;
+    const { from, to } = rangeBounds(state.range);
+    // No games in the range is no change, even when the current ELO differs from a stale timeline.
+    if (!timeline.some(([day]) => day >= from && (!to || day <= to))) return 0;
+    const end = to ? eloOnDay(timeline, to) : number(row.dataset.elo);
+    return Math.round(end - eloOnDay(timeline, shiftDay(from, -1)));
   };
 
   const updateDiffs = () => {
     playerRows().forEach(row => {
-      const current = number(row.dataset.elo);
-      const snapshot = getSnapshot(row);
-      const diff = snapshot ? current - number(snapshot.elo, current) : 0;
+      const diff = rangeDiff(row);
       row.dataset.diff = String(diff);
       const cell = row.querySelector(".elo-diff");
       if (!cell) return;
@@ -190,7 +247,9 @@
     const query = searchInput.value.trim().toLocaleLowerCase("de");
     let count = 0;
     playerRows().forEach(row => {
-      const visible = !query || (row.dataset.nickname || "").toLocaleLowerCase("de").includes(query);
+      // Rows with a roster alias also match the FACEIT nickname, renamed players their old nicknames.
+      const names = [row.dataset.nickname, row.dataset.faceitNickname, ...(row.dataset.formerNicknames || "").split("|")].filter(Boolean);
+      const visible = !query || names.some(name => name.toLocaleLowerCase("de").includes(query));
       row.style.display = visible ? "" : "none";
       const details = pairedDetailRow(row);
       if (details && !visible) {
@@ -344,7 +403,7 @@
     }));
 
   const formatChartDate = timestamp => timestamp
-    ? new Intl.DateTimeFormat("de-DE", { day: "2-digit", month: "short", year: "2-digit" }).format(new Date(timestamp))
+    ? new Intl.DateTimeFormat("de-DE", { day: "2-digit", month: "short", year: "2-digit", timeZone: calendar().timezone }).format(new Date(timestamp))
     : "";
 
   const matchTooltipCallbacks = {
@@ -387,7 +446,7 @@
 
   const renderDetailCharts = async details => {
     if (!chartAvailable() || !details) return;
-    const period = number(details.dataset.analysisPeriod, state.analysisPeriod);
+    const period = number(details.dataset.analysisPeriod, periodMatchCount(periodData(playerData(details.dataset.playerId))));
 
     const lineCanvas = details.querySelector(".elo-chart");
     if (lineCanvas && !state.detailCharts.has(lineCanvas)) {
@@ -523,9 +582,26 @@
   const playerData = playerId => (Array.isArray(window.COMPARISON_DATA) ? window.COMPARISON_DATA : [])
     .find(player => player.id === playerId);
 
+  // Analysis periods are match counts or "season" (every match since the season start),
+  // rendered from analysis.periods in dashboard.config.json.
+  const ANALYSIS_PERIODS = analysisPeriodButtons.map(button => button.dataset.analysisPeriod);
+  const PRIMARY_PERIOD = ANALYSIS_PERIODS.find(period => period !== "season") || "30";
+  const parsePeriod = value => String(value) === "season" ? "season" : number(value, number(PRIMARY_PERIOD));
+  state.analysisPeriod = parsePeriod(PRIMARY_PERIOD);
+  // Season windows differ per player, so their size comes from the period's own data.
+  const periodMatchCount = (data, period = state.analysisPeriod) => period === "season"
+    ? number(data?.requestedMatches, number(data?.dataQuality?.requestedMatches, number(data?.recent?.matches)))
+    : period;
+  const periodLabel = (period = state.analysisPeriod, capitalized = true) => {
+    const label = period === "season" ? "aktuelle Season" : `letzte ${period} Matches`;
+    return capitalized ? label.charAt(0).toUpperCase() + label.slice(1) : label;
+  };
+  const periodScope = (period = state.analysisPeriod) => period === "season" ? "in der aktuellen Season" : `in den letzten ${period} Matches`;
+  const periodOf = (period = state.analysisPeriod) => period === "season" ? "der aktuellen Season" : `der letzten ${period} Matches`;
+
   const periodData = (player, period = state.analysisPeriod) => {
     if (!player) return {};
-    return player.periods?.[String(period)] || player.periods?.["30"] || player;
+    return player.periods?.[String(period)] || player.periods?.[PRIMARY_PERIOD] || player;
   };
 
   const calculateBestThirty = history => {
@@ -539,6 +615,13 @@
     return gain;
   };
 
+  // Thresholds and labels from freshness in dashboard.config.json, as used by the pipeline.
+  const freshnessBands = () => window.DASHBOARD_ANALYTICS?.freshness || {
+    freshHours: 7 * 24,
+    agingHours: 30 * 24,
+    labels: { fresh: "Match innerhalb 1 Woche", aging: "Match älter als 1 Woche", stale: "Match älter als 1 Monat" }
+  };
+
   const enhancePlayerAnalytics = row => {
     const details = pairedDetailRow(row);
     if (!details) return;
@@ -549,14 +632,17 @@
     const matchAgeHours = lastMatchTimestamp
       ? Math.max(0, (Date.now() / 1000 - lastMatchTimestamp) / 3600)
       : Infinity;
-    const freshness = matchAgeHours <= 7 * 24
-      ? { status: "fresh", label: "Match innerhalb 1 Woche", title: "Letztes Match innerhalb der vergangenen 7 Tage" }
-      : matchAgeHours <= 30 * 24
-        ? { status: "aging", label: "Match älter als 1 Woche", title: "Letztes Match liegt zwischen 7 und 30 Tagen zurück" }
+    const bands = freshnessBands();
+    const freshDays = Math.round(bands.freshHours / 24);
+    const agingDays = Math.round(bands.agingHours / 24);
+    const freshness = matchAgeHours <= bands.freshHours
+      ? { status: "fresh", label: bands.labels.fresh, title: `Letztes Match innerhalb der vergangenen ${freshDays} Tage` }
+      : matchAgeHours <= bands.agingHours
+        ? { status: "aging", label: bands.labels.aging, title: `Letztes Match liegt zwischen ${freshDays} und ${agingDays} Tagen zurück` }
         : {
             status: "stale",
-            label: lastMatchTimestamp ? "Match älter als 1 Monat" : "Keine Matchdaten",
-            title: lastMatchTimestamp ? "Letztes Match liegt mehr als 30 Tage zurück" : "Kein Match-Datum verfügbar"
+            label: lastMatchTimestamp ? bands.labels.stale : "Keine Matchdaten",
+            title: lastMatchTimestamp ? `Letztes Match liegt mehr als ${agingDays} Tage zurück` : "Kein Match-Datum verfügbar"
           };
     details.querySelectorAll(".share-player").forEach(button => button.remove());
     const existingStatus = details.querySelector(".player-analytics .data-status");
@@ -642,13 +728,16 @@
     validMaps.forEach(map => {
       const row = document.createElement("tr");
       row.className = "border-b border-white/5 last:border-0";
-      const values = [map.map, map.matches, `${map.winrate}%`, map.kd];
+      const values = [map.map, map.matches, winrateLabel(map.winrate, map), map.kd];
       values.forEach((value, index) => {
         const cell = document.createElement("td");
         cell.className = index
           ? "py-2 px-3 text-center text-xs font-mono text-white/50"
           : "py-2 px-3 text-white/80 text-xs font-medium";
-        if (index === 2) cell.className += number(map.winrate) >= 50 ? " text-green-400" : " text-red-400";
+        if (index === 2) {
+          cell.className += number(map.winrate) >= 50 ? " text-green-400" : " text-red-400";
+          if (winrateRange(map)) cell.title = winrateRange(map);
+        }
         if (index === 3) cell.className += number(map.kd) >= 1 ? " text-green-400" : " text-red-400";
         cell.textContent = String(value ?? "—");
         row.append(cell);
@@ -660,7 +749,7 @@
   const updateMateLists = (details, teammates) => {
     const lists = {
       played: [...(teammates || [])].sort((a, b) => number(b.count) - number(a.count)),
-      wins: [...(teammates || [])].sort((a, b) => number(b.wins) - number(a.wins)),
+      wins: [...(teammates || [])].sort((a, b) => number(b.winrateLower) - number(a.winrateLower) || number(b.wins) - number(a.wins)),
       losses: [...(teammates || [])].sort((a, b) => number(b.losses) - number(a.losses))
     };
     Object.entries(lists).forEach(([kind, mates]) => {
@@ -683,7 +772,7 @@
         const rate = kind === "losses" ? 100 - number(mate.winratePct) : number(mate.winratePct);
         const meta = document.createElement("span");
         meta.className = "text-[10px] text-white/40 font-mono";
-        meta.textContent = `${value} ${suffix} · ${rate}%`;
+        meta.textContent = `${value} ${suffix} · ${winrateLabel(rate, mate)}`;
         item.append(link, meta);
         list.append(item);
       });
@@ -702,6 +791,7 @@
     if (!player) return;
     const period = state.analysisPeriod;
     const data = periodData(player, period);
+    const matchCount = periodMatchCount(data, period);
     const recent = data.recent || {};
     const quality = data.dataQuality || {};
     const personal = data.personalBests || {};
@@ -709,6 +799,7 @@
     const last5 = Array.isArray(data.last5) ? data.last5 : [];
     const wins = last5.filter(result => result === "W").length;
     const cardValues = {
+      rating: recent.rating ?? "—",
       kd: recent.kd ?? "0.00",
       adr: recent.adr ?? "0.0",
       winrate: `${number(recent.winratePct)}%`,
@@ -721,6 +812,8 @@
       const target = row.querySelector(`[data-card-stat="${key}"]`);
       if (target) target.textContent = String(value);
     });
+    const winrateStat = row.querySelector('[data-card-stat="winrate"]')?.parentElement;
+    if (winrateStat) winrateStat.title = winrateRange(recent);
     const formLine = row.querySelector(".player-form");
     if (formLine && row.classList.contains("ranking-player-card")) {
       formLine.replaceChildren(...last5.map(result => {
@@ -730,6 +823,7 @@
         return dot;
       }));
     }
+    row.dataset.rating = String(number(recent.rating));
     row.dataset.kd = String(number(recent.kd));
     row.dataset.adr = String(number(recent.adr));
     row.dataset.winrate = String(number(recent.winratePct));
@@ -740,19 +834,24 @@
     row.dataset.role = text(performance.role?.label || "Allrounder");
     const roleLabel = row.querySelector("[data-card-role]");
     if (roleLabel) roleLabel.textContent = row.dataset.role;
+    const declaredRole = row.querySelector("[data-declared-role]");
+    if (declaredRole) declaredRole.classList.toggle("role-mismatch", declaredRole.dataset.declaredRole !== (performance.role?.key || "allrounder"));
     row.dataset.streak = cardValues.streak;
     row.dataset.streakType = data.streak?.type || "none";
     if (!details) return;
     const available = number(quality.historyMatches, number(recent.matches));
     const analyzed = number(quality.analyzedMatches, number(recent.matches));
     const eloSamples = number(quality.eloSamples, (data.history || []).length);
+    // Matches the per-run stats budget left for later runs: the period is still incomplete.
+    const pending = number(quality.pendingMatches);
 
-    details.dataset.analysisPeriod = String(period);
+    details.dataset.analysisPeriod = String(matchCount);
     const coverage = details.querySelector(".analysis-coverage");
     if (coverage) {
-      coverage.textContent = available < period
-        ? `${available} Matches verfügbar · ${analyzed} ausgewertet · Ziel ${period}`
-        : `${analyzed} von ${period} Matches ausgewertet · ${number(quality.matchCoverage)}% Abdeckung`;
+      coverage.textContent = (available < matchCount
+        ? `${available} Matches verfügbar · ${analyzed} ausgewertet · Ziel ${matchCount}`
+        : `${analyzed} von ${matchCount} Matches ausgewertet · ${number(quality.matchCoverage)}% Abdeckung`)
+        + (pending ? ` · ${pending} folgen` : "");
     }
 
     const updateBest = (name, value, scope) => {
@@ -765,10 +864,10 @@
     };
     const bestMap = personal.bestMap;
     const gain = number(personal.bestThirtyGain);
-    updateBest("peak", String(number(personal.peakElo, number(row.dataset.elo))), `Peak in den letzten ${period} Matches · ${eloSamples} ELO-Werte`);
-    updateBest("streak", `${number(personal.longestWinStreak)}W`, `Letzte ${period} Matches`);
-    updateBest("map", bestMap?.map || "—", bestMap ? `${bestMap.winrate}% WR · letzte ${period} Matches` : `Letzte ${period} Matches`);
-    updateBest("gain", `${gain > 0 ? "+" : ""}${gain}`, `Beste zusammenhängende 30er-Phase im ${period}er-Fenster`);
+    updateBest("peak", String(number(personal.peakElo, number(row.dataset.elo))), `Peak ${periodScope(period)} · ${eloSamples} ELO-Werte`);
+    updateBest("streak", `${number(personal.longestWinStreak)}W`, periodLabel(period));
+    updateBest("map", bestMap?.map || "—", bestMap ? `${winrateLabel(bestMap.winrate, bestMap)} WR · ${periodLabel(period, false)}` : periodLabel(period));
+    updateBest("gain", `${gain > 0 ? "+" : ""}${gain}`, `Beste zusammenhängende 30er-Phase im ${period === "season" ? "Season" : `${period}er`}-Fenster`);
     updateBest("form", last5.length ? `${wins}/${last5.length}` : "—", last5.length ? `${Math.round(wins / last5.length * 100)}% Siege` : "Keine Daten");
 
     const statValues = {
@@ -787,7 +886,7 @@
     });
     const performanceLabel = details.querySelector(".performance-period-label");
     const performanceCopy = performanceLabel?.querySelector("span");
-    if (performanceCopy) performanceCopy.textContent = `Performance (letzte ${period})`;
+    if (performanceCopy) performanceCopy.textContent = `Performance (${period === "season" ? "Season" : `letzte ${period}`})`;
 
     updateMapRows(details, data.mapPerformance);
     const radarCanvas = details.querySelector(".radar-chart");
@@ -798,7 +897,7 @@
     const lineCanvas = details.querySelector(".elo-chart");
     if (lineCanvas) lineCanvas.dataset.history = JSON.stringify(data.history || []);
     const trendLabel = details.querySelector(".trend-period-label");
-    if (trendLabel) trendLabel.textContent = `ELO-Trend · letzte ${period} Matches`;
+    if (trendLabel) trendLabel.textContent = `ELO-Trend · ${periodLabel(period, false)}`;
 
     const insightGrid = details.querySelector(".insight-grid");
     if (insightGrid) {
@@ -821,7 +920,7 @@
       if (!insightGrid.children.length) {
         const empty = document.createElement("p");
         empty.className = "analytics-empty";
-        empty.textContent = `Keine belastbare Auffälligkeit in den letzten ${period} Matches.`;
+        empty.textContent = `Keine belastbare Auffälligkeit ${periodScope(period)}.`;
         insightGrid.append(empty);
       }
     }
@@ -876,6 +975,13 @@
   };
 
   const setupFilters = () => {
+    const customRange = document.getElementById("customRange");
+    const rangeFrom = document.getElementById("rangeFrom");
+    const rangeTo = document.getElementById("rangeTo");
+    const applyRange = () => {
+      updateDiffs();
+      if (state.sort.key === "diff") sortRows();
+    };
     filterButtons.forEach(button => button.addEventListener("click", () => {
       state.range = button.dataset.val || "daily";
       filterButtons.forEach(item => {
@@ -883,8 +989,22 @@
         item.classList.toggle("active", active);
         item.setAttribute("aria-pressed", String(active));
       });
-      updateDiffs();
-      if (state.sort.key === "diff") sortRows();
+      if (customRange) customRange.hidden = state.range !== "custom";
+      if (state.range === "custom" && rangeFrom && rangeTo) {
+        // Open on the last 30 days so the view changes visibly right away.
+        rangeTo.max = rangeFrom.max = today();
+        if (!rangeTo.value) rangeTo.value = today();
+        if (!rangeFrom.value) rangeFrom.value = shiftDay(today(), -29);
+        state.customRange = { from: rangeFrom.value, to: rangeTo.value };
+      }
+      applyRange();
+    }));
+    [rangeFrom, rangeTo].forEach(input => input?.addEventListener("change", () => {
+      let from = rangeFrom.value;
+      let to = rangeTo.value;
+      if (from && to && from > to) [from, to] = [to, from];
+      state.customRange = { from, to };
+      applyRange();
     }));
     searchInput.addEventListener("input", filterRows);
     document.addEventListener("keydown", event => {
@@ -989,20 +1109,20 @@
 
   const setupAnalysisPeriod = () => {
     analysisPeriodButtons.forEach(button => button.addEventListener("click", () => {
-      const period = number(button.dataset.analysisPeriod, 30);
-      if (![30, 60, 100].includes(period) || period === state.analysisPeriod) return;
+      const period = parsePeriod(button.dataset.analysisPeriod);
+      if (!ANALYSIS_PERIODS.includes(String(period)) || period === state.analysisPeriod) return;
       state.analysisPeriod = period;
       analysisPeriodButtons.forEach(item => {
-        const active = number(item.dataset.analysisPeriod) === period;
+        const active = parsePeriod(item.dataset.analysisPeriod) === period;
         item.classList.toggle("active", active);
         item.setAttribute("aria-pressed", String(active));
       });
       const copy = document.getElementById("analysis-period-copy");
-      if (copy) copy.textContent = `Letzte ${period} Matches`;
+      if (copy) copy.textContent = periodLabel(period);
       const awardLabel = document.querySelector("#awards-title span");
-      if (awardLabel) awardLabel.textContent = `(letzte ${period} Matches)`;
+      if (awardLabel) awardLabel.textContent = `(${periodLabel(period, false)})`;
       const comparisonLabel = document.getElementById("comparison-period-label");
-      if (comparisonLabel) comparisonLabel.textContent = `Letzte ${period} Matches`;
+      if (comparisonLabel) comparisonLabel.textContent = periodLabel(period);
       playerRows().forEach(updatePlayerPeriod);
       updateSummary();
       renderPeriodAwards();
@@ -1093,10 +1213,10 @@
       fallback.textContent = "Verlaufsdaten werden geladen …";
     }
 
-    const selected = (await Promise.all(selectedPlayers.map(async player => ({
-      ...player,
-      points: toMatchSeries(await resolveHistory(player.id, player.history, state.analysisPeriod), state.analysisPeriod)
-    })))).filter(player => player.points.length >= 2);
+    const selected = (await Promise.all(selectedPlayers.map(async player => {
+      const limit = periodMatchCount(periodData(player));
+      return { ...player, points: toMatchSeries(await resolveHistory(player.id, player.history, limit), limit) };
+    }))).filter(player => player.points.length >= 2);
     if (renderId !== state.comparisonRenderId) return;
 
     if (!selected.length) {
@@ -1104,6 +1224,9 @@
       return;
     }
 
+    const axisMax = state.analysisPeriod === "season"
+      ? Math.max(...selected.map(player => player.points.length))
+      : state.analysisPeriod;
     canvas.hidden = false;
     canvas.dataset.pointCounts = selected.map(player => player.points.length).join(",");
     canvas.dataset.axisMode = "match";
@@ -1143,9 +1266,9 @@
           x: {
             type: "linear",
             min: 1,
-            max: state.analysisPeriod,
+            max: axisMax,
             grid: { color: "rgba(255,255,255,.035)" },
-            title: { display: true, text: `Letzte ${state.analysisPeriod} Matches →`, color: "#606a78", font: { size: 9 } },
+            title: { display: true, text: `${periodLabel()} →`, color: "#606a78", font: { size: 9 } },
             ticks: { color: "#8d9198", maxTicksLimit: 10, precision: 0, font: { size: 9 } }
           },
           y: { grid: { color: "rgba(255,255,255,.055)" }, ticks: { color: "#8d9198", maxTicksLimit: 6, font: { size: 9 } } }
@@ -1190,12 +1313,12 @@
     const direct = Number(value);
     const numeric = Number.isFinite(direct) && direct > 0 ? direct : Date.parse(String(value || ""));
     if (!Number.isFinite(numeric) || numeric <= 0) return "—";
-    return new Intl.DateTimeFormat("de-DE", { day: "2-digit", month: "2-digit", year: "numeric" })
+    return new Intl.DateTimeFormat("de-DE", { day: "2-digit", month: "2-digit", year: "numeric", timeZone: calendar().timezone })
       .format(new Date(numeric * (numeric > 1e12 ? 1 : 1000)));
   };
 
-  const detailPeriodData = detail => detail?.periods?.[String(state.analysisPeriod)] || detail?.periods?.["30"] || {};
-  const detailMatches = detail => (detail?.matches || []).slice(0, state.analysisPeriod);
+  const detailPeriodData = detail => detail?.periods?.[String(state.analysisPeriod)] || detail?.periods?.[PRIMARY_PERIOD] || {};
+  const detailMatches = detail => (detail?.matches || []).slice(0, periodMatchCount(detailPeriodData(detail)));
   const resultMatchesEloDiff = (result, diff, allowZero = false) => Number.isFinite(diff)
     && (allowZero && diff === 0 || result === "W" && diff > 0 || result === "L" && diff < 0);
 
@@ -1291,9 +1414,15 @@
     const recent = data.recent || {};
     const personal = data.personalBests || {};
     const performance = data.performanceProfile || {};
-    const role = performance.role || { label: "Allrounder", description: "Ausgeglichenes Leistungsprofil" };
+    const role = performance.role || { key: "allrounder", label: "Allrounder", description: "Ausgeglichenes Leistungsprofil" };
+    const declaredRole = playerData(profile.id)?.roster?.role;
+    const roleNote = !declaredRole
+      ? escapeUi(role.description)
+      : declaredRole.key === (role.key || "allrounder")
+        ? `Passt zur Team-Rolle ${escapeUi(declaredRole.label)}`
+        : `<b class="role-mismatch">Im Team als ${escapeUi(declaredRole.label)} eingetragen</b>`;
     const quality = data.dataQuality || {};
-    const history = (detail.history || []).slice(-state.analysisPeriod);
+    const history = (detail.history || []).slice(-periodMatchCount(data));
     const levelStarts = [0, 100, 501, 751, 901, 1051, 1201, 1351, 1531, 1751, 2001];
     const currentLevel = Math.max(1, Math.min(10, number(profile.level, 1)));
     const floor = levelStarts[currentLevel];
@@ -1303,18 +1432,19 @@
     const insights = (data.insights || []).filter(insight => insight.type !== "map").slice(0, 4).map(insight => `
       <article class="deep-insight"><span>${escapeUi(insight.icon || "•")}</span><div><strong>${escapeUi(insight.title || "Hinweis")}</strong><small>${escapeUi(insight.text || "")}</small></div></article>`).join("");
     content.innerHTML = `
-      <section class="deep-kpis" aria-label="Leistungskennzahlen der letzten ${state.analysisPeriod} Matches">
+      <section class="deep-kpis" aria-label="Leistungskennzahlen ${periodOf()}">
         <article><span>K/D Ratio</span><strong>${escapeUi(recent.kd || "0.00")}</strong><small>${number(recent.kills)} Kills · ${number(recent.deaths)} Deaths</small></article>
         <article><span>ADR</span><strong>${escapeUi(recent.adr || "0.0")}</strong><small>${number(recent.assists)} Assists · ${number(recent.matches)} Matches</small></article>
-        <article class="deep-winrate"><span>Winrate</span><strong>${number(recent.winratePct)}%</strong><i style="--value:${number(recent.winratePct)}"></i><small>${number(recent.wins)} Siege</small></article>
-        <article><span>Current ELO</span><strong>${number(profile.elo).toLocaleString("de-DE")}</strong><small>Peak ${number(personal.peakElo, profile.elo).toLocaleString("de-DE")}</small></article>
+        <article class="deep-winrate"><span>Winrate</span><strong>${number(recent.winratePct)}%</strong><i style="--value:${number(recent.winratePct)}"></i><small>${number(recent.wins)} Siege${winrateRange(recent) ? ` · ${winrateRange(recent)}` : ""}</small></article>
+        <article><span>Current ELO</span><strong>${number(profile.elo).toLocaleString("de-DE")}</strong><small>Peak ${number(profile.peakElo, number(personal.peakElo, profile.elo)).toLocaleString("de-DE")}</small></article>
       </section>
       <section class="deep-profile-strip" aria-label="Rollen- und Impact-Profil">
-        <article class="profile-role"><span>Rollenprofil</span><strong>${escapeUi(role.label)}</strong><small>${escapeUi(role.description)}</small></article>
+        <article class="profile-role"><span>Rollenprofil</span><strong>${escapeUi(role.label)}</strong><small>${roleNote}</small></article>
         <article><span>Konstanz</span><strong>${number(performance.consistency)}%</strong><small>Streuung von K/D, ADR und ELO</small></article>
         <article><span>Entry Success</span><strong>${number(recent.entrySuccess)}%</strong><small>${number(recent.entryWins)} gewonnene Entries</small></article>
-        <article><span>Clutches</span><strong>${number(recent.clutches)}</strong><small>${number(performance.clutchesPerMatch).toFixed(2)} pro Match</small></article>
-        <article><span>Utility / Match</span><strong>${number(performance.utilityPerMatch)}</strong><small>${number(recent.utilityDamage)} Damage gesamt</small></article>
+        <article><span>Clutches</span><strong>${number(recent.clutches)}</strong><small>${number(performance.clutchesPerMatch).toFixed(2)} pro Match · ${number(performance.clutchesPerRound).toFixed(3)} pro Runde</small></article>
+        ${expectationCard(recent.expectation)}
+        <article><span>Utility / Runde</span><strong>${number(performance.utilityPerRound).toFixed(1)}</strong><small>${number(performance.utilityPerMatch)} pro Match · ${number(recent.utilityDamage)} gesamt</small></article>
       </section>
       <section class="deep-overview-grid">
         <article class="deep-level-card">
@@ -1336,7 +1466,7 @@
         </article>
       </section>
       <section class="deep-trend-card">
-        <div><span>ELO-Verlauf</span><small>Letzte ${state.analysisPeriod} Matches · ${history.length} Werte</small></div>
+        <div><span>ELO-Verlauf</span><small>${periodLabel()} · ${history.length} Werte</small></div>
         <div class="deep-chart-wrap"><canvas id="deepDiveTrend" aria-label="ELO-Verlauf von ${escapeUi(profile.nickname)}"></canvas><p class="deep-chart-empty" hidden>Zu wenig Verlaufsdaten.</p></div>
       </section>
       <section class="deep-insights">${insights || '<p class="deep-empty">Keine belastbare Auffälligkeit in diesem Zeitraum.</p>'}</section>`;
@@ -1357,6 +1487,19 @@
     });
   };
 
+  // Wins against the ELO expectation; see stats.js for the win-probability model.
+  const expectationCard = expectation => {
+    if (!number(expectation?.matches)) return '<article><span>ELO-Erwartung</span><strong>—</strong><small>Keine Team-ELO-Daten</small></article>';
+    const overperformance = number(expectation.overperformance);
+    const underdog = expectation.underdog || {};
+    const favourite = expectation.favourite || {};
+    const bands = [
+      number(underdog.matches) ? `${number(underdog.wins)}/${number(underdog.matches)} als Außenseiter` : "",
+      number(favourite.matches) ? `${number(favourite.wins)}/${number(favourite.matches)} als Favorit` : ""
+    ].filter(Boolean).join(" · ");
+    return `<article title="Siege minus erwartete Siege aus der ELO-Differenz der Teams"><span>ELO-Erwartung</span><strong class="${overperformance >= 0 ? "positive" : "negative"}">${overperformance > 0 ? "+" : ""}${overperformance.toFixed(1)}</strong><small>${number(expectation.wins)} Siege bei ${number(expectation.expectedWins).toFixed(1)} erwarteten${bands ? ` · ${bands}` : ""}</small></article>`;
+  };
+
   const renderDeepMatches = (detail, content) => {
     const all = detailMatches(detail);
     const maps = [...new Set(all.map(match => match.map).filter(Boolean))].sort();
@@ -1379,18 +1522,20 @@
       <td>${number(match.kills)}</td><td>${number(match.assists)}</td><td>${number(match.deaths)}</td>
       <td class="${number(match.kills) - number(match.deaths) >= 0 ? "positive" : "negative"}">${number(match.kills) - number(match.deaths) > 0 ? "+" : ""}${number(match.kills) - number(match.deaths)}</td>
       <td>${number(match.kd).toFixed(2)}</td><td>${number(match.adr).toFixed(1)}</td><td>${number(match.hsPercent).toFixed(0)}%</td>
+      <td class="${Number.isFinite(match.rating) ? (match.rating >= 1 ? "positive" : "negative") : "elo-unavailable"}">${Number.isFinite(match.rating) ? match.rating.toFixed(2) : "—"}</td>
+      <td class="${Number.isFinite(match.winProbability) ? "" : "elo-unavailable"}" ${Number.isFinite(match.winProbability) ? `title="Team ${number(match.teamElo)} vs. ${number(match.opponentElo)} ELO"` : ""}>${Number.isFinite(match.winProbability) ? `${Math.round(match.winProbability * 100)}%` : "—"}</td>
       <td class="${eloDiffClass}" ${hasEloDiff ? "" : 'title="FACEIT stellt für dieses Match keine eindeutige ELO-Änderung bereit"'}>${eloDiffLabel}</td>
       <td><a class="match-link" href="${escapeUi(safeHttp(match.matchUrl))}" target="_blank" rel="noopener noreferrer" aria-label="Match auf FACEIT öffnen">↗</a></td>
     </tr>`;
     }).join("");
     content.innerHTML = `
-      <section class="deep-section-head"><div><span>Match Explorer</span><h3>Die letzten ${state.analysisPeriod} Matches</h3></div><p>${filtered.length} von ${all.length} Matches</p></section>
+      <section class="deep-section-head"><div><span>Match Explorer</span><h3>${state.analysisPeriod === "season" ? "Alle Matches der Season" : `Die letzten ${state.analysisPeriod} Matches`}</h3></div><p>${filtered.length} von ${all.length} Matches</p></section>
       <div class="match-filters">
         <label><span>Suche</span><input type="search" data-match-query value="${escapeUi(state.deepDive.query)}" placeholder="Map oder Score"></label>
         <label><span>Map</span><select data-match-map><option value="all">Alle Maps</option>${maps.map(map => `<option value="${escapeUi(map)}" ${map === state.deepDive.map ? "selected" : ""}>${escapeUi(map)}</option>`).join("")}</select></label>
         <label><span>Ergebnis</span><select data-match-result><option value="all">Alle</option><option value="W" ${state.deepDive.result === "W" ? "selected" : ""}>Siege</option><option value="L" ${state.deepDive.result === "L" ? "selected" : ""}>Niederlagen</option></select></label>
       </div>
-      <div class="deep-table-scroll"><table class="deep-table match-table"><thead><tr><th>Resultat</th><th>Datum</th><th>Map</th><th>Score</th><th>K</th><th>A</th><th>D</th><th>+/-</th><th>K/D</th><th>ADR</th><th>HS</th><th title="ELO-Änderung nach dem Match">ELO Δ</th><th></th></tr></thead><tbody>${rows || '<tr><td colspan="13" class="deep-empty">Keine Matches für diesen Filter.</td></tr>'}</tbody></table></div>
+      <div class="deep-table-scroll"><table class="deep-table match-table"><thead><tr><th>Resultat</th><th>Datum</th><th>Map</th><th>Score</th><th>K</th><th>A</th><th>D</th><th>+/-</th><th>K/D</th><th>ADR</th><th>HS</th><th title="Impact-Rating, 1.00 = Durchschnitt">Rating</th><th title="Erwartete Siegchance aus dem Team-ELO beider Seiten">Chance</th><th title="ELO-Änderung nach dem Match">ELO Δ</th><th></th></tr></thead><tbody>${rows || '<tr><td colspan="15" class="deep-empty">Keine Matches für diesen Filter.</td></tr>'}</tbody></table></div>
       <div class="deep-pagination"><button type="button" data-match-page="prev" ${state.deepDive.matchPage === 1 ? "disabled" : ""}>← Zurück</button><span>Seite ${state.deepDive.matchPage} von ${pages}</span><button type="button" data-match-page="next" ${state.deepDive.matchPage === pages ? "disabled" : ""}>Weiter →</button></div>`;
     content.querySelector("[data-match-query]")?.addEventListener("input", event => {
       const query = event.target.value;
@@ -1417,9 +1562,9 @@
       if (sortKey === "map") return text(first.map).localeCompare(text(second.map), "de") * direction;
       return (number(first[sortKey]) - number(second[sortKey])) * direction;
     });
-    const rows = maps.map(map => `<tr><td><strong>${escapeUi(map.map)}</strong></td><td>${number(map.matches)}</td><td>${number(map.wins)}</td><td>${number(map.losses)}</td><td class="${number(map.winrate) >= 50 ? "positive" : "negative"}">${number(map.winrate)}%</td><td>${escapeUi(map.avgKills || "0.0")}</td><td>${escapeUi(map.avgDeaths || "0.0")}</td><td class="${number(map.kdDiff) >= 0 ? "positive" : "negative"}">${number(map.kdDiff) > 0 ? "+" : ""}${escapeUi(map.kdDiff || "0.0")}</td><td>${escapeUi(map.hsPercent || 0)}%</td><td>${escapeUi(map.kr || "0.00")}</td><td>${escapeUi(map.kd || "0.00")}</td><td>${escapeUi(map.adr || "0.0")}</td><td class="map-advanced">${number(map.entrySuccess)}%</td><td class="map-advanced">${number(map.clutches)}</td><td class="map-advanced">${number(map.multikills)}</td><td class="map-advanced">${number(map.utilityDamage)}</td></tr>`).join("");
-    const heading = (label, key, advanced = false) => `<th class="${advanced ? "map-advanced" : ""}"><button type="button" data-map-sort="${key}" class="${sortKey === key ? "active" : ""}">${label}${sortKey === key ? (direction > 0 ? " ↑" : " ↓") : ""}</button></th>`;
-    content.innerHTML = `<section class="deep-section-head"><div><span>Map Intelligence</span><h3>Performance nach Map</h3></div><button class="advanced-toggle" type="button">Advanced Stats</button></section><div class="deep-table-scroll"><table class="deep-table map-insights-table"><thead><tr>${heading("Map", "map")}${heading("M", "matches")}${heading("W", "wins")}${heading("L", "losses")}${heading("WR", "winrate")}${heading("Ø K", "avgKills")}${heading("Ø D", "avgDeaths")}${heading("+/-", "kdDiff")}${heading("HS", "hsPercent")}${heading("K/R", "kr")}${heading("K/D", "kd")}${heading("ADR", "adr")}${heading("Entry", "entrySuccess", true)}${heading("Clutches", "clutches", true)}${heading("Multis", "multikills", true)}${heading("Utility", "utilityDamage", true)}</tr></thead><tbody>${rows || '<tr><td colspan="16" class="deep-empty">Keine Map-Daten vorhanden.</td></tr>'}</tbody></table></div>`;
+    const rows = maps.map(map => `<tr><td><strong>${escapeUi(map.map)}</strong></td><td>${number(map.matches)}</td><td>${number(map.wins)}</td><td>${number(map.losses)}</td><td class="${number(map.winrate) >= 50 ? "positive" : "negative"}" title="${winrateRange(map)}">${winrateLabel(map.winrate, map)}</td><td>${escapeUi(map.avgKills || "0.0")}</td><td>${escapeUi(map.avgDeaths || "0.0")}</td><td class="${number(map.kdDiff) >= 0 ? "positive" : "negative"}">${number(map.kdDiff) > 0 ? "+" : ""}${escapeUi(map.kdDiff || "0.0")}</td><td>${escapeUi(map.hsPercent || 0)}%</td><td>${escapeUi(map.kr || "0.00")}</td><td>${escapeUi(map.dpr || "—")}</td><td>${escapeUi(map.kd || "0.00")}</td><td>${escapeUi(map.roundAdr || map.adr || "0.0")}</td><td class="map-advanced">${number(map.entrySuccess)}%</td><td class="map-advanced" title="${number(map.clutches)} gesamt">${escapeUi(map.clutchesPerRound || "—")}</td><td class="map-advanced" title="${number(map.multikills)} gesamt">${escapeUi(map.multikillsPerRound || "—")}</td><td class="map-advanced" title="${number(map.utilityDamage)} gesamt">${escapeUi(map.utilityPerRound || "—")}</td></tr>`).join("");
+    const heading = (label, key, advanced = false, title = "") => `<th class="${advanced ? "map-advanced" : ""}"${title ? ` title="${title}"` : ""}><button type="button" data-map-sort="${key}" class="${sortKey === key ? "active" : ""}">${label}${sortKey === key ? (direction > 0 ? " ↑" : " ↓") : ""}</button></th>`;
+    content.innerHTML = `<section class="deep-section-head"><div><span>Map Intelligence</span><h3>Performance nach Map</h3></div><button class="advanced-toggle" type="button">Advanced Stats</button></section><div class="deep-table-scroll"><table class="deep-table map-insights-table"><thead><tr>${heading("Map", "map")}${heading("M", "matches")}${heading("W", "wins")}${heading("L", "losses")}${heading("WR", "winrate")}${heading("Ø K", "avgKills")}${heading("Ø D", "avgDeaths")}${heading("+/-", "kdDiff")}${heading("HS", "hsPercent")}${heading("K/R", "kr", false, "Kills pro Runde")}${heading("D/R", "dpr", false, "Deaths pro Runde")}${heading("K/D", "kd")}${heading("ADR", "roundAdr", false, "Schaden pro Runde, nach Runden gewichtet")}${heading("Entry", "entrySuccess", true)}${heading("Clutches/R", "clutchesPerRound", true, "Clutch-Kills pro Runde")}${heading("Multis/R", "multikillsPerRound", true, "Multikills pro Runde")}${heading("Utility/R", "utilityPerRound", true, "Utility-Schaden pro Runde")}</tr></thead><tbody>${rows || '<tr><td colspan="17" class="deep-empty">Keine Map-Daten vorhanden.</td></tr>'}</tbody></table></div>`;
     content.querySelector(".advanced-toggle")?.addEventListener("click", event => { content.querySelector(".map-insights-table")?.classList.toggle("show-advanced"); event.currentTarget.classList.toggle("active"); });
     content.querySelectorAll("[data-map-sort]").forEach(button => button.addEventListener("click", () => {
       const key = button.dataset.mapSort;
@@ -1441,11 +1586,11 @@
       const trackedPlayer = tracked.get(mate.playerId);
       const avatarUrl = trackedPlayer?.avatar || mate.avatar;
       const fallback = escapeUi(text(mate.nickname).slice(0, 2).toUpperCase() || "?");
-      return `<tr><td><span class="teammate-avatar"><span class="avatar-fallback">${fallback}</span>${avatarUrl ? `<img src="${escapeUi(safeHttp(avatarUrl))}" alt="" loading="lazy" decoding="async">` : ""}</span><strong>${escapeUi(mate.nickname || "—")}</strong></td><td>${number(mate.count)}</td><td class="positive">${number(mate.wins)}</td><td class="negative">${number(mate.losses)}</td><td class="${number(mate.winratePct) >= 50 ? "positive" : "negative"}">${number(mate.winratePct)}%</td><td>${trackedPlayer ? `<button class="teammate-open" type="button" data-open-player="${escapeUi(mate.playerId)}">Analyse →</button>` : `<a class="match-link" href="${escapeUi(safeHttp(mate.url))}" target="_blank" rel="noopener noreferrer">↗</a>`}</td></tr>`;
+      return `<tr><td><span class="teammate-avatar"><span class="avatar-fallback">${fallback}</span>${avatarUrl ? `<img src="${escapeUi(safeHttp(avatarUrl))}" alt="" loading="lazy" decoding="async">` : ""}</span><strong>${escapeUi(mate.nickname || "—")}</strong></td><td>${number(mate.count)}</td><td class="positive">${number(mate.wins)}</td><td class="negative">${number(mate.losses)}</td><td class="${number(mate.winratePct) >= 50 ? "positive" : "negative"}" title="${winrateRange(mate)}">${winrateLabel(mate.winratePct, mate)}</td><td>${trackedPlayer ? `<button class="teammate-open" type="button" data-open-player="${escapeUi(mate.playerId)}">Analyse →</button>` : `<a class="match-link" href="${escapeUi(safeHttp(mate.url))}" target="_blank" rel="noopener noreferrer">↗</a>`}</td></tr>`;
     }).join("");
     const rangeStart = teammates.length ? start + 1 : 0;
     const rangeEnd = Math.min(start + pageSize, teammates.length);
-    content.innerHTML = `<section class="deep-section-head"><div><span>Team Chemistry</span><h3>Häufigste Teammates</h3></div><p>${rangeStart}–${rangeEnd} von ${teammates.length} · letzte ${state.analysisPeriod} Matches</p></section><div class="deep-table-scroll"><table class="deep-table teammate-table"><thead><tr><th>Teammate</th><th>Matches</th><th>Wins</th><th>Losses</th><th>Winrate</th><th></th></tr></thead><tbody>${rows || '<tr><td colspan="6" class="deep-empty">Keine gemeinsamen Matches vorhanden.</td></tr>'}</tbody></table></div><div class="deep-pagination"><button type="button" data-teammate-page="prev" ${state.deepDive.teammatePage === 1 ? "disabled" : ""}>← Zurück</button><span>Seite ${state.deepDive.teammatePage} von ${pages}</span><button type="button" data-teammate-page="next" ${state.deepDive.teammatePage === pages ? "disabled" : ""}>Weiter →</button></div>`;
+    content.innerHTML = `<section class="deep-section-head"><div><span>Team Chemistry</span><h3>Häufigste Teammates</h3></div><p>${rangeStart}–${rangeEnd} von ${teammates.length} · ${periodLabel(state.analysisPeriod, false)}</p></section><div class="deep-table-scroll"><table class="deep-table teammate-table"><thead><tr><th>Teammate</th><th>Matches</th><th>Wins</th><th>Losses</th><th>Winrate</th><th></th></tr></thead><tbody>${rows || '<tr><td colspan="6" class="deep-empty">Keine gemeinsamen Matches vorhanden.</td></tr>'}</tbody></table></div><div class="deep-pagination"><button type="button" data-teammate-page="prev" ${state.deepDive.teammatePage === 1 ? "disabled" : ""}>← Zurück</button><span>Seite ${state.deepDive.teammatePage} von ${pages}</span><button type="button" data-teammate-page="next" ${state.deepDive.teammatePage === pages ? "disabled" : ""}>Weiter →</button></div>`;
     content.querySelectorAll(".teammate-avatar img").forEach(image => image.addEventListener("error", () => image.remove()));
     content.querySelectorAll("[data-open-player]").forEach(button => button.addEventListener("click", () => openPlayerDeepDive(playerRows().find(row => row.dataset.playerId === button.dataset.openPlayer))));
     content.querySelectorAll("[data-teammate-page]").forEach(button => button.addEventListener("click", () => {
@@ -1454,6 +1599,46 @@
     }));
   };
 
+  const OPPONENT_BUCKETS = [["weaker", "Schwächere Gegner", "▽"], ["equal", "Gleich stark", "◇"], ["stronger", "Stärkere Gegner", "△"]];
+
+  const renderDeepOpponents = (detail, content) => {
+    const buckets = detailPeriodData(detail).opponentStrength || {};
+    const selected = state.deepDive.opponentBucket;
+    const rated = detailMatches(detail).filter(match => match.opponentStrength);
+    const matches = rated.filter(match => selected === "all" || match.opponentStrength === selected);
+    const cards = OPPONENT_BUCKETS.map(([key, label, icon]) => {
+      const bucket = buckets[key] || {};
+      const gap = Number.isFinite(bucket.avgEloGap) ? `${bucket.avgEloGap > 0 ? "+" : ""}${bucket.avgEloGap}` : "—";
+      return `<button type="button" class="opponent-bucket${selected === key ? " active" : ""}" data-opponent-bucket="${key}" aria-pressed="${selected === key}">
+        <span>${icon} ${label}</span>
+        <strong class="${number(bucket.matches) ? (number(bucket.winrate) >= 50 ? "positive" : "negative") : ""}">${number(bucket.matches) ? winrateLabel(bucket.winrate, bucket) : "—"}</strong>
+        <small>${number(bucket.matches)} Matches · ${number(bucket.wins)}–${number(bucket.losses)} · ${number(bucket.expectedWins).toFixed(1)} Siege erwartet</small>
+        <dl><div><dt>K/D</dt><dd>${escapeUi(bucket.kd || "—")}</dd></div><div><dt>ADR</dt><dd>${escapeUi(bucket.roundAdr || "—")}</dd></div><div><dt>Rating</dt><dd>${escapeUi(bucket.rating || "—")}</dd></div><div><dt>Ø Gegner</dt><dd title="ELO-Abstand zum eigenen Team">${Number.isFinite(bucket.avgOpponentElo) ? `${bucket.avgOpponentElo} (${gap})` : "—"}</dd></div></dl>
+      </button>`;
+    }).join("");
+    const strengthLabel = key => OPPONENT_BUCKETS.find(([bucket]) => bucket === key)?.[1] || "—";
+    const rows = matches.slice(0, 15).map(match => `<tr>
+      <td><span class="match-result result-${match.result === "W" ? "win" : "loss"}">${match.result === "W" ? "Sieg" : "Niederlage"}</span></td>
+      <td>${escapeUi(formatMatchDate(match.date))}</td><td><strong>${escapeUi(match.map || "Unknown")}</strong></td><td>${escapeUi(match.score || "—")}</td>
+      <td>${escapeUi(match.opponentName || "—")}${match.opponentPremade ? ' <span class="premade-badge" title="Laut FACEIT ein Premade-Team">Premade</span>' : ""}</td>
+      <td>${Number.isFinite(match.opponentElo) ? number(match.opponentElo) : "—"}</td><td>${Number.isFinite(match.opponentLevel) ? number(match.opponentLevel).toFixed(1) : "—"}</td>
+      <td class="${number(match.opponentElo) - number(match.teamElo) > 0 ? "negative" : "positive"}">${number(match.opponentElo) - number(match.teamElo) > 0 ? "+" : ""}${number(match.opponentElo) - number(match.teamElo)}</td>
+      <td>${Math.round(number(match.winProbability) * 100)}%</td><td>${escapeUi(strengthLabel(match.opponentStrength))}</td>
+      <td class="${Number.isFinite(match.rating) ? (match.rating >= 1 ? "positive" : "negative") : "elo-unavailable"}">${Number.isFinite(match.rating) ? match.rating.toFixed(2) : "—"}</td>
+      <td><a class="match-link" href="${escapeUi(safeHttp(match.matchUrl))}" target="_blank" rel="noopener noreferrer" aria-label="Match auf FACEIT öffnen">↗</a></td>
+    </tr>`).join("");
+    const missing = detailMatches(detail).length - rated.length;
+    content.innerHTML = `<section class="deep-section-head"><div><span>Opponent Strength</span><h3>Ergebnisse nach Gegnerstärke ${periodOf()}</h3></div><p>Gemessen am Ø-ELO beider Teams${missing ? ` · ${missing} Matches ohne Team-ELO` : ""}</p></section>
+      <div class="opponent-buckets">${cards}</div>
+      <div class="deep-table-scroll"><table class="deep-table opponent-table"><thead><tr><th>Resultat</th><th>Datum</th><th>Map</th><th>Score</th><th>Gegner</th><th title="Ø-ELO des gegnerischen Teams">Gegner-ELO</th><th title="Ø FACEIT-Level des gegnerischen Teams">Level</th><th title="Gegner-ELO minus eigenes Team">Abstand</th><th title="Erwartete Siegchance">Chance</th><th>Stärke</th><th>Rating</th><th></th></tr></thead><tbody>${rows || '<tr><td colspan="12" class="deep-empty">Keine Matches mit Team-ELO für diesen Filter.</td></tr>'}</tbody></table></div>
+      <p class="deep-table-note">${matches.length > 15 ? `15 neueste von ${matches.length} Matches` : `${matches.length} Matches`}${selected === "all" ? "" : ` · ${escapeUi(strengthLabel(selected))} · <button type="button" data-opponent-bucket="all">Alle zeigen</button>`}</p>`;
+    content.querySelectorAll("[data-opponent-bucket]").forEach(button => button.addEventListener("click", () => {
+      const bucket = button.dataset.opponentBucket;
+      state.deepDive.opponentBucket = bucket === state.deepDive.opponentBucket ? "all" : bucket;
+      renderDeepDive();
+    }));
+  };
+
   const renderDeepHighlights = (detail, content) => {
     const matches = detailMatches(detail);
     const bestMap = detailPeriodData(detail).personalBests?.bestMap;
@@ -1468,8 +1653,8 @@
       ["Multikill Match", pick(multikills), match => `${multikills(match)} Multikills`, "💥"],
       ["Größter ELO-Gewinn", pick(match => number(match.eloDiff, -999)), match => `${number(match.eloDiff) > 0 ? "+" : ""}${number(match.eloDiff)} ELO`, "◆"]
     ].filter(([, match]) => match);
-    const bestMapCard = bestMap ? `<article class="highlight-card"><span>⌖</span><small>Beste Map</small><strong>${escapeUi(bestMap.map)}</strong><p>${number(bestMap.winrate)}% Winrate · ${number(bestMap.matches)} Matches</p></article>` : "";
-    content.innerHTML = `<section class="deep-section-head"><div><span>Performance Highlights</span><h3>Bestleistungen der letzten ${state.analysisPeriod} Matches</h3></div></section><div class="highlight-grid">${bestMapCard}${highlights.map(([label, match, format, icon]) => `<a class="highlight-card" href="${escapeUi(safeHttp(match.matchUrl))}" target="_blank" rel="noopener noreferrer"><span>${icon}</span><small>${escapeUi(label)}</small><strong>${escapeUi(format(match))}</strong><p>${escapeUi(match.map || "Unknown")} · ${escapeUi(formatMatchDate(match.date))} · ${escapeUi(match.score || "—")}</p><b>Match öffnen ↗</b></a>`).join("") || '<p class="deep-empty">Keine Match-Highlights vorhanden.</p>'}</div>`;
+    const bestMapCard = bestMap ? `<article class="highlight-card"><span>⌖</span><small>Beste Map</small><strong>${escapeUi(bestMap.map)}</strong><p>${winrateLabel(bestMap.winrate, bestMap)} Winrate · ${number(bestMap.matches)} Matches</p></article>` : "";
+    content.innerHTML = `<section class="deep-section-head"><div><span>Performance Highlights</span><h3>Bestleistungen ${periodOf()}</h3></div></section><div class="highlight-grid">${bestMapCard}${highlights.map(([label, match, format, icon]) => `<a class="highlight-card" href="${escapeUi(safeHttp(match.matchUrl))}" target="_blank" rel="noopener noreferrer"><span>${icon}</span><small>${escapeUi(label)}</small><strong>${escapeUi(format(match))}</strong><p>${escapeUi(match.map || "Unknown")} · ${escapeUi(formatMatchDate(match.date))} · ${escapeUi(match.score || "—")}</p><b>Match öffnen ↗</b></a>`).join("") || '<p class="deep-empty">Keine Match-Highlights vorhanden.</p>'}</div>`;
   };
 
   const renderDeepDive = () => {
@@ -1482,13 +1667,14 @@
       button.classList.toggle("active", active);
       button.setAttribute("aria-selected", String(active));
     });
-    modal.querySelectorAll("[data-deep-period]").forEach(button => button.classList.toggle("active", number(button.dataset.deepPeriod) === state.analysisPeriod));
+    modal.querySelectorAll("[data-deep-period]").forEach(button => button.classList.toggle("active", parsePeriod(button.dataset.deepPeriod) === state.analysisPeriod));
     state.deepDive.chart?.destroy();
     state.deepDive.chart = null;
     window.clearTimeout(state.deepDive.filterTimer);
     if (state.deepDive.tab === "matches") renderDeepMatches(detail, content);
     else if (state.deepDive.tab === "maps") renderDeepMaps(detail, content);
     else if (state.deepDive.tab === "teammates") renderDeepTeammates(detail, content);
+    else if (state.deepDive.tab === "opponents") renderDeepOpponents(detail, content);
     else if (state.deepDive.tab === "highlights") renderDeepHighlights(detail, content);
     else renderDeepOverview(detail, content);
   };
@@ -1513,19 +1699,27 @@
     state.deepDive.tab = "overview";
     state.deepDive.matchPage = 1;
     state.deepDive.teammatePage = 1;
+    state.deepDive.opponentBucket = "all";
     state.deepDive.map = "all";
     state.deepDive.result = "all";
     state.deepDive.query = "";
     state.deepDive.mapSort = "matches";
     state.deepDive.mapSortDirection = "desc";
     state.deepDive.trigger = document.activeElement;
-    setText("deepDiveName", player.nickname || "Spieler-Analyse");
+    setText("deepDiveName", player.displayName || player.nickname || "Spieler-Analyse");
     const country = document.getElementById("deepDiveCountry");
     if (country) country.innerHTML = `${flagMarkup(player.country)}<span>${escapeUi(countryName(player.country))}</span>`;
     const avatar = document.getElementById("deepDiveAvatar");
     if (avatar) avatar.innerHTML = player.avatar ? `<img src="${escapeUi(safeHttp(player.avatar))}" alt="">` : escapeUi(text(player.nickname).slice(0, 1).toUpperCase());
     const meta = document.getElementById("deepDiveMeta");
-    if (meta) meta.innerHTML = `<img src="icons/levels/level_${Math.max(1, Math.min(10, number(player.level, 1)))}_icon.png" alt=""><span>Level ${number(player.level)}</span><strong>${number(player.elo).toLocaleString("de-DE")} ELO</strong>`;
+    const roster = player.roster || {};
+    const rosterMeta = [
+      roster.alias ? `<span>FACEIT: ${escapeUi(player.nickname)}</span>` : "",
+      roster.formerNicknames?.length ? `<span class="former-nicknames">früher bekannt als ${roster.formerNicknames.map(escapeUi).join(", ")}</span>` : "",
+      roster.joined ? `<span>Dabei seit ${escapeUi(formatMatchDate(roster.joined))}</span>` : "",
+      ...(roster.tags || []).map(tag => `<span class="roster-tag">${escapeUi(tag)}</span>`)
+    ].join("");
+    if (meta) meta.innerHTML = `<img src="icons/levels/level_${Math.max(1, Math.min(10, number(player.level, 1)))}_icon.png" alt=""><span>Level ${number(player.level)}</span><strong>${number(player.elo).toLocaleString("de-DE")} ELO</strong>${rosterMeta}`;
     const faceit = document.getElementById("deepDiveFaceit");
     if (faceit) faceit.href = safeHttp(player.faceitUrl);
     modal.hidden = false;
@@ -1550,7 +1744,7 @@
       renderDeepDive();
     }));
     modal.querySelectorAll("[data-deep-period]").forEach(button => button.addEventListener("click", () => {
-      const period = number(button.dataset.deepPeriod, 30);
+      const period = parsePeriod(button.dataset.deepPeriod);
       document.querySelector(`[data-analysis-period="${period}"]`)?.click();
       state.deepDive.matchPage = 1;
       state.deepDive.teammatePage = 1;
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
 const { DateTime } = require("luxon");
 
 const api = require('./src/api');
@@ -7,15 +9,58 @@ const stats = require('./src/stats');
 const renderer = require('./src/renderer');
 const { normalizeMapName } = require('./src/map_utils');
 const notifier = require('./src/notifier');
+const clock = require('./src/clock');
+const fixtures = require('./src/replay');
+const schema = require('./src/schema');
+const runReport = require('./src/run_report');
+const { writeJsonAtomic, readJson } = require('./src/atomic_fs');
+const retryQueue = require('./src/retry_queue');
+const eloLedger = require('./src/elo_ledger');
+const config = require('./src/config');
+const calendar = require('./src/calendar');
+const { resolveSquads, loadRosters } = require('./src/squads');
+const { recordNickname, saveRoster } = require('./src/roster');
+const { loadPlayerState, savePlayerState, countMissingTeams, canReuse } = require('./src/player_state');
+const { RANGES: LEDGER_RANGES } = eloLedger;
+const { itemDate, mergeEloHistory, oldestEloDate } = require('./src/elo_history');
+const pLimit = (...args) => import("p-limit").then(mod => mod.default(...args));
 
-const PLAYERS_FILE = "players.txt";
 const DATA_DIR = path.join(__dirname, "data");
 const NOTIFICATION_STATE_FILE = path.join(DATA_DIR, "discord_state.json");
 const HISTORY_CACHE_FILE = path.join(DATA_DIR, "history-cache.json");
-const TEMPLATE_FILE = "index.template.html";
-const OUTPUT_FILE = "index.html";
-const ANALYSIS_PERIODS = [30, 60, 100];
-const MAX_MATCHES = Math.max(...ANALYSIS_PERIODS);
+const RUN_REPORT_FILE = "run-report.json";
+// Replays render pages and the run report into <fixture dir>/output and leave
+// data/ and the live pages untouched; the static assets are copied next to the pages.
+const REPLAY_OUTPUT_DIR = fixtures.isReplaying() ? path.join(fixtures.dir, "output") : null;
+const PAGE_ASSETS = ["dashboard.css", "dashboard.js", "tailwind.generated.css", "vendor", "icons"];
+// Bump when the shape or calculation of player results changes to invalidate stored state.
+const PLAYER_STATE_VERSION = 6;
+const TEMPLATE_FILE = config.files.template;
+// Single squad: its dashboard. Several squads: the shared index linking their pages.
+const OUTPUT_FILE = config.files.output;
+const SQUAD_INDEX_TEMPLATE_FILE = config.files.squadIndexTemplate;
+const SQUADS = resolveSquads();
+// Per-squad snapshot files, only written when more than one squad is configured.
+const SQUAD_DATA_DIR = path.join(DATA_DIR, "squads");
+// Match-count windows plus "season" (every match since SEASON_START).
+const ANALYSIS_PERIODS = config.analysis.periods;
+const MAX_MATCHES = Math.max(...ANALYSIS_PERIODS.filter(Number.isFinite));
+// The first match-count window is the default view and fills `result.stats`.
+const PRIMARY_PERIOD = String(ANALYSIS_PERIODS.find(Number.isFinite));
+// Start of the current FACEIT season (seconds); analysis.seasonStart or January 1st.
+const SEASON_START = config.analysis.seasonStart
+    ? calendar.parseDate(config.analysis.seasonStart).toSeconds()
+    : calendar.startOfPeriod("yearly").toSeconds();
+// Upper bound for the season window so a very active player can't page forever.
+const SEASON_MATCH_LIMIT = config.analysis.seasonMatchLimit;
+// Players are processed side by side; the API client's shared request budget
+// keeps the total number of in-flight FACEIT calls bounded regardless.
+const PLAYER_CONCURRENCY = config.api.playerConcurrency;
+// Optional backfill: walk the ELO history back to this date (ms), from api.eloBackfillUntil.
+const ELO_BACKFILL_UNTIL = config.api.eloBackfillUntil
+    ? calendar.parseDate(config.api.eloBackfillUntil).toMillis()
+    : null;
+
 
 const RANGE_FILES = {
     daily: "elo-daily.json",
@@ -27,117 +72,286 @@ const RANGE_FILES = {
 
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
 
+/**
+ * Oldest ELO point kept in the history cache: cache.eloHistoryDays back, but
+ * never cutting into the season or a requested backfill.
+ * @returns {number} Milliseconds since epoch
+ */
+function eloHistoryKeepSince() {
+    return Math.min(
+        clock.now() - config.cache.eloHistoryDays * 24 * 60 * 60 * 1000,
+        SEASON_START * 1000,
+        ELO_BACKFILL_UNTIL ?? Infinity
+    );
+}
+
 function writeJson(file, data) {
-    fs.writeFileSync(path.join(DATA_DIR, file), JSON.stringify(data, null, 2));
+    writeJsonAtomic(path.join(DATA_DIR, file), data, { space: 2 });
 }
 
-function getPeriodStart(range) {
-    const now = DateTime.now().setZone("Europe/Berlin");
-    switch (range) {
-        case "daily": return now.startOf("day");
-        case "weekly": return now.startOf("week");
-        case "monthly": return now.startOf("month");
-        case "yearly": return now.startOf("year");
-        default: return now;
+/** Where a page is written: its configured path, or the replay output directory. */
+function pagePath(file) {
+    return REPLAY_OUTPUT_DIR ? path.join(REPLAY_OUTPUT_DIR, path.relative(__dirname, path.resolve(__dirname, file))) : file;
+}
+
+function copyPageAssets() {
+    fs.mkdirSync(REPLAY_OUTPUT_DIR, { recursive: true });
+    for (const asset of PAGE_ASSETS) {
+        const source = path.join(__dirname, asset);
+        if (fs.existsSync(source)) fs.cpSync(source, path.join(REPLAY_OUTPUT_DIR, asset), { recursive: true });
     }
 }
 
-function loadHistoryCache() {
-    if (fs.existsSync(HISTORY_CACHE_FILE)) {
-        try {
-            return JSON.parse(fs.readFileSync(HISTORY_CACHE_FILE, "utf-8"));
-        } catch (e) {
-            console.error("⚠️ Failed to load history cache:", e.message);
+/**
+ * One-time import of the snapshot files written before the ledger existed,
+ * so their baselines survive as the ledger's first records.
+ */
+function importRangeSnapshots() {
+    for (const range of LEDGER_RANGES) {
+        if (eloLedger.has(range)) continue;
+        const meta = readJson(path.join(DATA_DIR, `elo-${range}-meta.json`), null);
+        const rows = readJson(path.join(DATA_DIR, RANGE_FILES[range]), []);
+        if (!meta?.lastUpdated || !Array.isArray(rows) || rows.length === 0) continue;
+
+        const period = DateTime.fromISO(meta.lastUpdated, { zone: config.time.timezone }).toISODate();
+        if (!period) continue;
+        let imported = 0;
+        for (const row of rows) {
+            if (!row?.playerId || !Number.isFinite(Number(row.elo))) continue;
+            eloLedger.append({ range, period, playerId: row.playerId, elo: Number(row.elo), reason: "import" });
+            imported++;
         }
+        console.log(`📒 ELO ledger: imported ${imported} ${range} baseline(s) for ${period}`);
     }
-    return {};
+}
+
+function loadHistoryCache() {
+    return readJson(HISTORY_CACHE_FILE, {});
 }
 
 function saveHistoryCache(cache) {
     try {
-        fs.writeFileSync(HISTORY_CACHE_FILE, JSON.stringify(cache, null, 2));
+        writeJsonAtomic(HISTORY_CACHE_FILE, cache, { space: 2 });
     } catch (e) {
         console.error("⚠️ Failed to save history cache:", e.message);
     }
 }
 
-async function processPlayer(playerId, historyCache) {
+/**
+ * Fetches the latest ELO history page, or walks back to ELO_BACKFILL_UNTIL when
+ * backfilling is enabled and the cached history doesn't reach that far yet.
+ * @param {string} playerId - Player UUID
+ * @param {Array} cachedHistory - History already in data/history-cache.json
+ * @returns {Promise<Array>}
+ */
+function fetchEloHistory(playerId, cachedHistory) {
+    if (eloBackfillPending(cachedHistory)) {
+        return api.backfillEloHistory(playerId, ELO_BACKFILL_UNTIL);
+    }
+    return api.getEloHistory(playerId);
+}
+
+function eloBackfillPending(cachedHistory) {
+    if (!ELO_BACKFILL_UNTIL) return false;
+    const oldestCached = oldestEloDate(cachedHistory);
+    return oldestCached === null || oldestCached > ELO_BACKFILL_UNTIL;
+}
+
+/**
+ * Fetches the latest MAX_MATCHES matches and, if the season reaches further
+ * back, the remaining season matches before the oldest of them.
+ * @param {string} playerId - Player UUID
+ * @returns {Promise<{ items: Array }>} Matches, newest first
+ */
+async function fetchMatchHistory(playerId) {
+    const history = await api.getPlayerHistory(playerId, MAX_MATCHES);
+    const oldest = history.items.at(-1)?.finished_at;
+    if (!ANALYSIS_PERIODS.includes("season")) return history;
+    if (history.items.length < MAX_MATCHES || !oldest || oldest <= SEASON_START) return history;
+
+    const older = await api.getPlayerHistory(playerId, SEASON_MATCH_LIMIT - MAX_MATCHES, { from: SEASON_START, to: oldest });
+    const known = new Set(history.items.map(item => item.match_id));
+    return { items: [...history.items, ...older.items.filter(item => !known.has(item.match_id))] };
+}
+
+/**
+ * Picks the matches of one analysis period.
+ * @param {Array} items - Matches, newest first
+ * @param {number|string} period - Match count or "season"
+ * @returns {Array}
+ */
+function periodMatches(items, period) {
+    if (period === "season") return items.filter(item => Number(item.finished_at) >= SEASON_START);
+    return items.slice(0, period);
+}
+
+/**
+ * Describes everything a player's computed result depends on. When it matches
+ * the stored one, the player has not played since and the result is reused.
+ * @param {object} profile - FACEIT profile
+ * @param {object|undefined} latestMatch - Newest history item
+ * @returns {object}
+ */
+function playerFingerprint(profile, latestMatch) {
+    return {
+        version: PLAYER_STATE_VERSION,
+        periods: ANALYSIS_PERIODS.join(","),
+        seasonStart: SEASON_START,
+        roles: crypto.createHash("sha1").update(JSON.stringify(config.roles)).digest("hex"),
+        latestMatchId: latestMatch?.match_id || null,
+        elo: profile.elo,
+        profileHash: crypto.createHash("sha1").update(JSON.stringify(profile)).digest("hex")
+    };
+}
+
+/**
+ * Rebuilds a player result from the stored state. Only the time-dependent
+ * freshness labels and the configurable date format are recomputed;
+ * everything else is unchanged by definition.
+ */
+function reusePlayerResult(stored, cachedHistory) {
+    const periodStats = stored.periodStats || {};
+    for (const period of Object.values(periodStats)) {
+        const quality = period?.dataQuality;
+        if (!quality) continue;
+        const freshness = stats.getDataFreshness(quality.latestTimestamp);
+        quality.status = freshness.status;
+        quality.label = freshness.label;
+        quality.ageHours = Number.isFinite(freshness.ageHours) ? Math.round(freshness.ageHours) : null;
+    }
+    const eloTimeline = stats.normalizeEloHistory(cachedHistory || []);
+    return {
+        ...stored,
+        lastMatch: stored.lastMatchTs ? calendar.formatDateTime(stored.lastMatchTs) : "—",
+        stats: periodStats[PRIMARY_PERIOD],
+        periodStats,
+        eloTimeline,
+        careerPeak: careerPeakOf(eloTimeline),
+        unchanged: true
+    };
+}
+
+function careerPeakOf(eloTimeline) {
+    const peakPoint = eloTimeline.reduce((best, point) => !best || point.elo > best.elo ? point : best, null);
+    return peakPoint ? { elo: peakPoint.elo, date: peakPoint.date } : null;
+}
+
+/**
+ * Reduces an ELO timeline to the ELO each day ended with (configured calendar), which
+ * is all the dashboard needs to compute the trend for any date range.
+ * @param {Array<{ date: number, elo: number }>} eloTimeline - Normalized points, dates in seconds
+ * @returns {Array<[string, number]>} `[isoDay, elo]` pairs, oldest first
+ */
+function dailyEloTimeline(eloTimeline) {
+    const byDay = new Map();
+    for (const point of [...(eloTimeline || [])].sort((a, b) => a.date - b.date)) {
+        if (!Number.isFinite(point.elo)) continue;
+        byDay.set(calendar.dayOf(point.date), point.elo);
+    }
+    return [...byDay];
+}
+
+/**
+ * Fetches and computes everything the dashboard shows for one player.
+ * @param {string} playerId - Player UUID
+ * @param {object} historyCache - ELO history per player, updated in place
+ * @param {object} entry - Run report entry from `runReport.createPlayerEntry`, filled in place
+ * @param {object} [options]
+ * @param {boolean} [options.recompute] - Ignore the stored result, e.g. after a placeholder match resolved
+ * @returns {Promise<object|null>} Player result, or null if the player failed
+ */
+async function processPlayer(playerId, historyCache, entry, { recompute = false } = {}) {
     try {
-        const [profile, history, playerStats, freshEloHistory] = await Promise.all([
+        const [profile, latest] = await Promise.all([
             api.getPlayer(playerId),
-            api.getPlayerHistory(playerId, MAX_MATCHES),
-            api.getPlayerStats(playerId),
-            api.getEloHistory(playerId)
+            api.getPlayerHistory(playerId, 1)
         ]);
 
-        if (!profile || !profile.player_id) {
+        if (!profile) {
             console.error(`❌ Profile not found for ${playerId}`);
+            entry.reason = "profile_not_found";
             return null;
         }
+        entry.nickname = profile.nickname;
 
-        const currentElo = profile.games?.cs2?.faceit_elo || null;
-        if (!currentElo) return null;
+        const currentElo = profile.elo;
+        if (!currentElo) {
+            entry.reason = "missing_elo";
+            return null;
+        }
+
+        // Fixture runs always process everything and never touch the stored state.
+        const incremental = !fixtures.active && !recompute && !eloBackfillPending(historyCache[playerId]);
+        const fingerprint = playerFingerprint(profile, latest.items[0]);
+        const previous = incremental ? loadPlayerState(playerId) : null;
+        if (canReuse(previous, fingerprint)) {
+            entry.status = "unchanged";
+            entry.eloHistory = { source: "cached", points: (historyCache[playerId] || []).length };
+            entry.placeholderMatches = previous.diagnostics?.placeholderMatches || [];
+            entry.pendingMatches = previous.diagnostics?.pendingMatches || [];
+            return reusePlayerResult(previous.result, historyCache[playerId]);
+        }
+
+        const [history, playerStats, freshEloHistory] = await Promise.all([
+            fetchMatchHistory(playerId),
+            api.getPlayerStats(playerId),
+            fetchEloHistory(playerId, historyCache[playerId])
+        ]);
 
         // --- Elo History Logic ---
         let eloHistoryData = historyCache[playerId] || [];
-        
-        // 2. Decide if we should try to seed/update history
-        // We update if:
-        // - Cache is empty (new player)
-        // - Cache is short (< 30 entries)
-        // - or occasionally to keep it fresh/calibrated with the internal API
-        const needsSeeding = eloHistoryData.length < 100;
+        let eloHistorySource = "cached";
 
         if (freshEloHistory && freshEloHistory.length > 0) {
-            if (needsSeeding || freshEloHistory.length >= eloHistoryData.length) {
-                // For new players or if fresh history covers more ground, just use it
-                eloHistoryData = freshEloHistory;
-            } else {
-                // Merge fresh points that we don't have yet
-                const existingDates = new Set(eloHistoryData.map(h => h.date));
-                const newPoints = freshEloHistory.filter(h => !existingDates.has(h.date));
-                if (newPoints.length > 0) {
-                    eloHistoryData = [...eloHistoryData, ...newPoints].sort((a, b) => a.date - b.date);
-                }
-            }
-            historyCache[playerId] = eloHistoryData;
+            eloHistorySource = eloHistoryData.length > 0 ? "merged" : "fresh";
+            // Merge by matchId so backfilled history survives the regular 100-entry refreshes
+            eloHistoryData = mergeEloHistory(eloHistoryData, freshEloHistory, { keepSince: eloHistoryKeepSince() });
         } else if (currentElo) {
-            // 3. If fresh history failed (Cloudflare block), append the current Elo to the existing cache
+            // If fresh history failed (Cloudflare block), append the current Elo to the existing cache
             const lastTs = history.items[0]?.finished_at;
-            const nowTs = lastTs ? lastTs * 1000 : Date.now();
+            const nowTs = lastTs ? lastTs * 1000 : clock.now();
             
-            const alreadyExists = eloHistoryData.some(h => Math.abs(h.date - nowTs) < 60000); // within 1 minute
+            const alreadyExists = eloHistoryData.some(h => Math.abs(itemDate(h) - nowTs) < 60000); // within 1 minute
             
             if (!alreadyExists) {
-                eloHistoryData.push({
+                eloHistoryData = mergeEloHistory(eloHistoryData, [{
                     date: nowTs,
                     elo: String(currentElo)
-                });
-                historyCache[playerId] = eloHistoryData;
+                }], { keepSince: eloHistoryKeepSince() });
             }
             
             if (eloHistoryData.length === 1) {
                 console.warn(`⚠️ Only 1 Elo data point for ${profile.nickname}. History fetch likely blocked by Cloudflare.`);
             }
         }
-        
-        // Keep history at reasonable size
-        if (eloHistoryData.length > 300) eloHistoryData = eloHistoryData.slice(-300);
         historyCache[playerId] = eloHistoryData;
+        entry.eloHistory = { source: eloHistorySource, points: eloHistoryData.length };
 
         // Fetch immutable match stats with a concurrency limit and persistent cache.
         const matchStatsMap = {};
         await Promise.all(history.items.map(async item => {
-            let ms = await api.getMatchStats(item.match_id);
+            // Matches still backing off in the retry queue are not requested again this run.
+            const waiting = retryQueue.isWaiting(item.match_id);
+            // History is newest first, so the per-run fetch budget goes to the shortest windows first.
+            if (!waiting && !api.reserveMatchFetch(item.match_id)) {
+                matchStatsMap[item.match_id] = { __mapName: "Unknown", __pending: true };
+                entry.pendingMatches.push(item.match_id);
+                return;
+            }
+            let ms = waiting ? null : await api.getMatchStats(item.match_id);
             if (!ms) {
                 // Fallback: Create placeholder so stats.js doesn't skip the match entirely (for Teammates logic)
                 ms = { __mapName: "Unknown" };
+                entry.placeholderMatches.push(item.match_id);
+                // Teammates share matches; only the first failure of a run counts as an attempt.
+                if (retryQueue.isWaiting(item.match_id)) retryQueue.addPlayer(item.match_id, playerId);
+                else retryQueue.recordFailure(item.match_id, playerId);
                 
                 // Try to get map name from details if stats failed
                 try {
                     const details = await api.getMatchDetails(item.match_id);
-                    if (details && details.voting && details.voting.map && details.voting.map.pick && details.voting.map.pick.length > 0) {
-                        ms.__mapName = normalizeMapName(details.voting.map.pick[0]);
+                    if (details?.map) {
+                        ms.__mapName = normalizeMapName(details.map);
                     }
                 } catch (e) {
                     console.error(`Failed to fetch match details for fallback: ${item.match_id}`, e.message);
@@ -150,8 +364,8 @@ async function processPlayer(playerId, historyCache) {
                      // Try fetching full match details if map is unknown
                      try {
                          const details = await api.getMatchDetails(item.match_id);
-                         if (details && details.voting && details.voting.map && details.voting.map.pick && details.voting.map.pick.length > 0) {
-                             mapName = details.voting.map.pick[0];
+                         if (details?.map) {
+                             mapName = details.map;
                          }
                      } catch (e) {}
                      ms.__mapName = mapName || "Unknown";
@@ -162,54 +376,107 @@ async function processPlayer(playerId, historyCache) {
             matchStatsMap[item.match_id] = ms;
         }));
 
-        const sortedEloHistory = [...eloHistoryData].sort((a, b) =>
-            Number(a.date ?? a.created_at ?? a.updated_at) - Number(b.date ?? b.created_at ?? b.updated_at)
-        );
+        const sortedEloHistory = [...eloHistoryData].sort((a, b) => itemDate(a) - itemDate(b));
+        const eloTimeline = stats.normalizeEloHistory(eloHistoryData);
         const periodStats = Object.fromEntries(ANALYSIS_PERIODS.map(period => {
-            const periodHistory = history.items.slice(0, period);
+            const periodHistory = periodMatches(history.items, period);
+            const matchCount = period === "season" ? periodHistory.length : period;
             // Keep one baseline point so a missing FACEIT `elo_delta` can be
             // reconstructed for the first match inside the selected period.
-            const periodEloHistory = sortedEloHistory.slice(-(period + 1));
+            const periodEloHistory = sortedEloHistory.slice(-(matchCount + 1));
             return [
                 String(period),
-                stats.calculatePlayerStats(playerId, periodHistory, matchStatsMap, periodEloHistory, period)
+                stats.calculatePlayerStats(playerId, periodHistory, matchStatsMap, periodEloHistory, matchCount)
             ];
         }));
-        const calculatedStats = periodStats["30"];
+        const calculatedStats = periodStats[PRIMARY_PERIOD];
 
         const lastTs = history.items[0]?.finished_at;
-        const lastMatch = lastTs ? DateTime.fromSeconds(lastTs).setZone("Europe/Berlin").toFormat("yyyy-MM-dd HH:mm") : "—";
+        const lastMatch = lastTs ? calendar.formatDateTime(lastTs) : "—";
         const lastMatchTs = lastTs || 0;
-        const url = (profile.faceit_url || "").replace("{lang}", "de");
-
-        return {
-            playerId: profile.player_id,
+        const result = {
+            playerId: profile.playerId,
             nickname: profile.nickname,
-            avatar: profile.avatar || "",
-            country: profile.country || "",
-            region: profile.games?.cs2?.region || "",
-            memberships: Array.isArray(profile.memberships) ? profile.memberships : [],
-            steamId: profile.steam_id_64 || profile.games?.cs2?.game_player_id || "",
-            createdAt: profile.activated_at || profile.created_at || null,
+            avatar: profile.avatar,
+            country: profile.country,
+            region: profile.region,
+            memberships: profile.memberships,
+            steamId: profile.steamId,
+            createdAt: profile.createdAt,
             elo: currentElo,
-            level: profile.games?.cs2?.skill_level || 0,
-            faceitUrl: url,
-            winrate: playerStats.lifetime ? playerStats.lifetime["Win Rate %"] + "%" : "—",
-            matches: playerStats.lifetime ? playerStats.lifetime["Matches"] : "—",
+            level: profile.level,
+            faceitUrl: profile.faceitUrl,
+            winrate: playerStats.winrate !== null ? `${playerStats.winrate}%` : "—",
+            matches: playerStats.matches ?? "—",
             lastMatch,
             lastMatchTs,
             latestMatchId: history.items[0]?.match_id || null,
             latestMatchResult: calculatedStats.last5[0] || null,
             stats: calculatedStats,
-            periodStats
+            periodStats,
+            eloTimeline,
+            careerPeak: careerPeakOf(eloTimeline)
         };
+        entry.status = "ok";
+        if (!fixtures.active) {
+            // `stats` duplicates periodStats[PRIMARY_PERIOD] and the timeline is rebuilt from the history cache.
+            const { stats: _stats, eloTimeline: _timeline, careerPeak: _peak, ...stored } = result;
+            savePlayerState(playerId, fingerprint, stored, {
+                placeholderMatches: entry.placeholderMatches,
+                pendingMatches: entry.pendingMatches,
+                teamsMissing: countMissingTeams(matchStatsMap, [...entry.placeholderMatches, ...entry.pendingMatches])
+            });
+        }
+        return result;
 
     } catch (e) {
         console.error(`❌ Error processing ${playerId}:`, e);
+        entry.status = "failed";
+        entry.reason = "exception";
+        entry.error = e.message;
         return null;
     }
 }
 
+/**
+ * Retries match stats that failed on earlier runs and whose backoff has elapsed.
+ * @returns {Promise<Set<string>>} Players whose placeholder matches now have stats
+ */
+async function retryFailedMatches() {
+    const recompute = new Set();
+    const due = retryQueue.due();
+    if (due.length === 0) return recompute;
+
+    console.log(`🔁 Retrying stats for ${due.length} of ${retryQueue.size} queued matches...`);
+    await Promise.all(due.map(async matchId => {
+        const matchStats = await api.getMatchStats(matchId);
+        if (matchStats) {
+            retryQueue.resolve(matchId).forEach(playerId => recompute.add(playerId));
+        } else {
+            retryQueue.recordFailure(matchId);
+        }
+    }));
+    console.log(`🔁 ${recompute.size} player(s) gain resolved matches, ${retryQueue.size} match(es) still queued`);
+    return recompute;
+}
+
+/**
+ * Discord targets of every squad the player is in. Squads sharing a channel
+ * get the notification once.
+ * @param {string} playerId
+ * @param {Map<string, Set<string>>} members - Player IDs per squad
+ * @returns {Array<{ webhookUrl: string, channelId: string }>}
+ */
+function notificationTargets(playerId, members) {
+    const targets = new Map();
+    for (const squad of SQUADS) {
+        if (!members.get(squad.id).has(playerId)) continue;
+        const target = notifier.targetFor(squad);
+        if (target) targets.set(`${target.webhookUrl}|${target.channelId}`, target);
+    }
+    return [...targets.values()];
+}
+
 function calculateAwards(results) {
     if (results.length === 0) return {};
 
@@ -253,6 +520,23 @@ function calculateAwards(results) {
     };
 }
 
+/**
+ * Prints request counts, cache hits, retries and time spent per player.
+ * @param {Array<object>} playerUsage - Usage collected per processed player
+ * @param {number} totalMs - Wall-clock duration of the player phase
+ */
+function logRunSummary(playerUsage, totalMs) {
+    const { requests, cacheHits, retries, failures } = api.metrics;
+    const unchanged = playerUsage.filter(entry => entry.unchanged).length;
+    console.log(`📊 Run summary: ${requests} requests · ${cacheHits} cache hits · ${retries} retries · ${failures} failed · ${(totalMs / 1000).toFixed(1)}s for ${playerUsage.length} players (${unchanged} unchanged)`);
+    for (const entry of [...playerUsage].sort((a, b) => b.durationMs - a.durationMs)) {
+        console.log(`   ${entry.nickname.padEnd(18, " ")} ${(entry.durationMs / 1000).toFixed(1).padStart(6, " ")}s · ${entry.requests} requests · ${entry.cacheHits} cache hits · ${entry.retries} retries${entry.unchanged ? " · unchanged" : ""}`);
+    }
+    for (const warning of schema.warnings) {
+        console.log(`   ⚠️ Schema: ${warning.endpoint}.${warning.field} ${warning.issue} ×${warning.count}`);
+    }
+}
+
 (async () => {
     console.log("🚀 Starting Faceit Dashboard Update...");
 
@@ -265,21 +549,17 @@ function calculateAwards(results) {
 
     if (fs.existsSync(NOTIFICATION_STATE_FILE)) {
         isBrandNew = false;
-        try {
-            const data = JSON.parse(fs.readFileSync(NOTIFICATION_STATE_FILE, "utf-8"));
-            if (data.players) {
-                notificationState = data;
-            } else {
-                // Migration from old format (only players map)
-                notificationState = { lastRunTs: 0, players: data };
-                isMigration = true;
-            }
-        } catch (e) {
-            console.error("⚠️ Failed to load notification state:", e.message);
+        const data = readJson(NOTIFICATION_STATE_FILE, null);
+        if (data?.players) {
+            notificationState = data;
+        } else if (data) {
+            // Migration from old format (only players map)
+            notificationState = { lastRunTs: 0, players: data };
+            isMigration = true;
         }
     }
 
-    const runStartTimeTs = Math.floor(Date.now() / 1000);
+    const runStartTimeTs = Math.floor(clock.nowSeconds());
     let comparisonTs = notificationState.lastRunTs;
 
     if (isBrandNew) {
@@ -291,25 +571,61 @@ function calculateAwards(results) {
         comparisonTs = runStartTimeTs - 24 * 3600;
     }
 
-    const lines = fs.readFileSync(PLAYERS_FILE, "utf-8")
-        .trim()
-        .split("\n")
-        .map(l => l.split(/#|\/\//)[0].trim())
-        .filter(Boolean);
+    // A player listed in several squads is fetched and processed once.
+    const { rosters, playerIds } = loadRosters(SQUADS);
+    // Hidden (benched) players are members too: tracked, notified and in the snapshots.
+    const members = new Map([...rosters].map(([squadId, entries]) => [squadId, new Set(entries.map(entry => entry.id))]));
 
     const historyCache = loadHistoryCache();
 
-    console.log(`ℹ️ Processing ${lines.length} players...`);
+    // Fixture runs must not depend on (or change) the live retry queue.
+    if (!fixtures.active) retryQueue.load();
+    const recomputePlayers = await retryFailedMatches();
+
+    console.log(`ℹ️ Processing ${playerIds.length} players${SQUADS.length > 1 ? ` in ${SQUADS.length} squads` : ""}...`);
+
+    const runStartedAt = performance.now();
+    const runStartedAtMs = clock.now();
+    const playerLimit = await pLimit(PLAYER_CONCURRENCY);
+    const playerUsage = [];
+    const reportEntries = playerIds.map(id => runReport.createPlayerEntry(id));
+    let completed = 0;
+    const processed = await Promise.all(playerIds.map((id, index) => playerLimit(async () => {
+        const startedAt = performance.now();
+        const entry = reportEntries[index];
+        const { value: p, usage } = await api.track(() => processPlayer(id, historyCache, entry, { recompute: recomputePlayers.has(id) }));
+        // Only dirty shards are written, so a crash or timeout later in the run keeps what was fetched.
+        api.saveMatchCache();
+        const durationMs = Math.round(performance.now() - startedAt);
+        const label = p?.nickname || id.substring(0, 8);
+        playerUsage.push({ playerId: id, nickname: label, durationMs, unchanged: Boolean(p?.unchanged), ...usage });
+        Object.assign(entry, { durationMs, ...usage });
+        console.log(`  ⏳ Processed ${++completed}/${playerIds.length}: ${label} (${(durationMs / 1000).toFixed(1)}s)`);
+        return p;
+    })));
+    const playerPhaseMs = performance.now() - runStartedAt;
+    api.saveMatchCache();
+    if (!fixtures.active) retryQueue.save();
+
+    // A critical field missing from every payload means FACEIT changed its API;
+    // rendering now would overwrite good data with empty values.
+    const criticalFailures = schema.criticalFailures();
+    if (criticalFailures.length > 0) {
+        console.error("❌ FACEIT schema changed – aborting before any data is written:");
+        for (const failure of criticalFailures) {
+            console.error(`   ${failure.endpoint}.${failure.field} missing in all ${failure.payloads} payloads`);
+        }
+        process.exit(1);
+    }
 
     const results = [];
-    for (let i = 0; i < lines.length; i++) {
-        const id = lines[i];
-        console.log(`  ⏳ Processing ${i + 1}/${lines.length}: ${id.substring(0, 8)}...`);
-        const p = await processPlayer(id, historyCache);
-        api.saveMatchCache();
+    for (const p of processed) {
         if (p) {
             results.push(p);
 
+            // Replays rebuild the dashboard only; they must never post to Discord.
+            if (fixtures.isReplaying()) continue;
+
             // Discord Notification Logic
             const lastSavedMatchId = notificationState.players[p.playerId];
             
@@ -335,6 +651,7 @@ function calculateAwards(results) {
                 newMatches.reverse();
                 
                 let lastSuccessfullyHandledId = lastSavedMatchId;
+                const targets = notificationTargets(p.playerId, members);
 
                 for (const matchStats of newMatches) {
                     const matchTs = matchStats.date;
@@ -361,22 +678,25 @@ function calculateAwards(results) {
                         // Detect Dashboard Teammates in this specific match
                         const matchDetails = await api.getMatchDetails(matchStats.matchId);
                         const dashboardTeammates = [];
-                        if (matchDetails && matchDetails.teams) {
+                        if (matchDetails) {
                             const allPlayersInMatch = Object.values(matchDetails.teams).flatMap(t => t.roster);
                             for (const pm of allPlayersInMatch) {
                                 if (pm.nickname === p.nickname) continue;
-                                // Check if this player is in our players list
-                                if (lines.includes(pm.player_id)) {
+                                // Check if this player is tracked in any squad
+                                if (playerIds.includes(pm.playerId)) {
                                     dashboardTeammates.push(pm.nickname);
                                 }
                             }
                         }
 
-                        await notifier.sendMatchNotification({ ...p, elo: matchElo }, {
-                            ...matchStats,
-                            eloDiff,
-                            teammates: dashboardTeammates
-                        });
+                        // No target at all still goes through once so the missing credentials are logged
+                        for (const target of targets.length > 0 ? targets : [null]) {
+                            await notifier.sendMatchNotification({ ...p, elo: matchElo }, {
+                                ...matchStats,
+                                eloDiff,
+                                teammates: dashboardTeammates
+                            }, target);
+                        }
                         
                         lastSuccessfullyHandledId = matchStats.matchId;
                     } else {
@@ -395,17 +715,35 @@ function calculateAwards(results) {
         }
     }
 
+    // Keep the rosters' nicknames current and remember the old ones; replays leave the roster files alone.
+    if (!fixtures.isReplaying()) {
+        const renamedAt = new Date(clock.now());
+        const logged = new Set();
+        for (const squad of SQUADS) {
+            const entries = rosters.get(squad.id);
+            let changed = false;
+            for (const entry of entries) {
+                const player = results.find(p => p.playerId === entry.id);
+                const previous = entry.nickname;
+                if (!player || !recordNickname(entry, player.nickname, renamedAt)) continue;
+                changed = true;
+                if (previous && !logged.has(entry.id)) console.log(`✏️ ${previous} renamed to ${player.nickname}`);
+                logged.add(entry.id);
+            }
+            if (changed) saveRoster(squad.players, entries);
+        }
+    }
+
     results.sort((a, b) => b.elo - a.elo);
 
     const latest = results.map(r => ({ playerId: r.playerId, elo: r.elo }));
-    writeJson(RANGE_FILES.latest, latest);
+    if (!fixtures.isReplaying()) writeJson(RANGE_FILES.latest, latest);
 
-    const updatedTime = DateTime.now().setZone("Europe/Berlin").toFormat("yyyy-MM-dd HH:mm");
-    const now = DateTime.now().setZone("Europe/Berlin");
+    const updatedTime = calendar.formatDateTime(clock.nowSeconds());
 
     const findEloAt = (player, dateThreshold) => {
-        if (!player.stats.eloHistory || player.stats.eloHistory.length === 0) return player.elo;
-        const history = player.stats.eloHistory;
+        const history = player.eloTimeline?.length ? player.eloTimeline : player.stats.eloHistory;
+        if (!history || history.length === 0) return player.elo;
         const thresholdTs = dateThreshold.toSeconds();
         for (let i = history.length - 1; i >= 0; i--) {
             if (history[i].date <= thresholdTs) {
@@ -416,108 +754,134 @@ function calculateAwards(results) {
         return player.elo;
     };
 
-    const snapshotData = {};
-
-    for (const range of ["daily", "weekly", "monthly", "yearly"]) {
-        const metaPath = path.join(DATA_DIR, `elo-${range}-meta.json`);
-        let needsUpdate = true;
-        let dataForRange = [];
+    // Record each player's ELO at the start of every period in the ledger and
+    // derive the range files from it; they remain as an audit trail, the
+    // dashboard computes trends from the daily timelines below.
+    eloLedger.persist = !fixtures.isReplaying();
+    eloLedger.load();
+    importRangeSnapshots();
 
-        if (fs.existsSync(path.join(DATA_DIR, RANGE_FILES[range]))) {
-            try {
-                dataForRange = JSON.parse(fs.readFileSync(path.join(DATA_DIR, RANGE_FILES[range]), "utf-8"));
-            } catch { }
-        }
-
-        if (fs.existsSync(metaPath)) {
-            try {
-                const m = JSON.parse(fs.readFileSync(metaPath, "utf-8"));
-                const start = getPeriodStart(range);
-                if (DateTime.fromISO(m.lastUpdated, { zone: "Europe/Berlin" }) >= start) {
-                    needsUpdate = false;
-                }
-            } catch { }
-        } else {
-            console.log(`ℹ️ First run for ${range}. Backfilling from history...`);
-            let threshold;
-            if (range === "daily") threshold = now.startOf("day");
-            if (range === "weekly") threshold = now.startOf("week");
-            if (range === "monthly") threshold = now.startOf("month");
-            if (range === "yearly") threshold = now.startOf("year");
-
-            const backfilledData = results.map(p => {
-                const history = p.stats.eloHistory;
-                if (history && history.length > 0) {
-                    const lastMatchDate = history[history.length - 1].date;
-                    if (lastMatchDate < threshold.toSeconds()) {
-                        return { playerId: p.playerId, elo: p.elo };
-                    }
-                }
-                return {
-                    playerId: p.playerId,
-                    elo: findEloAt(p, threshold)
-                };
-            });
-
-            writeJson(RANGE_FILES[range], backfilledData);
-            fs.writeFileSync(metaPath, JSON.stringify({ lastUpdated: threshold.toISODate() }, null, 2));
-            needsUpdate = false;
-        }
-        if (needsUpdate) {
-            dataForRange = latest;
-            writeJson(RANGE_FILES[range], latest);
-            const start = getPeriodStart(range);
-            fs.writeFileSync(metaPath, JSON.stringify({ lastUpdated: start.toISODate() }, null, 2));
-            console.log(`✅ ${RANGE_FILES[range]} updated.`);
-        }
-
-        // Repair & backfill: ensure all players have correct snapshot values
-        const snapshotMap = new Map(dataForRange.map(d => [d.playerId, d]));
-        const threshold = getPeriodStart(range);
+    for (const range of LEDGER_RANGES) {
+        const threshold = calendar.startOfPeriod(range);
         const thresholdTs = threshold.toSeconds();
-        let changed = false;
+        const period = threshold.toISODate();
+        let appended = 0;
 
         for (const p of results) {
             const playedInPeriod = p.lastMatchTs && p.lastMatchTs >= thresholdTs;
-            const correctElo = playedInPeriod ? findEloAt(p, threshold) : p.elo;
-
-            const existing = snapshotMap.get(p.playerId);
+            const existing = eloLedger.latest(range, period, p.playerId);
             if (!existing) {
-                // New player — add to snapshot
-                dataForRange.push({ playerId: p.playerId, elo: correctElo });
-                changed = true;
-            } else if (!playedInPeriod && existing.elo !== p.elo) {
-                // Inactive player with stale value — fix to current ELO (GAIN = 0)
-                existing.elo = p.elo;
-                changed = true;
+                eloLedger.append({
+                    range,
+                    period,
+                    playerId: p.playerId,
+                    elo: Number(playedInPeriod ? findEloAt(p, threshold) : p.elo),
+                    reason: playedInPeriod ? "history" : "current"
+                });
+                appended++;
+            } else if (!playedInPeriod && existing.elo !== Number(p.elo)) {
+                // Inactive player whose ELO changed anyway (e.g. a FACEIT correction): GAIN stays 0
+                eloLedger.append({ range, period, playerId: p.playerId, elo: Number(p.elo), reason: "inactive-correction" });
+                appended++;
             }
         }
-        if (changed) {
-            writeJson(RANGE_FILES[range], dataForRange);
-        }
 
-        snapshotData[range] = dataForRange;
+        if (!fixtures.isReplaying()) {
+            const snapshot = eloLedger.snapshot(range, period);
+            writeJson(RANGE_FILES[range], snapshot);
+            if (SQUADS.length > 1) {
+                for (const squad of SQUADS) {
+                    const squadMembers = members.get(squad.id);
+                    writeJsonAtomic(path.join(SQUAD_DATA_DIR, squad.id, RANGE_FILES[range]), snapshot.filter(entry => squadMembers.has(entry.playerId)), { space: 2 });
+                }
+            }
+            writeJsonAtomic(path.join(DATA_DIR, `elo-${range}-meta.json`), { lastUpdated: period }, { space: 2 });
+        }
+        if (appended > 0) console.log(`✅ ${RANGE_FILES[range]}: ${appended} ledger record(s) for ${period}`);
     }
 
-    // Calculate awards
-    const awards = calculateAwards(results);
-
-    // Render HTML with all data
-    renderer.render(TEMPLATE_FILE, OUTPUT_FILE, {
-        players: results,
-        lastUpdated: updatedTime,
-        historyData: snapshotData,
-        awards
+    const report = runReport.buildRunReport({
+        mode: fixtures.mode || "live",
+        startedAt: runStartedAtMs,
+        durationMs: playerPhaseMs,
+        players: reportEntries,
+        apiMetrics: api.metrics,
+        schemaWarnings: schema.warnings,
+        retryQueue: { pending: retryQueue.size, resolved: retryQueue.resolved, gaveUp: retryQueue.gaveUp },
+        missingFixtures: fixtures.missing
     });
+    const dataHealth = runReport.summarizeHealth(report);
+
+    // Render one page per squad from the shared results
+    if (REPLAY_OUTPUT_DIR) copyPageAssets();
+    // Page paths resolved once, so squad links point at the pages actually written.
+    const pageSquads = SQUADS.map(squad => ({ ...squad, output: pagePath(squad.output) }));
+    const squadPages = [];
+    for (const squad of pageSquads) {
+        const squadMembers = members.get(squad.id);
+        const entries = new Map(rosters.get(squad.id).map(entry => [entry.id, entry]));
+        // Hidden players are left off the page; the roster entry carries alias, declared role, join date and tags.
+        const squadResults = results
+            .filter(p => squadMembers.has(p.playerId) && !entries.get(p.playerId).hidden)
+            .map(p => ({ ...p, roster: entries.get(p.playerId) }));
+        squadPages.push({ ...squad, players: squadResults });
+
+        if (SQUADS.length > 1 && !fixtures.isReplaying()) {
+            writeJsonAtomic(path.join(SQUAD_DATA_DIR, squad.id, RANGE_FILES.latest), latest.filter(entry => squadMembers.has(entry.playerId)), { space: 2 });
+        }
+
+        const eloTimelines = {
+            calendar: config.time,
+            seasonStart: calendar.dayOf(SEASON_START),
+            players: Object.fromEntries(squadResults.map(p => [p.playerId, dailyEloTimeline(p.eloTimeline)]))
+        };
+
+        // Render HTML with all data
+        renderer.render(TEMPLATE_FILE, squad.output, {
+            players: squadResults,
+            allPlayers: results,
+            lastUpdated: updatedTime,
+            eloTimelines,
+            awards: calculateAwards(squadResults),
+            analysisPeriods: ANALYSIS_PERIODS,
+            crewName: config.crew.name,
+            squad,
+            squads: pageSquads,
+            indexPage: pagePath(OUTPUT_FILE),
+            freshness: stats.getFreshnessBands(),
+            dataHealth
+        });
+    }
+
+    if (SQUADS.length > 1) {
+        renderer.renderSquadIndex(SQUAD_INDEX_TEMPLATE_FILE, pagePath(OUTPUT_FILE), {
+            crewName: config.crew.name,
+            lastUpdated: updatedTime,
+            squads: squadPages,
+            dataHealth
+        });
+    }
 
     // Update lastRunTs to the time we started processing
     notificationState.lastRunTs = runStartTimeTs;
 
-    // Save notification state
-    fs.writeFileSync(NOTIFICATION_STATE_FILE, JSON.stringify(notificationState, null, 2));
+    // Save notification state (replays leave the live notification cursor untouched)
+    if (!fixtures.isReplaying()) {
+        writeJsonAtomic(NOTIFICATION_STATE_FILE, notificationState, { space: 2 });
+    }
+
+    if (fixtures.isReplaying()) {
+        writeJsonAtomic(path.join(REPLAY_OUTPUT_DIR, RUN_REPORT_FILE), report, { space: 2 });
+        console.log(`📼 Replay output written to ${REPLAY_OUTPUT_DIR}`);
+    } else {
+        saveHistoryCache(historyCache);
+        writeJson(RUN_REPORT_FILE, report);
+    }
 
-    // Save history cache
-    saveHistoryCache(historyCache);
+    logRunSummary(playerUsage, playerPhaseMs);
 
+    if (fixtures.missing > 0) {
+        console.warn(`⚠️ Replay finished with ${fixtures.missing} missing fixture(s).`);
+    }
     console.log("✨ Done!");
 })();
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+// manage-cache.js — Inspect, verify, prune and repair the match and ELO history caches
+// Usage:
+//   node manage-cache.js stats
+//   node manage-cache.js verify
+//   node manage-cache.js prune [--dry-run]
+//   node manage-cache.js elo <player> <YYYY-MM-DD>
+//   FACEIT_API_KEY=xxx node manage-cache.js refetch <matchId...> | --placeholders
+
+const fs = require("fs");
+const path = require("path");
+const cache = require("./src/cache");
+const { resolveSquads } = require("./src/squads");
+const { loadRoster, rosterFiles } = require("./src/roster");
+const retryQueue = require("./src/retry_queue");
+const eloLedger = require("./src/elo_ledger");
+const { readJson, writeJsonAtomic } = require("./src/atomic_fs");
+const {
+    isPlaceholder,
+    verifyMatchEntry,
+    summarizeCaches,
+    findOrphanMatches,
+    findOrphanHistories
+} = require("./src/cache_maintenance");
+
+// Every squad's roster; a player counts as tracked if any squad lists them, hidden or not.
+const PLAYER_FILES = resolveSquads().map((squad) => path.join(__dirname, squad.players));
+const DATA_DIR = path.join(__dirname, "data");
+const HISTORY_CACHE_FILE = path.join(DATA_DIR, "history-cache.json");
+const PLAYER_STATE_DIR = path.join(DATA_DIR, "state");
+
+// ─── Helpers ───────────────────────────────────────────────
+
+function readPlayers() {
+    const players = new Map();
+    for (const file of PLAYER_FILES) {
+        const { rosterFile, legacyFile } = rosterFiles(file);
+        if (!fs.existsSync(rosterFile) && !fs.existsSync(legacyFile)) continue;
+        for (const entry of loadRoster(file)) {
+            if (!players.has(entry.id)) players.set(entry.id, { id: entry.id, name: entry.alias || entry.nickname || entry.id });
+        }
+    }
+    return [...players.values()];
+}
+
+function directorySize(dir) {
+    if (!fs.existsSync(dir)) return 0;
+    return fs.readdirSync(dir).reduce((sum, file) => sum + fs.statSync(path.join(dir, file)).size, 0);
+}
+
+const formatDate = (ms) => (ms ? new Date(ms).toISOString().slice(0, 10) : "—");
+const formatKB = (bytes) => `${Math.round(bytes / 1024)} KB`;
+
+/** Placeholder match ids recorded in the per-player state, keyed by state file. */
+function statePlaceholders() {
+    if (!fs.existsSync(PLAYER_STATE_DIR)) return [];
+    return fs.readdirSync(PLAYER_STATE_DIR)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => {
+            const state = readJson(path.join(PLAYER_STATE_DIR, file), null);
+            return { file, matchIds: state?.diagnostics?.placeholderMatches || [] };
+        })
+        .filter((entry) => entry.matchIds.length > 0);
+}
+
+// ─── Commands ──────────────────────────────────────────────
+
+function showStats() {
+    const entries = cache.entries();
+    const historyCache = readJson(HISTORY_CACHE_FILE, {});
+    const summary = summarizeCaches(entries, readPlayers(), historyCache);
+
+    console.log("📦 Match-Cache");
+    console.log(`   Einträge:      ${summary.matches.entries} (${summary.matches.placeholders} Platzhalter)`);
+    console.log(`   Größe:         ${formatKB(directorySize(cache.dir))} in ${cache.shards.size} Shards`);
+    console.log(`   Ältester:      ${formatDate(summary.matches.oldestCachedAt)}`);
+    console.log(`   Neuester:      ${formatDate(summary.matches.newestCachedAt)}`);
+    console.log("");
+    console.log("📈 ELO-Historie");
+    console.log(`   Spieler:       ${summary.history.players}`);
+    console.log(`   Datenpunkte:   ${summary.history.points}`);
+    console.log(`   Größe:         ${formatKB(fs.existsSync(HISTORY_CACHE_FILE) ? fs.statSync(HISTORY_CACHE_FILE).size : 0)}`);
+    console.log("");
+    console.log("   Nickname            Matches  ELO-Punkte");
+    console.log("   ──────────────────  ───────  ──────────");
+    for (const player of summary.perPlayer) {
+        console.log(`   ${player.name.padEnd(18, " ")}  ${String(player.matches).padStart(7, " ")}  ${String(player.eloPoints).padStart(10, " ")}`);
+    }
+    console.log("");
+}
+
+function verify() {
+    const entries = cache.entries();
+    let broken = 0;
+    for (const [matchId, entry] of entries) {
+        const problems = verifyMatchEntry(entry);
+        if (problems.length === 0) continue;
+        broken++;
+        console.log(`   ❌ ${matchId}: ${problems.join(", ")}`);
+    }
+
+    const historyCache = readJson(HISTORY_CACHE_FILE, {});
+    for (const [playerId, points] of Object.entries(historyCache)) {
+        if (!Array.isArray(points)) {
+            broken++;
+            console.log(`   ❌ history-cache ${playerId}: keine Liste`);
+        }
+    }
+
+    if (broken > 0) {
+        console.log(`\n⚠️  ${broken} von ${entries.length} Einträgen sind fehlerhaft.`);
+        console.log("   Platzhalter lassen sich mit 'node manage-cache.js refetch --placeholders' neu laden.");
+        process.exit(1);
+    }
+    console.log(`✅ Alle ${entries.length} Match-Einträge und ${Object.keys(historyCache).length} ELO-Historien sind gültig.`);
+}
+
+function prune(dryRun) {
+    const trackedIds = readPlayers().map((player) => player.id);
+    if (trackedIds.length === 0) {
+        console.error(`❌ Keine Spieler in ${PLAYER_FILES.map((file) => path.basename(rosterFiles(file).rosterFile)).join(", ")} — es würde alles gelöscht. Abbruch.`);
+        process.exit(1);
+    }
+
+    const orphanMatches = findOrphanMatches(cache.entries(), trackedIds);
+    const historyCache = readJson(HISTORY_CACHE_FILE, {});
+    const orphanHistories = findOrphanHistories(historyCache, trackedIds);
+
+    console.log(`🧹 ${orphanMatches.length} Matches ohne getrackte Spieler, ${orphanHistories.length} ELO-Historien ehemaliger Spieler.`);
+    if (dryRun) {
+        orphanHistories.forEach((playerId) => console.log(`   • ${playerId}`));
+        console.log("   (--dry-run: nichts gelöscht)");
+        return;
+    }
+
+    orphanMatches.forEach((matchId) => cache.delete(matchId));
+    cache.save();
+    if (orphanHistories.length > 0) {
+        orphanHistories.forEach((playerId) => delete historyCache[playerId]);
+        writeJsonAtomic(HISTORY_CACHE_FILE, historyCache, { space: 2 });
+    }
+    console.log("✅ Cache bereinigt.");
+}
+
+function eloOnDate(query, date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        console.error(`❌ Ungültiges Datum "${date}" — erwartet wird YYYY-MM-DD.`);
+        process.exit(1);
+    }
+    const needle = query.toLowerCase();
+    const player = readPlayers().find((entry) => entry.id === query || entry.name.toLowerCase() === needle);
+    const playerId = player ? player.id : query;
+
+    const found = eloLedger.load().eloAt(playerId, date);
+    if (!found) {
+        console.error(`❌ Kein Ledger-Eintrag für "${query}" am oder vor ${date}.`);
+        process.exit(1);
+    }
+    const { elo, record } = found;
+    console.log(`📈 ${player ? player.name : playerId} am ${date}: ${elo} ELO`);
+    console.log(`   Basis:         ${record.range} ab ${record.period} (${record.reason})`);
+    console.log(`   Erfasst:       ${record.recordedAt}`);
+}
+
+async function refetch(matchIds, placeholders) {
+    if (!(process.env.FACEIT_API_KEY || "").trim()) {
+        console.error("❌ FACEIT_API_KEY ist nicht gesetzt!");
+        process.exit(1);
+    }
+
+    const fromState = statePlaceholders();
+    const targets = new Set(matchIds);
+    retryQueue.load();
+    if (placeholders) {
+        Object.keys(retryQueue.entries).forEach((matchId) => targets.add(matchId));
+        cache.entries().filter(([, entry]) => isPlaceholder(entry)).forEach(([matchId]) => targets.add(matchId));
+        fromState.forEach((entry) => entry.matchIds.forEach((matchId) => targets.add(matchId)));
+    }
+    if (targets.size === 0) {
+        console.log("✅ Keine Platzhalter gefunden.");
+        return;
+    }
+
+    // Loaded lazily so stats/verify/prune work without an API key.
+    const api = require("./src/api");
+    await api.init();
+
+    console.log(`🔄 Lade ${targets.size} Match(es) neu...`);
+    const repaired = new Set();
+    for (const matchId of targets) {
+        const previous = cache.get(matchId);
+        cache.delete(matchId);
+        const stats = await api.getMatchStats(matchId);
+        if (stats && !isPlaceholder(stats)) {
+            repaired.add(matchId);
+            retryQueue.resolve(matchId);
+            console.log(`   ✅ ${matchId} (${stats.__mapName})`);
+        } else {
+            if (previous) cache.set(matchId, previous);
+            console.log(`   ❌ ${matchId}: weiterhin keine Statistik`);
+        }
+    }
+    cache.save();
+    retryQueue.save();
+
+    // Players whose stored result used a repaired placeholder are recomputed on the next run.
+    for (const entry of fromState) {
+        if (entry.matchIds.some((matchId) => repaired.has(matchId))) {
+            fs.rmSync(path.join(PLAYER_STATE_DIR, entry.file), { force: true });
+        }
+    }
+    console.log(`\n✅ ${repaired.size} von ${targets.size} Match(es) repariert.`);
+}
+
+// ─── Main ──────────────────────────────────────────────────
+
+async function main() {
+    const [, , action, ...args] = process.argv;
+
+    switch (action) {
+        case "stats":
+            showStats();
+            break;
+
+        case "verify":
+            verify();
+            break;
+
+        case "prune":
+            prune(args.includes("--dry-run"));
+            break;
+
+        case "elo":
+            if (args.length !== 2) {
+                console.error("❌ Nutzung: node manage-cache.js elo <spieler> <YYYY-MM-DD>");
+                process.exit(1);
+            }
+            eloOnDate(args[0], args[1]);
+            break;
+
+        case "refetch": {
+            const matchIds = args.filter((arg) => !arg.startsWith("--"));
+            const placeholders = args.includes("--placeholders");
+            if (matchIds.length === 0 && !placeholders) {
+                console.error("❌ Nutzung: node manage-cache.js refetch <matchId...> | --placeholders");
+                process.exit(1);
+            }
+            await refetch(matchIds, placeholders);
+            break;
+        }
+
+        default:
+            console.log(`
+🗄️  FACEIT Dashboard — Cache-Verwaltung
+
+Befehle:
+  node manage-cache.js stats                   Größe, Alter und Einträge pro Spieler
+  node manage-cache.js verify                  Einträge auf das erwartete Format prüfen
+  node manage-cache.js prune [--dry-run]       Matches/Historien ohne getrackte Spieler löschen
+  node manage-cache.js elo <spieler> <datum>   ELO eines Spielers an einem Datum laut ELO-Ledger
+  node manage-cache.js refetch <matchId...>    Einzelne Matches neu laden
+  node manage-cache.js refetch --placeholders  Alle Platzhalter-Matches neu laden
+
+Umgebungsvariablen:
+  FACEIT_API_KEY    Benötigt für 'refetch' (FACEIT Data API v4)
+      `);
+            break;
+    }
+}
+
+main().catch((err) => {
+    console.error("❌ Fehler:", err.message);
+    process.exit(1);
+});
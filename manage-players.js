@@ -4,11 +4,17 @@
 //   FACEIT_API_KEY=xxx node manage-players.js add <nickname>
 //   FACEIT_API_KEY=xxx node manage-players.js remove <nickname>
 //   node manage-players.js list
+//   node manage-players.js files
+// Add --squad <id> to work on a squad's list instead of the first one.
 
 const fs = require("fs");
 const path = require("path");
+const { resolveSquads } = require("./src/squads");
+const { loadRoster, saveRoster, recordNickname, rosterFiles } = require("./src/roster");
 
-const PLAYERS_FILE = path.join(__dirname, "players.txt");
+const SQUADS = resolveSquads();
+// Chosen in main(): the --squad list, else the first squad's (files.players without squads).
+let PLAYERS_FILE = path.join(__dirname, SQUADS[0].players);
 const API_BASE = "https://open.faceit.com/data/v4";
 const API_KEY = (process.env.FACEIT_API_KEY || "").trim();
 
@@ -30,25 +36,13 @@ async function fetchPlayer(nickname) {
 }
 
 function readPlayers() {
-    if (!fs.existsSync(PLAYERS_FILE)) return [];
-    return fs
-        .readFileSync(PLAYERS_FILE, "utf-8")
-        .split("\n")
-        .map((line) => line.trim())
-        .filter((line) => line && !line.startsWith("#"))
-        .map((line) => {
-            const [id, ...rest] = line.split("#");
-            return {
-                id: id.trim(),
-                comment: rest.join("#").trim(),
-                raw: line,
-            };
-        });
+    const { rosterFile, legacyFile } = rosterFiles(PLAYERS_FILE);
+    if (!fs.existsSync(rosterFile) && !fs.existsSync(legacyFile)) return [];
+    return loadRoster(PLAYERS_FILE);
 }
 
 function writePlayers(players) {
-    const content = players.map((p) => `${p.id} # ${p.comment}`).join("\n") + "\n";
-    fs.writeFileSync(PLAYERS_FILE, content, "utf-8");
+    saveRoster(PLAYERS_FILE, players);
 }
 
 // ─── Commands ──────────────────────────────────────────────
@@ -84,16 +78,16 @@ async function addPlayer(nickname) {
     const existing = readPlayers();
     const dup = existing.find((p) => p.id === player_id);
     if (dup) {
-        console.log(`\n⚠️  "${realNick}" ist bereits im Dashboard! (${dup.comment})`);
+        console.log(`\n⚠️  "${realNick}" ist bereits im Dashboard! (${dup.alias || dup.nickname})`);
         process.exit(0);
     }
 
     // Add player
-    existing.push({ id: player_id, comment: realNick });
+    existing.push({ id: player_id, nickname: realNick });
     writePlayers(existing);
 
     console.log(`\n🎉 "${realNick}" wurde zum Dashboard hinzugefügt!`);
-    console.log(`   📄 ${PLAYERS_FILE}`);
+    console.log(`   📄 ${rosterFiles(PLAYERS_FILE).rosterFile}`);
     console.log(`   → Insgesamt ${existing.length} Spieler im Dashboard`);
 }
 
@@ -101,10 +95,12 @@ async function removePlayer(nickname) {
     const existing = readPlayers();
     const lower = nickname.toLowerCase();
 
-    // 1. Try local match by comment or UUID
+    // 1. Try local match by nickname, alias, former nickname or UUID
     let idx = existing.findIndex(
         (p) =>
-            p.comment.toLowerCase() === lower ||
+            (p.nickname || "").toLowerCase() === lower ||
+            (p.alias || "").toLowerCase() === lower ||
+            (p.previousNicknames || []).some((former) => former.nickname.toLowerCase() === lower) ||
             p.id.toLowerCase() === lower
     );
 
@@ -115,7 +111,7 @@ async function removePlayer(nickname) {
         if (player && player.player_id) {
             idx = existing.findIndex((p) => p.id === player.player_id);
             if (idx !== -1) {
-                console.log(`✅ Gefunden! Spieler hat sich umbenannt: ${existing[idx].comment} → ${player.nickname}`);
+                console.log(`✅ Gefunden! Spieler hat sich umbenannt: ${existing[idx].nickname} → ${player.nickname}`);
             }
         }
     }
@@ -123,14 +119,14 @@ async function removePlayer(nickname) {
     if (idx === -1) {
         console.error(`❌ Spieler "${nickname}" nicht im Dashboard gefunden.`);
         console.log("\n📋 Aktuelle Spieler:");
-        existing.forEach((p) => console.log(`   • ${p.comment} (${p.id})`));
+        existing.forEach((p) => console.log(`   • ${p.nickname || "???"} (${p.id})`));
         process.exit(1);
     }
 
     const removed = existing.splice(idx, 1)[0];
     writePlayers(existing);
 
-    console.log(`🗑️  "${removed.comment}" wurde aus dem Dashboard entfernt.`);
+    console.log(`🗑️  "${removed.nickname || removed.id}" wurde aus dem Dashboard entfernt.`);
     console.log(`   🆔 ${removed.id}`);
     console.log(`   → Verbleibend: ${existing.length} Spieler`);
 }
@@ -157,9 +153,9 @@ async function listPlayers(sync = false) {
                 const res = await fetch(url, { headers: getHeaders() });
                 if (res.ok) {
                     const data = await res.json();
-                    if (data.nickname && data.nickname !== p.comment) {
-                        console.log(`   🔄 ${p.comment} → ${data.nickname}`);
-                        p.comment = data.nickname;
+                    const previous = p.nickname;
+                    if (recordNickname(p, data.nickname)) {
+                        console.log(`   🔄 ${previous} → ${data.nickname}`);
                         updated++;
                     }
                 }
@@ -178,16 +174,35 @@ async function listPlayers(sync = false) {
     console.log("   ─  ──────────────────  ────────────────────────────────────");
     players.forEach((p, i) => {
         const num = String(i + 1).padStart(2, " ");
-        const nick = (p.comment || "???").padEnd(18, " ");
-        console.log(`   ${num}  ${nick}  ${p.id}`);
+        const nick = (p.nickname || "???").padEnd(18, " ");
+        const extras = [p.alias && `„${p.alias}"`, p.hidden && "Bank"].filter(Boolean).join(", ");
+        console.log(`   ${num}  ${nick}  ${p.id}${extras ? `  (${extras})` : ""}`);
     });
     console.log("");
 }
 
+/** Prints every squad's roster file that exists, one path per line, e.g. for `git add`. */
+function listRosterFiles() {
+    const files = new Set(SQUADS.map((squad) => rosterFiles(path.join(__dirname, squad.players)).rosterFile));
+    for (const file of files) {
+        if (fs.existsSync(file)) console.log(path.relative(__dirname, file));
+    }
+}
+
 // ─── Main ──────────────────────────────────────────────────
 
 async function main() {
     const [, , action, ...args] = process.argv;
+    const squadFlag = args.indexOf("--squad");
+    if (squadFlag !== -1) {
+        const [, squadId] = args.splice(squadFlag, 2);
+        const squad = SQUADS.find((s) => s.id === squadId);
+        if (!squad) {
+            console.error(`❌ Unbekannter Squad "${squadId || ""}". Verfügbar: ${SQUADS.map((s) => s.id).join(", ")}`);
+            process.exit(1);
+        }
+        PLAYERS_FILE = path.join(__dirname, squad.players);
+    }
     const nickname = args.join(" ");
 
     switch (action) {
@@ -214,6 +229,10 @@ async function main() {
             await listPlayers(process.argv.includes("--sync"));
             break;
 
+        case "files":
+            listRosterFiles();
+            break;
+
         default:
             console.log(`
 🎮 FACEIT Dashboard — Spielerverwaltung
@@ -223,6 +242,10 @@ Befehle:
   node manage-players.js remove <nickname>   Spieler entfernen
   node manage-players.js list                Alle Spieler anzeigen
   node manage-players.js list --sync         Nicknames mit FACEIT abgleichen
+  node manage-players.js files               Pfade aller Spielerlisten ausgeben
+
+Optionen:
+  --squad <id>      Liste eines Squads aus dashboard.config.json bearbeiten
 
 Umgebungsvariablen:
   FACEIT_API_KEY    Benötigt für 'add' (FACEIT Data API v4)
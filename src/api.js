@@ -1,15 +1,74 @@
 // Use native fetch in Node 18+
 const fetch = globalThis.fetch;
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
 const pLimit = (...args) => import("p-limit").then(mod => mod.default(...args));
 const cache = require('./cache');
+const fixtures = require('./replay');
+const { TokenBucket, parseRetryAfter, backoffDelay, sleep } = require('./rate_limiter');
+const { httpGet } = require('./http_client');
+const schema = require('./schema');
+const config = require('./config');
 
 const FACEIT_API_KEY = (process.env.FACEIT_API_KEY || "").trim();
 const API_BASE = "https://open.faceit.com/data/v4";
-const REQUEST_TIMEOUT_MS = 15000;
+const STATS_BASE = "https://api.faceit.com/stats/v1";
+const HISTORY_PAGE_SIZE = 100;
+const ELO_PAGE_SIZE = 100;
+const ELO_BACKFILL_MAX_PAGES = 50;
+const REQUEST_TIMEOUT_MS = config.api.requestTimeoutMs;
+// Cached matches completed with team data per run; the rest follow on later runs.
+const TEAM_BACKFILL_PER_RUN = config.api.teamBackfillPerRun;
+// Uncached match stats fetched per run, so a first run over long seasons fits the job
+// timeout; players keep the remaining matches as pending and pick them up on later runs.
+const MATCH_FETCH_PER_RUN = config.api.matchFetchPerRun;
+// Failed team lookups after which a match is stored without team data for good.
+const TEAM_LOOKUP_ATTEMPTS = 3;
+// One budget for every Data API call of a run, shared by all players processed in parallel.
+const REQUEST_CONCURRENCY = config.api.concurrency;
+// Sustained Data API requests per second; quota headers can slow this down further.
+const REQUEST_RATE_PER_SECOND = config.api.rateLimit;
+
+const rateLimiter = new TokenBucket({ ratePerSecond: REQUEST_RATE_PER_SECOND, burst: REQUEST_CONCURRENCY * 2 });
+
+const emptyUsage = () => ({ requests: 0, cacheHits: 0, retries: 0, failures: 0 });
+/** Run-wide request counters; see {@link FaceitAPI#track} for per-player numbers. */
+const metrics = emptyUsage();
+const usageScope = new AsyncLocalStorage();
+
+/** Increments a usage counter globally and for the currently tracked scope. */
+function countUsage(key) {
+    metrics[key]++;
+    const scoped = usageScope.getStore();
+    if (scoped) scoped[key]++;
+}
+
+/**
+ * Converts the `__teamElo` map (`{ faction: averageElo }`) of older cache
+ * entries into the `__teams` shape, so they need no further request.
+ * @param {Object<string, number>|null} teamElo
+ * @returns {Object<string, { name: string, averageElo: number, averageLevel: null, premade: null }>|null}
+ */
+function teamsFromTeamElo(teamElo) {
+    if (!teamElo) return null;
+    return Object.fromEntries(Object.entries(teamElo).map(([faction, averageElo]) =>
+        [faction, { name: "", averageElo, averageLevel: null, premade: null }]));
+}
+
+// The internal stats API is guarded by Cloudflare; these mirror what a browser
+// on faceit.com sends (the Referer is added per player).
+const BROWSER_HEADERS = {
+    "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36",
+    "Accept": "application/json, text/plain, */*",
+    "Accept-Language": "en-US,en;q=0.9",
+    "Origin": "https://www.faceit.com",
+    "Sec-Fetch-Dest": "empty",
+    "Sec-Fetch-Mode": "cors",
+    "Sec-Fetch-Site": "same-site",
+};
 
 /** @returns {object} HTTP headers with authorization */
 function getHeaders() {
-    if (!FACEIT_API_KEY) {
+    if (!FACEIT_API_KEY && !fixtures.isReplaying()) {
         console.error("❌ Stats: FACEIT_API_KEY is missing/empty!");
     }
     return {
@@ -20,22 +79,38 @@ function getHeaders() {
 }
 
 /**
- * Fetch with retry logic, rate limiting, and timeout.
+ * Fetch with retry logic, rate limiting, and a timeout per attempt.
+ * Serves recorded fixtures in replay mode and captures responses in record mode.
  * @param {string} url - Request URL
  * @param {object} options - Fetch options
  * @param {number} retries - Max retry count
- * @param {number} delay - Base delay between retries (ms)
+ * @param {number} delay - Backoff window after the first failed attempt (ms)
  * @returns {Promise<Response|null>}
  */
 async function retryFetch(url, options = {}, retries = 3, delay = 1000) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-    options.signal = controller.signal;
+    countUsage("requests");
+    const res = fixtures.isReplaying()
+        ? fixtures.replayResponse(url)
+        : await liveFetch(url, options, retries, delay);
+    if (!res) countUsage("failures");
+    await fixtures.recordResponse(url, res);
+    return res;
+}
 
+/** @private Performs the actual network request for {@link retryFetch}. */
+async function liveFetch(url, options, retries, delay) {
     for (let i = 0; i <= retries; i++) {
+        if (i > 0) countUsage("retries");
+        await rateLimiter.take();
+
+        // Every attempt gets its own timeout; a slow first attempt must not
+        // leave the retries with an already-aborted signal.
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        let waitTime = backoffDelay(i, delay);
         try {
-            const res = await fetch(url, options);
-            clearTimeout(timeout);
+            const res = await fetch(url, { ...options, signal: controller.signal });
+            rateLimiter.observe(res.headers);
             if (res.ok) return res;
 
             if (res.status === 404) return null;
@@ -45,22 +120,24 @@ async function retryFetch(url, options = {}, retries = 3, delay = 1000) {
             }
 
             if (res.status === 429) {
-                const retryAfter = res.headers.get('Retry-After');
-                const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : delay * (i + 1);
+                waitTime = parseRetryAfter(res.headers.get('Retry-After')) ?? waitTime;
                 console.log(`⏳ Rate limited, waiting ${waitTime}ms...`);
-                await new Promise(r => setTimeout(r, waitTime));
+                // Pausing the shared bucket holds back all parallel requests, not just this one.
+                rateLimiter.pause(waitTime);
                 continue;
             }
+            console.error(`⚠️ HTTP ${res.status} for ${url}`);
         } catch (e) {
             if (e.name === 'AbortError') {
                 console.error(`⏱️ Request timeout for ${url}`);
             } else {
                 console.error(`Fetch error for ${url}:`, e.message);
             }
+        } finally {
+            clearTimeout(timeout);
         }
-        await new Promise(r => setTimeout(r, delay));
+        if (i < retries) await sleep(waitTime);
     }
-    clearTimeout(timeout);
     return null;
 }
 
@@ -83,93 +160,147 @@ class FaceitAPI {
     constructor() {
         /** @type {Function|null} */
         this.limit = null;
+        this.metrics = metrics;
+        /** Transport for the internal stats API; replaceable for tests. */
+        this.httpGet = httpGet;
+        this.statsBase = STATS_BASE;
+        /** Team lookups left for cached matches in this run. */
+        this.teamBackfillLeft = TEAM_BACKFILL_PER_RUN;
+        /** Uncached match stats fetches left in this run. */
+        this.matchFetchLeft = MATCH_FETCH_PER_RUN;
     }
 
     /** Initializes concurrency limiter and validates API key */
     async init() {
-        this.limit = await pLimit(5);
-        if (FACEIT_API_KEY) {
+        this.limit = await pLimit(REQUEST_CONCURRENCY);
+        if (fixtures.isReplaying()) {
+            console.log(`📼 Replaying recorded FACEIT responses from ${fixtures.dir}`);
+        } else if (FACEIT_API_KEY) {
             console.log(`🔑 API Key loaded: ${FACEIT_API_KEY.substring(0, 4)}... (Length: ${FACEIT_API_KEY.length})`);
         } else {
             console.error("❌ NO API KEY FOUND!");
         }
     }
 
+    /**
+     * Runs a Data API request inside the shared request budget.
+     * The task is bound to the caller's async context so usage is attributed
+     * to the right player even though p-limit starts it from another one.
+     * @param {string} url - Request URL
+     * @returns {Promise<Response|null>}
+     */
+    request(url) {
+        const task = AsyncResource.bind(() => retryFetch(url, { headers: getHeaders() }));
+        return this.limit ? this.limit(task) : task();
+    }
+
+    /**
+     * Runs `fn` and collects the API usage it causes.
+     * @template T
+     * @param {() => Promise<T>} fn - Work to measure, e.g. processing one player
+     * @returns {Promise<{ value: T, usage: { requests: number, cacheHits: number, retries: number, failures: number } }>}
+     */
+    async track(fn) {
+        const usage = emptyUsage();
+        const value = await usageScope.run(usage, fn);
+        return { value, usage };
+    }
+
     /**
      * Fetches a player profile by nickname or UUID.
      * @param {string} nicknameOrId - FACEIT nickname or player UUID
-     * @returns {Promise<object|null>}
+     * @returns {Promise<import('./schema').Profile|null>}
      */
     async getPlayer(nicknameOrId) {
         const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(nicknameOrId);
         const endpoint = isUUID ? `players/${nicknameOrId}` : `players?nickname=${nicknameOrId}`;
-        const res = await retryFetch(`${API_BASE}/${endpoint}`, { headers: getHeaders() });
-        return safeJson(res);
+        const res = await this.request(`${API_BASE}/${endpoint}`);
+        return schema.parseProfile(await safeJson(res));
     }
 
     /**
-     * Fetches player match history.
+     * Fetches player match history, newest first. Pages through the endpoint
+     * with `offset` so more than one page (100 matches) can be requested.
      * @param {string} playerId - Player UUID
      * @param {number} limit - Max matches to fetch
-     * @returns {Promise<object>}
+     * @param {object} [window] - Optional time window (Unix seconds)
+     * @param {number} [window.from] - Only matches finished at or after this time
+     * @param {number|null} [window.to] - Only matches finished before this time
+     * @returns {Promise<{ items: import('./schema').HistoryItem[] }>}
      */
-    async getPlayerHistory(playerId, limit = 30) {
-        const safeLimit = Math.max(1, Math.min(100, Number.parseInt(limit) || 30));
-        const res = await retryFetch(`${API_BASE}/players/${playerId}/history?game=cs2&from=0&limit=${safeLimit}`, { headers: getHeaders() });
-        return safeJson(res) || { items: [] };
+    async getPlayerHistory(playerId, limit = 30, { from = 0, to = null } = {}) {
+        const wanted = Math.max(1, Number.parseInt(limit) || 30);
+        const items = [];
+        const seen = new Set();
+        let offset = 0;
+
+        while (items.length < wanted) {
+            const pageSize = Math.min(HISTORY_PAGE_SIZE, wanted - items.length);
+            const toParam = to ? `&to=${Math.floor(to)}` : "";
+            const offsetParam = offset ? `&offset=${offset}` : "";
+            const res = await this.request(`${API_BASE}/players/${playerId}/history?game=cs2&from=${Math.floor(from)}${toParam}${offsetParam}&limit=${pageSize}`);
+            const page = (await safeJson(res))?.items || [];
+            for (const item of page.map(raw => schema.parseHistoryItem(raw)).filter(Boolean)) {
+                // A match finishing mid-run shifts the offsets by one; skip the repeat.
+                if (seen.has(item.match_id)) continue;
+                seen.add(item.match_id);
+                items.push(item);
+            }
+            offset += page.length;
+            if (page.length < pageSize) break;
+        }
+        return { items: items.slice(0, wanted) };
     }
 
     /**
      * Fetches full match details.
      * @param {string} matchId - Match UUID
-     * @returns {Promise<object|null>}
+     * @returns {Promise<import('./schema').MatchDetails|null>}
      */
     async getMatchDetails(matchId) {
-        const request = async () => {
-            const res = await retryFetch(`${API_BASE}/matches/${matchId}`, { headers: getHeaders() });
-            return safeJson(res);
-        };
-        return this.limit ? this.limit(request) : request();
+        const res = await this.request(`${API_BASE}/matches/${matchId}`);
+        return schema.parseMatchDetails(await safeJson(res), matchId);
     }
 
     /**
      * Fetches lifetime player stats for CS2.
      * @param {string} playerId - Player UUID
-     * @returns {Promise<object>}
+     * @returns {Promise<import('./schema').LifetimeStats>}
      */
     async getPlayerStats(playerId) {
-        const res = await retryFetch(`${API_BASE}/players/${playerId}/stats/cs2`, { headers: getHeaders() });
-        return safeJson(res) || {};
+        const res = await this.request(`${API_BASE}/players/${playerId}/stats/cs2`);
+        return schema.parseLifetimeStats(await safeJson(res), playerId);
     }
 
     /**
      * Fetches ELO history from the FACEIT stats API.
-     * Uses curl to bypass Cloudflare protection if fetch is blocked.
+     * This internal API sits behind Cloudflare, so the request imitates a browser.
      * @param {string} playerId - Player UUID
-     * @returns {Promise<Array>}
+     * @param {object} [options]
+     * @param {number} [options.page] - Zero-based page, newest matches first
+     * @returns {Promise<import('./schema').EloPoint[]>}
      */
-    async getEloHistory(playerId) {
-        const url = `https://api.faceit.com/stats/v1/stats/time/users/${playerId}/games/cs2?size=100`;
-        const { execSync } = require('child_process');
-        
+    async getEloHistory(playerId, { page = 0 } = {}) {
+        const pageParam = page > 0 ? `&page=${page}` : "";
+        const url = `${this.statsBase}/stats/time/users/${encodeURIComponent(playerId)}/games/cs2?size=${ELO_PAGE_SIZE}${pageParam}`;
+
+        countUsage("requests");
         try {
-            // We use curl because native node-fetch/undici is often blocked by Cloudflare JA3 fingerprinting
-            // In GitHub Actions, we use browser-like headers. 
-            // NOTE: We do NOT use the Developer API key here as this is the internal stats API.
-            const browserUA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36";
-            
-            const command = `curl -s -L --compressed \
-                -H "User-Agent: ${browserUA}" \
-                -H "Accept: application/json, text/plain, */*" \
-                -H "Accept-Language: en-US,en;q=0.9" \
-                -H "Referer: https://www.faceit.com/en/players/${playerId}/stats/cs2" \
-                -H "Origin: https://www.faceit.com" \
-                -H "Sec-Fetch-Dest: empty" \
-                -H "Sec-Fetch-Mode: cors" \
-                -H "Sec-Fetch-Site: same-site" \
-                "${url}"`;
-            
-            const output = execSync(command, { encoding: 'utf8' }).trim();
+            let output;
+            if (fixtures.isReplaying()) {
+                output = (fixtures.replay(url)?.body || "").trim();
+            } else {
+                // NOTE: We do NOT use the Developer API key here as this is the internal stats API.
+                const res = await this.httpGet(url, {
+                    headers: {
+                        ...BROWSER_HEADERS,
+                        "Referer": `https://www.faceit.com/en/players/${encodeURIComponent(playerId)}/stats/cs2`
+                    },
+                    timeoutMs: REQUEST_TIMEOUT_MS
+                });
+                output = (res.body || "").trim();
+                fixtures.record(url, { status: res.status, headers: {}, body: output });
+            }
             if (!output) return [];
             
             // Validate if it's actually JSON before parsing
@@ -182,17 +313,58 @@ class FaceitAPI {
                 return [];
             }
 
-            const data = JSON.parse(output);
-            if (Array.isArray(data) && data.length > 0) {
+            const data = schema.parseEloHistory(JSON.parse(output), playerId);
+            if (data.length > 0) {
                 console.log(`✅ Fetched ${data.length} Elo history items for ${playerId}`);
             }
-            return data || [];
+            return data;
         } catch (e) {
-            console.error(`❌ Failed to fetch ELO history for ${playerId} via curl:`, e.message);
+            countUsage("failures");
+            console.error(`❌ Failed to fetch ELO history for ${playerId}:`, e.message);
         }
         return [];
     }
 
+    /**
+     * Walks the ELO history back page by page until `untilMs` is covered,
+     * the endpoint runs out of matches or a page fails.
+     * @param {string} playerId - Player UUID
+     * @param {number} untilMs - Oldest match date of interest (ms since epoch)
+     * @param {number} [maxPages] - Safety limit for the number of pages
+     * @returns {Promise<Array>} All fetched items, newest first
+     */
+    async backfillEloHistory(playerId, untilMs, maxPages = ELO_BACKFILL_MAX_PAGES) {
+        const items = [];
+        for (let page = 0; page < maxPages; page++) {
+            const batch = await this.getEloHistory(playerId, { page });
+            if (!Array.isArray(batch) || batch.length === 0) break;
+            items.push(...batch);
+
+            const oldest = Math.min(...batch.map(item => Number(item.date)).filter(Number.isFinite));
+            if (batch.length < ELO_PAGE_SIZE || oldest <= untilMs) break;
+        }
+        return items;
+    }
+
+    /**
+     * Reserves one uncached match stats fetch from this run's budget. Cached
+     * matches and fixture runs need no reservation.
+     * @param {string} matchId - Match UUID
+     * @returns {boolean} False once the budget is used up; the match follows on a later run
+     */
+    reserveMatchFetch(matchId) {
+        if (fixtures.active || cache.get(matchId)) return true;
+        if (this.matchFetchLeft > 0) {
+            this.matchFetchLeft--;
+            return true;
+        }
+        if (this.matchFetchLeft === 0) {
+            this.matchFetchLeft = -1;
+            console.log(`⏳ Match stats limit of ${MATCH_FETCH_PER_RUN} reached; remaining matches follow on later runs`);
+        }
+        return false;
+    }
+
     /**
      * Fetches and caches match stats (per-player stats + map name).
      * @param {string} matchId - Match UUID
@@ -200,44 +372,81 @@ class FaceitAPI {
      */
     async getMatchStats(matchId) {
         // Check cache first
-        cache.load();
-        const cached = cache.data[matchId];
-        if (cached) return cached;
-
-        const fetchStats = async () => {
-            const res = await retryFetch(`${API_BASE}/matches/${matchId}/stats`, { headers: getHeaders() });
-            if (!res) return null;
-
-            const data = await safeJson(res);
-            if (!data?.rounds) return null;
-
-            const round = data.rounds[0];
-            const players = round.teams.flatMap(t => t.players);
-            const mapStats = {};
-
-            const score = round.round_stats["Score"] || "0 / 0";
-            const [a, b] = score.split(" / ").map(Number);
-            const roundCount = a + b;
-            const mapName = round.round_stats["Map"] || "Unknown";
-
-            for (const p of players) {
-                mapStats[p.player_id] = {
-                    ...p.player_stats,
-                    __rounds: roundCount,
-                    nickname: p.nickname
-                };
+        // Fixture runs bypass the persistent cache so recordings are complete
+        // and replays never depend on whatever happens to be cached locally.
+        const cached = fixtures.active ? null : cache.get(matchId);
+        if (cached) {
+            countUsage("cacheHits");
+            // Entries from before the teams were stored: team ELOs already
+            // fetched are converted locally, the rest are completed once, a
+            // limited number per run so a long season doesn't double the requests.
+            if (!("__teams" in cached) && "__teamElo" in cached) {
+                const cachedAt = cached.__cachedAt;
+                cached.__teams = teamsFromTeamElo(cached.__teamElo);
+                delete cached.__teamElo;
+                cache.set(matchId, cached);
+                if (cachedAt) cached.__cachedAt = cachedAt;
+            }
+            if (!("__teams" in cached)) {
+                if (this.teamBackfillLeft > 0) {
+                    this.teamBackfillLeft--;
+                    await this.completeTeams(matchId, cached);
+                } else if (this.teamBackfillLeft === 0) {
+                    this.teamBackfillLeft = -1;
+                    console.log(`⏳ Team data backfill limit of ${TEAM_BACKFILL_PER_RUN} reached; remaining matches follow on later runs`);
+                }
             }
+            return cached;
+        }
+
+        const res = await this.request(`${API_BASE}/matches/${matchId}/stats`);
+        if (!res) return null;
+
+        const mapStats = schema.parseMatchStats(await safeJson(res), matchId);
+        if (!mapStats) return null;
+        await this.completeTeams(matchId, mapStats);
+        return mapStats;
+    }
 
-            mapStats.__mapName = mapName;
-            mapStats.__score = score;
-            cache.set(matchId, mapStats);
-            return mapStats;
-        };
+    /**
+     * Adds `__teams` to a match stats entry and caches it. A failed lookup is
+     * counted in `__teamsFailures` and retried on later runs; after
+     * TEAM_LOOKUP_ATTEMPTS failures `__teams` is stored as null so the match
+     * is no longer requested.
+     * @param {string} matchId
+     * @param {object} entry - Match stats, fresh or from the cache
+     */
+    async completeTeams(matchId, entry) {
+        const teams = await this.getMatchTeams(matchId);
+        const failures = (entry.__teamsFailures || 0) + 1;
+        if (teams === undefined && failures < TEAM_LOOKUP_ATTEMPTS) {
+            entry.__teamsFailures = failures;
+        } else {
+            delete entry.__teamsFailures;
+            entry.__teams = teams ?? null;
+        }
+        const cachedAt = entry.__cachedAt;
+        cache.set(matchId, entry);
+        if (cachedAt) entry.__cachedAt = cachedAt;
+    }
 
-        return this.limit ? this.limit(fetchStats) : fetchStats();
+    /**
+     * Both factions of a match without their rosters, stored with the match
+     * stats as `__teams` for the expected-win model and opponent strength in stats.js.
+     * @param {string} matchId
+     * @returns {Promise<Object<string, { name: string, averageElo: number|null, averageLevel: number|null, premade: boolean|null }>|null|undefined>}
+     *   Keyed by faction; null when the details list no teams, undefined when the
+     *   request failed and should be retried on a later run
+     */
+    async getMatchTeams(matchId) {
+        const details = await this.getMatchDetails(matchId);
+        if (!details) return undefined;
+        const teams = Object.entries(details.teams).map(([faction, { roster, ...team }]) => [faction, team]);
+        return teams.length ? Object.fromEntries(teams) : null;
     }
 
     saveMatchCache() {
+        if (fixtures.isReplaying()) return;
         cache.save();
     }
 }
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// Suffix of the last-known-good copy. `*.bak` is git-ignored, so backups only
+// protect local runs; CI starts from a fresh checkout and relies on git history.
+const BACKUP_SUFFIX = ".bak";
+
+const backupPath = file => `${file}${BACKUP_SUFFIX}`;
+// Files ending in .gz are transparently (de)compressed.
+const isGzip = file => file.endsWith(".gz");
+
+/** @private Parses a JSON file, returning undefined when it is missing or unreadable. */
+function tryReadJson(file) {
+    if (!fs.existsSync(file)) return undefined;
+    try {
+        const raw = fs.readFileSync(file);
+        return JSON.parse((isGzip(file) ? zlib.gunzipSync(raw) : raw).toString("utf-8"));
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Writes a file so readers only ever see the old or the new content: the data
+ * goes to a temp file in the same directory, is flushed to disk and then
+ * renamed over the target. A crash mid-write leaves at most a stray temp file.
+ * @param {string} file - Target path
+ * @param {string|Buffer} content
+ */
+function writeFileAtomic(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+    let fd = null;
+    try {
+        fd = fs.openSync(tempFile, "w");
+        fs.writeFileSync(fd, content);
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fd = null;
+        fs.renameSync(tempFile, file);
+    } catch (e) {
+        if (fd !== null) fs.closeSync(fd);
+        fs.rmSync(tempFile, { force: true });
+        throw e;
+    }
+}
+
+/**
+ * Atomically writes JSON (gzipped for `.gz` targets). With `backup`, the current
+ * file is first rotated to `<file>.bak` – but only if it still parses, so the
+ * backup is always the last known good state and never a copy of a corrupt file.
+ * @param {string} file - Target path
+ * @param {*} data - JSON-serialisable value
+ * @param {object} [options]
+ * @param {number} [options.space] - Indentation passed to JSON.stringify
+ * @param {boolean} [options.backup] - Keep a last-known-good copy
+ */
+function writeJsonAtomic(file, data, { space, backup = true } = {}) {
+    const json = JSON.stringify(data, null, space);
+    const content = isGzip(file) ? zlib.gzipSync(json) : json;
+    if (backup && tryReadJson(file) !== undefined) {
+        writeFileAtomic(backupPath(file), fs.readFileSync(file));
+    }
+    writeFileAtomic(file, content);
+}
+
+/**
+ * Reads a JSON file, falling back to its last-known-good copy when the file
+ * itself is truncated or corrupt.
+ * @param {string} file - Path of the primary file
+ * @param {*} fallback - Returned when neither the file nor its backup can be read
+ * @returns {*}
+ */
+function readJson(file, fallback) {
+    if (!fs.existsSync(file) && !fs.existsSync(backupPath(file))) return fallback;
+
+    const primary = tryReadJson(file);
+    if (primary !== undefined) return primary;
+
+    const backup = tryReadJson(backupPath(file));
+    if (backup !== undefined) {
+        console.warn(`⚠️ ${path.basename(file)} is unreadable, restored last-known-good copy ${path.basename(backupPath(file))}`);
+        return backup;
+    }
+    console.error(`❌ ${path.basename(file)} and its backup are unreadable, starting empty`);
+    return fallback;
+}
+
+module.exports = { writeFileAtomic, writeJsonAtomic, readJson, backupPath };
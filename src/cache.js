@@ -1,50 +1,129 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { writeJsonAtomic, readJson, backupPath } = require('./atomic_fs');
+const config = require('./config');
+const clock = require('./clock');
 
-const CACHE_FILE = path.join(__dirname, '../data/match_cache.json');
-// Match statistics are immutable. Keeping them for two years avoids re-fetching
-// the same 100-match analysis window on every scheduled dashboard update.
-const MAX_AGE_DAYS = 730;
+const DATA_DIR = path.join(__dirname, '../data');
+const CACHE_DIR = path.join(DATA_DIR, 'match-cache');
+// Single-file cache used before sharding; migrated on first access.
+const LEGACY_FILE = path.join(DATA_DIR, 'match_cache.json');
+// Match statistics are immutable. Keeping them for two years (cache.maxAgeDays) avoids
+// re-fetching the same 100-match analysis window on every scheduled dashboard update.
+const MAX_AGE_DAYS = config.cache.maxAgeDays;
+// Two hex characters of the key's hash: 256 small shards, so a run only
+// rewrites the handful its new matches land in.
+const SHARD_CHARS = 2;
 
+const shardOf = key => crypto.createHash('sha1').update(String(key)).digest('hex').slice(0, SHARD_CHARS);
+
+/**
+ * Match cache split into shards under data/match-cache/.
+ * Shards are loaded on first access and only rewritten when one of their
+ * entries changed. With `gzip` (default: cache.gzip) shards are stored as
+ * `.json.gz`; both formats are read, so the setting can change at any time.
+ */
 class Cache {
-  constructor() {
-    this.data = {};
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Shard directory
+   * @param {string} [options.legacyFile] - Monolithic cache to migrate from
+   * @param {boolean} [options.gzip] - Write compressed shards
+   */
+  constructor({ dir = CACHE_DIR, legacyFile = LEGACY_FILE, gzip = config.cache.gzip } = {}) {
+    this.dir = dir;
+    this.legacyFile = legacyFile;
+    this.gzip = gzip;
+    /** @type {Map<string, object>} shard id → entries */
+    this.shards = new Map();
+    this.dirty = new Set();
     this.loaded = false;
+    this.legacyMigrated = false;
+  }
+
+  /** @private Path of a shard in the configured format, or in the other one. */
+  _shardFile(shard, gzip = this.gzip) {
+    return path.join(this.dir, `${shard}.json${gzip ? '.gz' : ''}`);
+  }
+
+  /** @private */
+  _shard(shard) {
+    this.load();
+    if (!this.shards.has(shard)) {
+      const file = fs.existsSync(this._shardFile(shard, !this.gzip)) && !fs.existsSync(this._shardFile(shard))
+        ? this._shardFile(shard, !this.gzip)
+        : this._shardFile(shard);
+      this.shards.set(shard, readJson(file, {}));
+    }
+    return this.shards.get(shard);
   }
 
+  /** Migrates the legacy single-file cache into shards (once). */
   load() {
     if (this.loaded) return;
-    if (fs.existsSync(CACHE_FILE)) {
-      try {
-        this.data = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
-      } catch (e) {
-        console.error('Failed to load cache:', e);
-        this.data = {};
-      }
-    }
     this.loaded = true;
+    if (!fs.existsSync(this.legacyFile)) return;
+
+    const legacy = readJson(this.legacyFile, {});
+    let migrated = 0;
+    for (const [key, value] of Object.entries(legacy)) {
+      const entries = this._shard(shardOf(key));
+      if (entries[key]) continue;
+      entries[key] = value;
+      this.dirty.add(shardOf(key));
+      migrated++;
+    }
+    this.legacyMigrated = true;
+    console.log(`📦 Cache: migrating ${migrated} entries from ${path.basename(this.legacyFile)} into shards`);
   }
 
   get(key) {
-    this.load();
-    return this.data[key];
+    return this._shard(shardOf(key))[key];
   }
 
   set(key, value) {
-    this.load();
     // Attach a timestamp for eviction
-    value.__cachedAt = Date.now();
-    this.data[key] = value;
+    value.__cachedAt = clock.now();
+    this._shard(shardOf(key))[key] = value;
+    this.dirty.add(shardOf(key));
+  }
+
+  delete(key) {
+    const entries = this._shard(shardOf(key));
+    if (!(key in entries)) return false;
+    delete entries[key];
+    this.dirty.add(shardOf(key));
+    return true;
   }
 
+  /**
+   * Loads every shard on disk, e.g. for maintenance over the whole cache.
+   * @returns {Array<[string, object]>}
+   */
+  entries() {
+    this.load();
+    if (fs.existsSync(this.dir)) {
+      for (const file of fs.readdirSync(this.dir)) {
+        const match = file.match(/^([0-9a-f]+)\.json(?:\.gz)?$/);
+        if (match) this._shard(match[1]);
+      }
+    }
+    return [...this.shards.values()].flatMap(entries => Object.entries(entries));
+  }
+
+  /** Drops expired entries from the shards loaded in this run. */
   evict() {
-    const cutoff = Date.now() - (MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+    const cutoff = clock.now() - (MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
     let removed = 0;
-    for (const key of Object.keys(this.data)) {
-      const entry = this.data[key];
-      if (entry && entry.__cachedAt && entry.__cachedAt < cutoff) {
-        delete this.data[key];
-        removed++;
+    for (const [shard, entries] of this.shards) {
+      for (const key of Object.keys(entries)) {
+        const entry = entries[key];
+        if (entry && entry.__cachedAt && entry.__cachedAt < cutoff) {
+          delete entries[key];
+          this.dirty.add(shard);
+          removed++;
+        }
       }
     }
     if (removed > 0) {
@@ -52,17 +131,42 @@ class Cache {
     }
   }
 
+  /**
+   * Writes the shards that changed since the last save.
+   * @returns {number} Number of shards written
+   */
   save() {
-    if (!this.loaded) return;
+    if (!this.loaded) return 0;
     this.evict();
+    let written = 0;
+    let bytes = 0;
     try {
-      fs.writeFileSync(CACHE_FILE, JSON.stringify(this.data));
-      const sizeKB = Math.round(fs.statSync(CACHE_FILE).size / 1024);
-      console.log(`✅ Cache saved (${sizeKB} KB, ${Object.keys(this.data).length} entries)`);
+      for (const shard of [...this.dirty].sort()) {
+        const file = this._shardFile(shard);
+        writeJsonAtomic(file, this.shards.get(shard));
+        // Drop the copy in the other format so reads never pick up stale data.
+        const other = this._shardFile(shard, !this.gzip);
+        fs.rmSync(other, { force: true });
+        fs.rmSync(backupPath(other), { force: true });
+        this.dirty.delete(shard);
+        bytes += fs.statSync(file).size;
+        written++;
+      }
+      if (this.legacyMigrated && fs.existsSync(this.legacyFile)) {
+        fs.rmSync(this.legacyFile);
+        fs.rmSync(backupPath(this.legacyFile), { force: true });
+        console.log(`📦 Cache: migration complete, removed ${path.basename(this.legacyFile)}`);
+      }
+      if (written > 0) {
+        console.log(`✅ Cache saved (${written} shards, ${Math.round(bytes / 1024)} KB written)`);
+      }
     } catch (e) {
       console.error('Failed to save cache:', e);
     }
+    return written;
   }
 }
 
 module.exports = new Cache();
+module.exports.Cache = Cache;
+module.exports.shardOf = shardOf;
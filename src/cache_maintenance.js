@@ -0,0 +1,122 @@
+/**
+ * Pure helpers behind manage-cache.js: statistics, shape checks and pruning
+ * rules for the match cache and data/history-cache.json.
+ */
+
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Player ids stored in a cached match; everything else is `__` metadata.
+ * @param {object} entry - Cached `getMatchStats` result
+ * @returns {string[]}
+ */
+function playerIdsOf(entry) {
+    return isObject(entry) ? Object.keys(entry).filter(key => !key.startsWith("__")) : [];
+}
+
+/**
+ * A placeholder is a cached match without any per-player stats, i.e. only the
+ * `{ __mapName }` fallback index.js builds when the stats endpoint fails.
+ * @param {object} entry
+ * @returns {boolean}
+ */
+function isPlaceholder(entry) {
+    return playerIdsOf(entry).length === 0;
+}
+
+/**
+ * Checks an entry against the shape `schema.parseMatchStats` produces.
+ * @param {*} entry
+ * @returns {string[]} Problems found; empty when the entry is valid
+ */
+function verifyMatchEntry(entry) {
+    if (!isObject(entry)) return ["not an object"];
+    const problems = [];
+    if (typeof entry.__mapName !== "string" || !entry.__mapName) problems.push("__mapName missing");
+    if (!/^\d+ \/ \d+$/.test(String(entry.__score ?? ""))) problems.push(`__score invalid (${entry.__score})`);
+    if (!Number.isFinite(entry.__cachedAt)) problems.push("__cachedAt missing");
+    if (entry.__teams !== undefined && entry.__teams !== null && !(isObject(entry.__teams) && Object.values(entry.__teams).every(isObject))) {
+        problems.push("__teams invalid");
+    }
+    // Written before `__teams`; converted when the match is next read
+    if (entry.__teamElo !== undefined && entry.__teamElo !== null && !(isObject(entry.__teamElo) && Object.values(entry.__teamElo).every(Number.isFinite))) {
+        problems.push("__teamElo invalid");
+    }
+
+    const players = playerIdsOf(entry);
+    if (players.length === 0) problems.push("placeholder without player stats");
+    for (const playerId of players) {
+        const stats = entry[playerId];
+        if (!isObject(stats)) {
+            problems.push(`${playerId}: not an object`);
+            continue;
+        }
+        if (!(Number(stats.__rounds) > 0)) problems.push(`${playerId}: __rounds missing`);
+        for (const field of ["Kills", "Deaths"]) {
+            if (stats[field] === undefined || stats[field] === null || stats[field] === "") problems.push(`${playerId}: ${field} missing`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * @param {Array<[string, object]>} entries - `cache.entries()`
+ * @param {Array<{ id: string, name: string }>} players - Tracked players
+ * @param {object} historyCache - Contents of data/history-cache.json
+ * @returns {object}
+ */
+function summarizeCaches(entries, players, historyCache) {
+    const cachedAt = entries.map(([, entry]) => entry?.__cachedAt).filter(Number.isFinite);
+    const perPlayer = players.map(player => ({
+        ...player,
+        matches: entries.filter(([, entry]) => isObject(entry) && entry[player.id]).length,
+        eloPoints: (historyCache[player.id] || []).length
+    }));
+    return {
+        matches: {
+            entries: entries.length,
+            placeholders: entries.filter(([, entry]) => isPlaceholder(entry)).length,
+            oldestCachedAt: cachedAt.length ? Math.min(...cachedAt) : null,
+            newestCachedAt: cachedAt.length ? Math.max(...cachedAt) : null
+        },
+        history: {
+            players: Object.keys(historyCache).length,
+            points: Object.values(historyCache).reduce((sum, points) => sum + (Array.isArray(points) ? points.length : 0), 0)
+        },
+        perPlayer
+    };
+}
+
+/**
+ * Match ids none of the tracked players took part in.
+ * Placeholders carry no player ids and are kept; `refetch` resolves them.
+ * @param {Array<[string, object]>} entries
+ * @param {Iterable<string>} trackedIds
+ * @returns {string[]}
+ */
+function findOrphanMatches(entries, trackedIds) {
+    const tracked = new Set(trackedIds);
+    return entries
+        .filter(([, entry]) => !isPlaceholder(entry) && !playerIdsOf(entry).some(id => tracked.has(id)))
+        .map(([matchId]) => matchId);
+}
+
+/**
+ * Players in the ELO history cache that are no longer tracked.
+ * @param {object} historyCache
+ * @param {Iterable<string>} trackedIds
+ * @returns {string[]}
+ */
+function findOrphanHistories(historyCache, trackedIds) {
+    const tracked = new Set(trackedIds);
+    return Object.keys(historyCache).filter(playerId => !tracked.has(playerId));
+}
+
+module.exports = {
+    playerIdsOf,
+    isPlaceholder,
+    verifyMatchEntry,
+    summarizeCaches,
+    findOrphanMatches,
+    findOrphanHistories
+};
@@ -0,0 +1,67 @@
+const { DateTime } = require("luxon");
+const config = require("./config");
+
+/**
+ * Calendar arithmetic in the configured timezone. A day begins at
+ * `resetHour` local time and a week on `weekStart`, so period boundaries,
+ * the ELO timelines and the dashboard agree on when "Heute" starts.
+ */
+
+/**
+ * Start of the current daily/weekly/monthly/yearly period.
+ * @param {"daily"|"weekly"|"monthly"|"yearly"} range
+ * @param {DateTime} [now]
+ * @param {{ timezone: string, weekStart: number, resetHour: number }} [time]
+ * @returns {DateTime}
+ */
+function startOfPeriod(range, now = DateTime.now(), time = config.time) {
+    // Shift by the reset hour so e.g. 03:00 still belongs to yesterday with resetHour 6.
+    const local = now.setZone(time.timezone).minus({ hours: time.resetHour });
+    let start;
+    switch (range) {
+        case "daily": start = local.startOf("day"); break;
+        case "weekly": start = local.startOf("day").minus({ days: (local.weekday - time.weekStart + 7) % 7 }); break;
+        case "monthly": start = local.startOf("month"); break;
+        case "yearly": start = local.startOf("year"); break;
+        default: return now.setZone(time.timezone);
+    }
+    return start.plus({ hours: time.resetHour });
+}
+
+/**
+ * Calendar day a timestamp counts towards.
+ * @param {number} seconds - Unix timestamp
+ * @param {object} [time]
+ * @returns {string} ISO date
+ */
+function dayOf(seconds, time = config.time) {
+    return DateTime.fromSeconds(seconds, { zone: time.timezone }).minus({ hours: time.resetHour }).toISODate();
+}
+
+/**
+ * @param {number} seconds - Unix timestamp
+ * @param {object} [time]
+ * @returns {string} "yyyy-MM-dd HH:mm" in the configured timezone
+ */
+function formatDateTime(seconds, time = config.time) {
+    return DateTime.fromSeconds(seconds, { zone: time.timezone }).toFormat("yyyy-MM-dd HH:mm");
+}
+
+/**
+ * Parses an ISO date or date-time from the settings in the configured
+ * timezone. A plain date means the start of that day, i.e. its reset hour.
+ * @param {string} value
+ * @param {object} [time]
+ * @returns {DateTime} Possibly invalid; callers report the setting name
+ */
+function parseDate(value, time = config.time) {
+    const date = DateTime.fromISO(value.trim(), { zone: time.timezone });
+    return /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) ? date.plus({ hours: time.resetHour }) : date;
+}
+
+module.exports = {
+    startOfPeriod,
+    dayOf,
+    formatDateTime,
+    parseDate
+};
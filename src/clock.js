@@ -0,0 +1,40 @@
+const { Settings } = require("luxon");
+
+/**
+ * Single source of "now" for the pipeline. Replay runs freeze it to the moment
+ * the fixtures were recorded, so period boundaries, snapshot rollovers and
+ * freshness labels come out exactly as they did in the recorded run.
+ */
+class Clock {
+    constructor() {
+        /** @type {number|null} */
+        this.frozenMs = null;
+        Settings.now = () => this.now();
+    }
+
+    /** @returns {number} Current time in milliseconds */
+    now() {
+        return this.frozenMs ?? Date.now();
+    }
+
+    /** @returns {number} Current time in (fractional) seconds */
+    nowSeconds() {
+        return this.now() / 1000;
+    }
+
+    /**
+     * Pins the clock to a fixed instant.
+     * @param {number} ms - Milliseconds since epoch
+     */
+    freeze(ms) {
+        if (!Number.isFinite(Number(ms))) throw new Error(`Invalid frozen time: ${ms}`);
+        this.frozenMs = Number(ms);
+    }
+
+    /** Returns to wall-clock time */
+    unfreeze() {
+        this.frozenMs = null;
+    }
+}
+
+module.exports = new Clock();
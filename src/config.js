@@ -0,0 +1,309 @@
+const fs = require("fs");
+const path = require("path");
+const { DateTime, IANAZone } = require("luxon");
+
+const CONFIG_FILE = path.join(__dirname, "../dashboard.config.json");
+
+/**
+ * Every setting with its default. dashboard.config.json only needs the values
+ * that differ; each one can also be overridden by an environment variable
+ * named after its path, e.g. `time.resetHour` → DASHBOARD_TIME_RESET_HOUR.
+ */
+const DEFAULTS = {
+    crew: {
+        // Shown in the page title, meta tags and header
+        name: "Uebertr1eber"
+    },
+    time: {
+        // IANA zone all dates are shown and grouped in
+        timezone: "Europe/Berlin",
+        // 1 = Monday … 7 = Sunday
+        weekStart: 1,
+        // Local hour at which a new day ("Heute") begins
+        resetHour: 0
+    },
+    analysis: {
+        // Match-count windows plus "season"; the first count is the default view
+        periods: [30, 60, 100, 250, "season"],
+        // Start of the current FACEIT season (ISO date); null: January 1st
+        seasonStart: null,
+        // Upper bound for the season window so a very active player can't page forever
+        seasonMatchLimit: 1000,
+        // Opponents within this many ELO of the own team's average count as equal
+        equalEloMargin: 50
+    },
+    freshness: {
+        // Latest match at most this old: green, then yellow up to agingHours, then red
+        freshHours: 7 * 24,
+        agingHours: 30 * 24
+    },
+    api: {
+        requestTimeoutMs: 15000,
+        // Data API requests in flight at once, shared by all players of a run
+        concurrency: 5,
+        // Sustained Data API requests per second; quota headers can slow this down further
+        rateLimit: 8,
+        // Players processed side by side; the shared request budget still bounds the calls
+        playerConcurrency: 4,
+        // Walk the ELO history back to this ISO date (e.g. "2023-09-27"); null: no backfill
+        eloBackfillUntil: null,
+        // Cached matches completed with team data per run (one extra request each)
+        teamBackfillPerRun: 100,
+        // Uncached matches whose stats are fetched per run; the rest are marked as pending
+        matchFetchPerRun: 500
+    },
+    cache: {
+        // Match statistics are immutable; this only bounds the cache size
+        maxAgeDays: 730,
+        // ELO history kept per player; at least a year so yearly trends stay complete
+        eloHistoryDays: 1095,
+        // Store shards as .json.gz; both formats are read
+        gzip: false
+    },
+    files: {
+        players: "players.json",
+        template: "index.template.html",
+        output: "index.html",
+        // Shared index linking the squad pages, used when more than one squad is configured
+        squadIndexTemplate: "squads.template.html"
+    },
+    roles: {
+        // Checked in this order; the first role whose thresholds are all met wins.
+        // Rates are per round, so long matches don't count as more impact; adr is round-weighted.
+        opener: { entryAttemptsPerRound: 0.016, entrySuccess: 50 },
+        closer: { clutchesPerRound: 0.005 },
+        support: { utilityPerRound: 3.6 },
+        sharpshooter: { hsPercent: 55, kd: 1.05 },
+        fragger: { adr: 82, kd: 1.08 }
+    },
+    // Named squads, each `{ id, name, players, output?, discordChannelId?, discordWebhookEnv? }`.
+    // Empty: one squad from crew.name, files.players and files.output. Not overridable by environment.
+    squads: []
+};
+
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const integerIn = (min, max) => value => Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : `expected an integer from ${min} to ${max}`;
+const positiveInteger = value => Number.isInteger(value) && value > 0 ? null : "expected a positive integer";
+const nonNegative = value => Number.isFinite(value) && value >= 0 ? null : "expected a number ≥ 0";
+const positiveNumber = value => Number.isFinite(value) && value > 0 ? null : "expected a number > 0";
+const boolean = value => typeof value === "boolean" ? null : "expected true or false";
+const optionalDate = value => value === null || value === ""
+    || (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value) && DateTime.fromISO(value).isValid)
+    ? null
+    : "expected an ISO date such as \"2026-07-01\" or null";
+const nonEmptyString = value => typeof value === "string" && value.trim() ? null : "expected a non-empty string";
+
+const RULES = {
+    "crew.name": nonEmptyString,
+    "time.timezone": value => typeof value === "string" && IANAZone.isValidZone(value)
+        ? null
+        : "expected an IANA zone such as \"Europe/Berlin\"",
+    "time.weekStart": integerIn(1, 7),
+    "time.resetHour": integerIn(0, 23),
+    "analysis.periods": value => {
+        if (!Array.isArray(value) || value.length === 0) return "expected a non-empty list";
+        if (value.some(period => period !== "season" && !(Number.isInteger(period) && period > 0))) return "expected match counts or \"season\"";
+        if (new Set(value.map(String)).size !== value.length) return "expected each period only once";
+        return value.some(Number.isInteger) ? null : "expected at least one match count";
+    },
+    "analysis.seasonStart": optionalDate,
+    "analysis.seasonMatchLimit": positiveInteger,
+    "analysis.equalEloMargin": positiveInteger,
+    "freshness.freshHours": positiveInteger,
+    "freshness.agingHours": positiveInteger,
+    "api.requestTimeoutMs": positiveInteger,
+    "api.concurrency": positiveInteger,
+    "api.rateLimit": positiveNumber,
+    "api.playerConcurrency": positiveInteger,
+    "api.eloBackfillUntil": optionalDate,
+    "api.teamBackfillPerRun": positiveInteger,
+    "api.matchFetchPerRun": positiveInteger,
+    "cache.maxAgeDays": positiveInteger,
+    "cache.eloHistoryDays": integerIn(366, 36500),
+    "cache.gzip": boolean,
+    "files.players": nonEmptyString,
+    "files.template": nonEmptyString,
+    "files.output": nonEmptyString,
+    "files.squadIndexTemplate": nonEmptyString
+};
+for (const [role, thresholds] of Object.entries(DEFAULTS.roles)) {
+    for (const key of Object.keys(thresholds)) RULES[`roles.${role}.${key}`] = nonNegative;
+}
+
+// Role thresholds that used to count per match, with their per-round replacement.
+// Old values are converted with the match length the defaults were derived from.
+const PER_MATCH_ROLE_KEYS = {
+    "roles.opener.entryAttemptsPerMatch": "roles.opener.entryAttemptsPerRound",
+    "roles.closer.clutchesPerMatch": "roles.closer.clutchesPerRound",
+    "roles.support.utilityPerMatch": "roles.support.utilityPerRound"
+};
+const ROUNDS_PER_MATCH = 22;
+
+const SQUAD_KEYS = ["id", "name", "players", "output", "discordChannelId", "discordWebhookEnv"];
+
+/**
+ * @param {*} squads
+ * @param {string} indexOutput - files.output, the shared index page when several squads exist
+ * @returns {string|null} Problem description
+ */
+function squadsProblem(squads, indexOutput) {
+    if (!Array.isArray(squads)) return "expected a list";
+    const ids = new Set();
+    const outputs = new Set([indexOutput]);
+    for (const [index, squad] of squads.entries()) {
+        const at = `squads[${index}]`;
+        if (!isObject(squad)) return `${at}: expected an object`;
+        const unknown = Object.keys(squad).find(key => !SQUAD_KEYS.includes(key));
+        if (unknown) return `${at}: unknown key "${unknown}"`;
+        if (typeof squad.id !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(squad.id)) return `${at}.id: expected a lowercase slug such as "academy"`;
+        if (ids.has(squad.id)) return `${at}.id: "${squad.id}" is used twice`;
+        ids.add(squad.id);
+        for (const key of ["name", "players"]) {
+            if (nonEmptyString(squad[key])) return `${at}.${key}: ${nonEmptyString(squad[key])}`;
+        }
+        for (const key of ["output", "discordChannelId", "discordWebhookEnv"]) {
+            if (squad[key] !== undefined && nonEmptyString(squad[key])) return `${at}.${key}: ${nonEmptyString(squad[key])}`;
+        }
+        const output = squad.output || `${squad.id}.html`;
+        if (squads.length > 1 && outputs.has(output)) return `${at}.output: "${output}" is already used by the index or another squad`;
+        outputs.add(output);
+    }
+    return null;
+}
+
+/** @returns {string} Environment variable overriding a setting, e.g. DASHBOARD_TIME_RESET_HOUR */
+const envName = settingPath => `DASHBOARD_${settingPath.split(".").map(part => part.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase()).join("_")}`;
+
+/** Converts an environment string to the type of the setting's default. */
+function fromEnv(raw, defaultValue) {
+    const value = raw.trim();
+    if (Array.isArray(defaultValue)) {
+        return value.split(",").map(item => item.trim()).filter(Boolean).map(item => /^\d+$/.test(item) ? Number(item) : item);
+    }
+    if (typeof defaultValue === "number") return value === "" ? NaN : Number(value);
+    if (typeof defaultValue === "boolean") {
+        if (["1", "true"].includes(value.toLowerCase())) return true;
+        if (["", "0", "false"].includes(value.toLowerCase())) return false;
+    }
+    return value;
+}
+
+/** @returns {number} A per-match threshold as a per-round one */
+const perRound = value => Math.round(value / ROUNDS_PER_MATCH * 10000) / 10000;
+
+/**
+ * Converts the per-match role thresholds of older configs, from the file and
+ * from DASHBOARD_* variables, to their per-round replacement with a warning.
+ * @param {object} raw - Parsed config file, updated in place
+ * @param {object} env
+ * @param {string} fileName
+ * @returns {object} Environment with converted variables
+ */
+function convertPerMatchRoles(raw, env, fileName) {
+    const converted = { ...env };
+    for (const [oldPath, newPath] of Object.entries(PER_MATCH_ROLE_KEYS)) {
+        const [, role, oldKey] = oldPath.split(".");
+        const newKey = newPath.split(".")[2];
+        const thresholds = raw.roles?.[role];
+        if (isObject(thresholds) && oldKey in thresholds) {
+            if (newKey in thresholds) throw new Error(`${fileName}: "${oldPath}" was replaced by "${newPath}"; remove the old setting`);
+            const value = thresholds[oldKey];
+            if (!Number.isFinite(value)) throw new Error(`Invalid ${oldPath} from ${fileName}: ${JSON.stringify(value)} (expected a number ≥ 0); use "${newPath}" instead`);
+            thresholds[newKey] = perRound(value);
+            delete thresholds[oldKey];
+            console.warn(`⚠️ ${fileName}: "${oldPath}" is deprecated, using ${newPath} = ${thresholds[newKey]} (${value} / ${ROUNDS_PER_MATCH} rounds)`);
+        }
+        const oldVariable = envName(oldPath);
+        if (env[oldVariable] === undefined) continue;
+        const newVariable = envName(newPath);
+        if (env[newVariable] !== undefined) throw new Error(`${oldVariable} was replaced by ${newVariable}; unset the old variable`);
+        const value = fromEnv(env[oldVariable], 0);
+        if (!Number.isFinite(value)) throw new Error(`Invalid ${oldPath} from ${oldVariable}: ${JSON.stringify(env[oldVariable])} (expected a number ≥ 0); use ${newVariable} instead`);
+        converted[newVariable] = String(perRound(value));
+        delete converted[oldVariable];
+        console.warn(`⚠️ ${oldVariable} is deprecated, using ${newVariable}=${converted[newVariable]} (${value} / ${ROUNDS_PER_MATCH} rounds)`);
+    }
+    return converted;
+}
+
+/** Throws on keys that aren't settings, so typos don't silently fall back to defaults. */
+function rejectUnknown(raw, defaults, prefix, fileName) {
+    for (const [key, value] of Object.entries(raw)) {
+        const settingPath = prefix ? `${prefix}.${key}` : key;
+        if (!(key in defaults)) throw new Error(`${fileName}: unknown setting "${settingPath}"`);
+        if (isObject(defaults[key])) {
+            if (!isObject(value)) throw new Error(`${fileName}: "${settingPath}" must be an object`);
+            rejectUnknown(value, defaults[key], settingPath, fileName);
+        }
+    }
+}
+
+/**
+ * Builds the effective settings: defaults, then dashboard.config.json, then
+ * DASHBOARD_* environment variables. Every value is validated, and an invalid
+ * one throws with its setting name and source instead of silently shifting
+ * period boundaries or thresholds.
+ * @param {string} [file]
+ * @param {object} [env] - Environment to read overrides from
+ * @returns {typeof DEFAULTS}
+ */
+function loadConfig(file = CONFIG_FILE, env = process.env) {
+    const fileName = path.basename(file);
+    let raw = {};
+    if (fs.existsSync(file)) {
+        try {
+            raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+        } catch (e) {
+            throw new Error(`${fileName} is not valid JSON: ${e.message}`);
+        }
+        if (!isObject(raw)) throw new Error(`${fileName} must contain a JSON object`);
+    }
+    env = convertPerMatchRoles(raw, env, fileName);
+    rejectUnknown(raw, DEFAULTS, "", fileName);
+
+    const config = {};
+    for (const [section, settings] of Object.entries(DEFAULTS)) {
+        if (section === "squads") continue;
+        config[section] = {};
+        for (const [key, defaultValue] of Object.entries(settings)) {
+            config[section][key] = resolve(`${section}.${key}`, defaultValue, raw[section]?.[key], env, fileName);
+        }
+    }
+
+    if (config.freshness.agingHours <= config.freshness.freshHours) {
+        throw new Error("Invalid freshness.agingHours: must be greater than freshness.freshHours");
+    }
+
+    config.squads = raw.squads ?? DEFAULTS.squads;
+    const squadProblem = squadsProblem(config.squads, config.files.output);
+    if (squadProblem) throw new Error(`Invalid squads from ${fileName}: ${squadProblem}`);
+    return config;
+}
+
+/** Resolves one setting (recursing into role groups) and validates the result. */
+function resolve(settingPath, defaultValue, fileValue, env, fileName) {
+    if (isObject(defaultValue)) {
+        return Object.fromEntries(Object.entries(defaultValue).map(([key, value]) => [
+            key,
+            resolve(`${settingPath}.${key}`, value, fileValue?.[key], env, fileName)
+        ]));
+    }
+    const variable = envName(settingPath);
+    const fromEnvironment = env[variable] !== undefined;
+    const value = fromEnvironment
+        ? fromEnv(env[variable], defaultValue)
+        : fileValue !== undefined ? fileValue : defaultValue;
+    const problem = RULES[settingPath](value);
+    if (problem) {
+        const source = fromEnvironment ? variable : fileValue !== undefined ? fileName : "default";
+        throw new Error(`Invalid ${settingPath} from ${source}: ${JSON.stringify(value)} (${problem})`);
+    }
+    return value;
+}
+
+module.exports = loadConfig();
+module.exports.loadConfig = loadConfig;
+module.exports.envName = envName;
@@ -0,0 +1,73 @@
+// Raw fields of a FACEIT stats-time item that the pipeline and dashboard read;
+// everything else is dropped before the item lands in data/history-cache.json.
+// Older entries still use FACEIT's raw keys; new ones come from schema.parseEloHistory.
+const KEPT_FIELDS = ["matchId", "match_id", "date", "elo", "eloDiff", "map", "result", "score", "elo_delta", "i1", "i10", "i18", "i20"];
+// Locally appended fallback points carry no matchId; one within this distance of
+// a real FACEIT point describes the same match.
+const FALLBACK_TOLERANCE_MS = 60000;
+
+/**
+ * Returns the timestamp of a history item in milliseconds.
+ * @param {object} item - Raw or fallback history item
+ * @returns {number}
+ */
+function itemDate(item) {
+    const raw = Number(item?.date ?? item?.created_at ?? item?.updated_at);
+    return raw > 1e12 ? raw : raw * 1000;
+}
+
+/** @private */
+function itemKey(item) {
+    const matchId = item.matchId ?? item.match_id;
+    return matchId ? `match:${matchId}` : `date:${itemDate(item)}`;
+}
+
+/**
+ * Strips a raw history item down to the fields we actually use.
+ * @param {object} item - Raw FACEIT stats-time item
+ * @returns {object}
+ */
+function compactEloItem(item) {
+    const compact = {};
+    for (const field of KEPT_FIELDS) {
+        if (item[field] !== undefined && item[field] !== null && item[field] !== "") compact[field] = item[field];
+    }
+    if (compact.date === undefined) compact.date = itemDate(item);
+    return compact;
+}
+
+/**
+ * Merges freshly fetched history into the cached one.
+ * Items are keyed by matchId (fresh data wins), fallback points that duplicate
+ * a real match are dropped, and the result is sorted oldest → newest.
+ * @param {Array} cached - History from data/history-cache.json
+ * @param {Array} fresh - Items from the stats time endpoint
+ * @param {object} [options]
+ * @param {number} [options.keepSince] - Drop items older than this (ms), bounding the cache
+ * @returns {Array}
+ */
+function mergeEloHistory(cached, fresh, { keepSince = -Infinity } = {}) {
+    const byKey = new Map();
+    for (const item of [...(cached || []), ...(fresh || [])]) {
+        if (!item || !Number.isFinite(itemDate(item)) || itemDate(item) < keepSince) continue;
+        byKey.set(itemKey(item), compactEloItem(item));
+    }
+
+    const items = [...byKey.values()];
+    const matchDates = items.filter(item => item.matchId ?? item.match_id).map(itemDate);
+    return items
+        .filter(item => (item.matchId ?? item.match_id)
+            || !matchDates.some(date => Math.abs(date - itemDate(item)) < FALLBACK_TOLERANCE_MS))
+        .sort((a, b) => itemDate(a) - itemDate(b));
+}
+
+/**
+ * @param {Array} history - Cached history
+ * @returns {number|null} Oldest timestamp in milliseconds
+ */
+function oldestEloDate(history) {
+    const dates = (history || []).map(itemDate).filter(Number.isFinite);
+    return dates.length ? Math.min(...dates) : null;
+}
+
+module.exports = { itemDate, compactEloItem, mergeEloHistory, oldestEloDate };
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const clock = require("./clock");
+
+const LEDGER_FILE = path.join(__dirname, "../data/elo-ledger.jsonl");
+const RANGES = ["daily", "weekly", "monthly", "yearly"];
+
+/**
+ * @typedef {object} LedgerRecord
+ * @property {string} recordedAt - ISO timestamp of the run that wrote the record
+ * @property {"daily"|"weekly"|"monthly"|"yearly"} range
+ * @property {string} period - ISO date the period starts on
+ * @property {string} playerId
+ * @property {number} elo - ELO at the start of the period
+ * @property {"history"|"current"|"inactive-correction"|"import"} reason
+ *   How the value was obtained: looked up in the ELO timeline, the current ELO
+ *   of a player without matches in the period, a correction for an inactive
+ *   player whose ELO changed anyway, or imported from the old snapshot files
+ */
+
+/**
+ * Append-only record of every player's ELO at the start of each period.
+ *
+ * One JSON object per line in data/elo-ledger.jsonl; nothing is ever
+ * rewritten. Corrections are appended as new records, and the latest record
+ * for a (range, period, player) wins, so every trend baseline can be traced
+ * back to the run and rule that produced it. The elo-<range>.json snapshot
+ * files are derived from this ledger.
+ */
+class EloLedger {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.file] - Ledger path
+     * @param {boolean} [options.persist] - Append to disk (false keeps records in memory, e.g. for replays)
+     */
+    constructor({ file = LEDGER_FILE, persist = true } = {}) {
+        this.file = file;
+        this.persist = persist;
+        /** @type {LedgerRecord[]} */
+        this.records = [];
+        this.loaded = false;
+        this.needsNewline = false;
+    }
+
+    /**
+     * Reads the ledger. A line cut off by a crash is skipped, never repaired in place.
+     * @returns {this}
+     */
+    load() {
+        this.records = [];
+        this.loaded = true;
+        if (!fs.existsSync(this.file)) return this;
+
+        const content = fs.readFileSync(this.file, "utf-8");
+        this.needsNewline = content.length > 0 && !content.endsWith("\n");
+        content.split("\n").forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                this.records.push(JSON.parse(line));
+            } catch {
+                console.warn(`⚠️ ELO ledger: skipping unreadable line ${index + 1}`);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Appends a record.
+     * @param {Omit<LedgerRecord, "recordedAt">} record
+     * @param {Date} [recordedAt] - Defaults to the pipeline clock, frozen during replays
+     * @returns {LedgerRecord}
+     */
+    append({ range, period, playerId, elo, reason }, recordedAt = new Date(clock.now())) {
+        if (!RANGES.includes(range)) throw new Error(`Unknown ledger range: ${range}`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(period)) throw new Error(`Invalid ledger period: ${period}`);
+        if (!Number.isFinite(elo)) throw new Error(`Invalid ELO for ${playerId}: ${elo}`);
+
+        const record = { recordedAt: recordedAt.toISOString(), range, period, playerId, elo, reason };
+        this.records.push(record);
+        if (this.persist) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            // Start on a fresh line if a previous write was cut off mid-line.
+            fs.appendFileSync(this.file, `${this.needsNewline ? "\n" : ""}${JSON.stringify(record)}\n`);
+            this.needsNewline = false;
+        }
+        return record;
+    }
+
+    /**
+     * @param {string} range
+     * @param {string} period - ISO start date
+     * @param {string} playerId
+     * @returns {LedgerRecord|null} Latest record for that baseline
+     */
+    latest(range, period, playerId) {
+        for (let i = this.records.length - 1; i >= 0; i--) {
+            const record = this.records[i];
+            if (record.range === range && record.period === period && record.playerId === playerId) return record;
+        }
+        return null;
+    }
+
+    /**
+     * Baselines of one period in the shape of the elo-<range>.json files.
+     * @param {string} range
+     * @param {string} period - ISO start date
+     * @returns {Array<{ playerId: string, elo: number }>}
+     */
+    snapshot(range, period) {
+        const byPlayer = new Map();
+        for (const record of this.records) {
+            if (record.range === range && record.period === period) byPlayer.set(record.playerId, record.elo);
+        }
+        return [...byPlayer].map(([playerId, elo]) => ({ playerId, elo }));
+    }
+
+    /**
+     * ELO of a player on a past date: the closest baseline recorded on or
+     * before it, preferring the more specific range when periods coincide.
+     * @param {string} playerId
+     * @param {string} date - ISO date
+     * @returns {{ elo: number, record: LedgerRecord }|null}
+     */
+    eloAt(playerId, date) {
+        let best = null;
+        for (const record of this.records) {
+            if (record.playerId !== playerId || record.period > date) continue;
+            if (!best || record.period > best.period
+                || (record.period === best.period && RANGES.indexOf(record.range) < RANGES.indexOf(best.range))) {
+                best = record;
+            }
+        }
+        if (!best) return null;
+        const record = this.latest(best.range, best.period, playerId);
+        return { elo: record.elo, record };
+    }
+
+    /** @returns {boolean} Whether any record of this range exists */
+    has(range) {
+        return this.records.some(record => record.range === range);
+    }
+}
+
+module.exports = new EloLedger();
+module.exports.EloLedger = EloLedger;
+module.exports.RANGES = RANGES;
@@ -0,0 +1,89 @@
+const http = require("http");
+const https = require("https");
+const zlib = require("zlib");
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/** @private Decompresses a body according to its Content-Encoding (what `curl --compressed` did). */
+function decode(buffer, encoding) {
+    switch ((encoding || "").trim().toLowerCase()) {
+        case "gzip":
+        case "x-gzip":
+            return zlib.gunzipSync(buffer);
+        case "deflate":
+            return zlib.inflateSync(buffer);
+        case "br":
+            return zlib.brotliDecompressSync(buffer);
+        default:
+            return buffer;
+    }
+}
+
+/**
+ * Minimal GET client on top of Node's http/https modules.
+ * Follows redirects, decompresses gzip/deflate/brotli bodies and enforces a
+ * timeout, without spawning processes or going through a shell.
+ *
+ * @param {string} url - Absolute http(s) URL
+ * @param {object} [options]
+ * @param {object} [options.headers] - Request headers
+ * @param {number} [options.timeoutMs] - Timeout for the whole request including redirects
+ * @returns {Promise<{ status: number, headers: object, body: string }>}
+ */
+function httpGet(url, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        let currentRequest = null;
+        const finish = (fn, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            fn(value);
+        };
+        const timer = setTimeout(() => {
+            currentRequest?.destroy();
+            finish(reject, new Error(`Request timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+
+        const send = (target, redirectsLeft) => {
+            const parsed = new URL(target);
+            const transport = parsed.protocol === "https:" ? https : http;
+            currentRequest = transport.get(parsed, {
+                headers: { "Accept-Encoding": "gzip, deflate, br", ...headers }
+            }, res => {
+                const { statusCode, headers: resHeaders } = res;
+                if (statusCode >= 300 && statusCode < 400 && resHeaders.location) {
+                    res.resume();
+                    if (redirectsLeft <= 0) {
+                        finish(reject, new Error(`Too many redirects for ${url}`));
+                        return;
+                    }
+                    send(new URL(resHeaders.location, parsed).toString(), redirectsLeft - 1);
+                    return;
+                }
+
+                const chunks = [];
+                res.on("data", chunk => chunks.push(chunk));
+                res.on("error", err => finish(reject, err));
+                res.on("end", () => {
+                    try {
+                        const body = decode(Buffer.concat(chunks), resHeaders["content-encoding"]).toString("utf8");
+                        finish(resolve, { status: statusCode, headers: resHeaders, body });
+                    } catch (e) {
+                        finish(reject, new Error(`Could not decode response body: ${e.message}`));
+                    }
+                });
+            });
+            currentRequest.on("error", err => finish(reject, err));
+        };
+
+        try {
+            send(url, MAX_REDIRECTS);
+        } catch (e) {
+            finish(reject, e);
+        }
+    });
+}
+
+module.exports = { httpGet };
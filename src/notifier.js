@@ -1,4 +1,5 @@
 const fetch = globalThis.fetch;
+const config = require("./config");
 
 class DiscordNotifier {
     constructor() {
@@ -7,24 +8,44 @@ class DiscordNotifier {
         this.channelId = (process.env.DISCORD_CHANNEL_ID || "").trim();
     }
 
+    /**
+     * Where a squad's notifications go: the webhook(s) in the environment
+     * variable named by `discordWebhookEnv`, else the bot posting to
+     * `discordChannelId`, else the global DISCORD_* credentials.
+     * @param {{ discordWebhookEnv?: string, discordChannelId?: string }} [squad]
+     * @returns {{ webhookUrl: string, channelId: string }|null} null when the squad has no usable channel
+     */
+    targetFor(squad = {}) {
+        if (squad.discordWebhookEnv) {
+            const webhookUrl = (process.env[squad.discordWebhookEnv] || "").trim();
+            return webhookUrl ? { webhookUrl, channelId: "" } : null;
+        }
+        if (squad.discordChannelId) {
+            return this.token ? { webhookUrl: "", channelId: squad.discordChannelId } : null;
+        }
+        if (this.webhookUrl) return { webhookUrl: this.webhookUrl, channelId: "" };
+        return this.token && this.channelId ? { webhookUrl: "", channelId: this.channelId } : null;
+    }
+
     /**
      * Sends a notification to Discord.
      * @param {object} player - Player profile data
      * @param {object} match - Match details/stats
+     * @param {{ webhookUrl: string, channelId: string }|null} [target] - See targetFor()
      * @returns {Promise<boolean>}
      */
-    async sendMatchNotification(player, match) {
-        if (!this.webhookUrl && (!this.token || !this.channelId)) {
+    async sendMatchNotification(player, match, target = this.targetFor()) {
+        if (!target) {
             console.warn("⚠️ Discord Notifier: No credentials found (WebHook or Token/ChannelID). Skipping notification.");
             return false;
         }
 
         const embed = this._formatMatchEmbed(player, match);
 
-        if (this.webhookUrl) {
-            return this._sendViaWebhook(embed);
+        if (target.webhookUrl) {
+            return this._sendViaWebhook(embed, target.webhookUrl);
         } else {
-            return this._sendViaBot(embed);
+            return this._sendViaBot(embed, target.channelId);
         }
     }
 
@@ -72,7 +93,7 @@ class DiscordNotifier {
         }
 
         const timestamp = match.date ? match.date * 1000 : Date.now();
-        const footerDate = new Date(timestamp).toLocaleString("de-DE");
+        const footerDate = new Date(timestamp).toLocaleString("de-DE", { timeZone: config.time.timezone });
 
         return {
             title: title,
@@ -85,8 +106,8 @@ class DiscordNotifier {
     }
 
     /** @private */
-    async _sendViaWebhook(embed) {
-        const urls = this.webhookUrl.split(",").map(u => u.trim()).filter(u => u.length > 0);
+    async _sendViaWebhook(embed, webhookUrl) {
+        const urls = webhookUrl.split(",").map(u => u.trim()).filter(u => u.length > 0);
         
         if (urls.length === 0) return false;
 
@@ -108,9 +129,9 @@ class DiscordNotifier {
     }
 
     /** @private */
-    async _sendViaBot(embed) {
+    async _sendViaBot(embed, channelId) {
         try {
-            const res = await fetch(`https://discord.com/api/v10/channels/${this.channelId}/messages`, {
+            const res = await fetch(`https://discord.com/api/v10/channels/${channelId}/messages`, {
                 method: "POST",
                 headers: {
                     "Authorization": `Bot ${this.token}`,
@@ -127,3 +148,4 @@ class DiscordNotifier {
 }
 
 module.exports = new DiscordNotifier();
+module.exports.DiscordNotifier = DiscordNotifier;
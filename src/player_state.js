@@ -0,0 +1,65 @@
+const path = require("path");
+const { writeJsonAtomic, readJson } = require("./atomic_fs");
+
+// Per-player fingerprint and last computed result, used to skip unchanged players.
+// Git-ignored: CI keeps it in the Actions cache, the results themselves are in data/players/.
+const STATE_DIR = path.join(__dirname, "..", "data", "state");
+
+const stateFile = (dir, playerId) => path.join(dir, `${String(playerId).replace(/[^a-z0-9_-]/gi, "_")}.json`);
+
+/**
+ * @param {string} playerId
+ * @param {string} [dir]
+ * @returns {{ fingerprint: object, result: object, diagnostics: object }|null}
+ */
+function loadPlayerState(playerId, dir = STATE_DIR) {
+    // A lost state file only costs one full recomputation, so it has no backup.
+    return readJson(stateFile(dir, playerId), null);
+}
+
+/**
+ * @param {string} playerId
+ * @param {object} fingerprint - From playerFingerprint() in index.js
+ * @param {object} result - Player result without the parts rebuilt on reuse
+ * @param {{ placeholderMatches: string[], pendingMatches: string[], teamsMissing: number }} diagnostics
+ * @param {string} [dir]
+ */
+function savePlayerState(playerId, fingerprint, result, diagnostics, dir = STATE_DIR) {
+    try {
+        writeJsonAtomic(stateFile(dir, playerId), { fingerprint, result, diagnostics }, { backup: false });
+    } catch (e) {
+        console.error(`⚠️ Failed to save player state for ${playerId}:`, e.message);
+    }
+}
+
+/**
+ * Counts the matches whose stats have no team data yet. Placeholders are
+ * left out: they are retried or fetched on their own and carry no team data.
+ * @param {Object<string, object>} matchStatsMap - Match stats by match ID
+ * @param {string[]} [placeholderMatches] - Failed and pending matches
+ * @returns {number}
+ */
+function countMissingTeams(matchStatsMap, placeholderMatches = []) {
+    const placeholders = new Set(placeholderMatches);
+    return Object.entries(matchStatsMap)
+        .filter(([matchId, ms]) => !placeholders.has(matchId) && !("__teams" in ms))
+        .length;
+}
+
+/**
+ * A stored result is only reused while nothing it depends on has changed:
+ * the same fingerprint, no match left for a later run's stats budget and
+ * none still waiting for the team backfill (opponent strength and expected
+ * wins would otherwise stay frozen).
+ * @param {object|null} previous - From loadPlayerState()
+ * @param {object} fingerprint
+ * @returns {boolean}
+ */
+function canReuse(previous, fingerprint) {
+    if (!previous?.result) return false;
+    if (JSON.stringify(previous.fingerprint) !== JSON.stringify(fingerprint)) return false;
+    if (previous.diagnostics?.pendingMatches?.length) return false;
+    return previous.diagnostics?.teamsMissing === 0;
+}
+
+module.exports = { STATE_DIR, loadPlayerState, savePlayerState, countMissingTeams, canReuse };
@@ -0,0 +1,150 @@
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Header names used by FACEIT and the common draft standard for quota reporting.
+const REMAINING_HEADERS = ["x-ratelimit-remaining", "ratelimit-remaining"];
+const RESET_HEADERS = ["x-ratelimit-reset", "ratelimit-reset"];
+
+/**
+ * Client-side token bucket shared by every request of a run.
+ *
+ * Tokens refill continuously at `ratePerSecond` up to `burst`; each request
+ * takes one. Quota headers from the server can drain the bucket or pause it
+ * until the announced reset, so parallel players slow down together instead
+ * of each discovering the limit through its own 429.
+ */
+class TokenBucket {
+    /**
+     * @param {object} options
+     * @param {number} options.ratePerSecond - Sustained request rate
+     * @param {number} [options.burst] - Maximum tokens held at once
+     * @param {() => number} [options.now] - Millisecond clock (injectable for tests)
+     * @param {(ms: number) => Promise<void>} [options.sleep] - Delay function (injectable for tests)
+     */
+    constructor({ ratePerSecond, burst = ratePerSecond, now = () => Date.now(), sleep: wait = sleep }) {
+        if (!(ratePerSecond > 0)) throw new Error(`Invalid rate limit: ${ratePerSecond}`);
+        this.ratePerSecond = ratePerSecond;
+        this.burst = Math.max(1, burst);
+        this.now = now;
+        this.sleep = wait;
+        this.tokens = this.burst;
+        this.updatedAt = now();
+        this.pausedUntil = 0;
+        this.queue = Promise.resolve();
+    }
+
+    /** @private Adds the tokens accrued since the last update. */
+    _refill() {
+        const now = this.now();
+        const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.ratePerSecond);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Waits until a request may be sent. Callers are served in FIFO order.
+     * @returns {Promise<void>}
+     */
+    take() {
+        const turn = this.queue.then(() => this._acquire());
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /** @private */
+    async _acquire() {
+        for (;;) {
+            const now = this.now();
+            if (now < this.pausedUntil) {
+                await this.sleep(this.pausedUntil - now);
+                continue;
+            }
+            this._refill();
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+            await this.sleep(Math.ceil((1 - this.tokens) / this.ratePerSecond * 1000));
+        }
+    }
+
+    /**
+     * Holds back every caller for at least `ms` milliseconds.
+     * @param {number} ms - Pause duration
+     */
+    pause(ms) {
+        if (!(ms > 0)) return;
+        this.pausedUntil = Math.max(this.pausedUntil, this.now() + ms);
+    }
+
+    /**
+     * Adjusts the bucket to the quota reported by the server.
+     * An exhausted quota pauses the bucket until the reset; a low one caps the
+     * local tokens so we never burst past what the server still allows.
+     * @param {Headers} headers - Response headers
+     */
+    observe(headers) {
+        if (!headers) return;
+        const remaining = Number.parseInt(firstHeader(headers, REMAINING_HEADERS));
+        if (!Number.isFinite(remaining)) return;
+
+        this._refill();
+        this.tokens = Math.min(this.tokens, Math.max(0, remaining));
+        if (remaining <= 0) {
+            const resetMs = parseReset(firstHeader(headers, RESET_HEADERS), this.now());
+            this.pause(resetMs ?? 1000 / this.ratePerSecond);
+        }
+    }
+}
+
+/** @private Returns the first header present out of `names`. */
+function firstHeader(headers, names) {
+    for (const name of names) {
+        const value = headers.get(name);
+        if (value !== null && value !== undefined) return value;
+    }
+    return null;
+}
+
+/**
+ * Interprets a rate-limit reset header as a delay from now.
+ * Small values are seconds until the reset, large ones an epoch timestamp in seconds.
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Milliseconds until the reset
+ */
+function parseReset(value, now) {
+    const seconds = Number.parseFloat(value);
+    if (!Number.isFinite(seconds)) return null;
+    if (seconds > 1e9) return Math.max(0, seconds * 1000 - now);
+    return Math.max(0, seconds * 1000);
+}
+
+/**
+ * Parses a `Retry-After` header (delta seconds or HTTP date).
+ * @param {string|null} value - Header value
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} Milliseconds to wait
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === "") return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with jitter: half of the window is fixed, the other half random,
+ * so retries of parallel requests don't hit the server in lockstep.
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {number} baseMs - Delay window after the first failure
+ * @param {number} [maxMs] - Upper bound for the window
+ * @param {() => number} [random] - Random source in [0, 1)
+ * @returns {number} Milliseconds to wait
+ */
+function backoffDelay(attempt, baseMs, maxMs = 30000, random = Math.random) {
+    const window = Math.min(maxMs, baseMs * 2 ** attempt);
+    return Math.round(window / 2 + random() * window / 2);
+}
+
+module.exports = { TokenBucket, parseRetryAfter, backoffDelay, sleep };
@@ -0,0 +1,101 @@
+/**
+ * Composite impact rating in the spirit of HLTV's rating: one number per
+ * match or period where 1.00 is an average FACEIT player.
+ *
+ * Every component is a per-round rate divided by its typical value, so each
+ * contributes 1.00 for an average performance, and the weights sum to 1:
+ *
+ *   component         per round                              typical  weight
+ *   kills             kills                                   0.68    0.30
+ *   survival          rounds survived (rounds − deaths)       0.32    0.15
+ *   damage            damage (ADR)                           75       0.25
+ *   multikills        4·2K + 9·3K + 16·4K + 25·5K              1.00    0.10
+ *   entries           opening duels won                       0.10    0.10
+ *   clutches          clutch kills                            0.04    0.10
+ *
+ * Multikills are weighted by the square of the kills, as in HLTV's 1.0
+ * rating. Matches without a round count cannot be rated.
+ */
+const COMPONENTS = {
+    kills: { typical: 0.68, weight: 0.30 },
+    survival: { typical: 0.32, weight: 0.15 },
+    damage: { typical: 75, weight: 0.25 },
+    multikills: { typical: 1.00, weight: 0.10 },
+    entries: { typical: 0.10, weight: 0.10 },
+    clutches: { typical: 0.04, weight: 0.10 }
+};
+
+/**
+ * @typedef {object} RatingTotals
+ * @property {number} rounds
+ * @property {number} kills
+ * @property {number} deaths
+ * @property {number} damage - Total damage, i.e. ADR × rounds
+ * @property {number} doubleKills
+ * @property {number} tripleKills
+ * @property {number} quadKills
+ * @property {number} pentaKills
+ * @property {number} entryWins
+ * @property {number} clutches - Clutch kills
+ */
+
+/**
+ * Rating from totals over one or more matches. Summing the totals first
+ * weights a period by rounds played, so a long overtime counts for more than
+ * a quick stomp.
+ * @param {RatingTotals} totals
+ * @returns {number|null} Rounded to two decimals; null without rounds
+ */
+function computeRating(totals) {
+    const rounds = Number(totals.rounds) || 0;
+    if (rounds <= 0) return null;
+    const perRound = value => (Number(value) || 0) / rounds;
+    const multikillValue = 4 * (Number(totals.doubleKills) || 0) + 9 * (Number(totals.tripleKills) || 0)
+        + 16 * (Number(totals.quadKills) || 0) + 25 * (Number(totals.pentaKills) || 0);
+    const rates = {
+        kills: perRound(totals.kills),
+        survival: Math.max(0, rounds - (Number(totals.deaths) || 0)) / rounds,
+        damage: perRound(totals.damage),
+        multikills: multikillValue / rounds,
+        entries: perRound(totals.entryWins),
+        clutches: perRound(totals.clutches)
+    };
+    const rating = Object.entries(COMPONENTS)
+        .reduce((sum, [key, { typical, weight }]) => sum + weight * rates[key] / typical, 0);
+    return Math.round(rating * 100) / 100;
+}
+
+/**
+ * Adds one match's rating inputs to running totals.
+ * @param {RatingTotals} totals - Updated in place
+ * @param {object} match - Entry of `matchHistory`
+ * @returns {RatingTotals}
+ */
+function addMatch(totals, match) {
+    const rounds = Number(match.rounds) || 0;
+    if (rounds <= 0) return totals;
+    totals.rounds += rounds;
+    totals.kills += Number(match.kills) || 0;
+    totals.deaths += Number(match.deaths) || 0;
+    totals.damage += (Number(match.adr) || 0) * rounds;
+    totals.doubleKills += Number(match.doubleKills) || 0;
+    totals.tripleKills += Number(match.tripleKills) || 0;
+    totals.quadKills += Number(match.quadKills) || 0;
+    totals.pentaKills += Number(match.pentaKills) || 0;
+    totals.entryWins += Number(match.entryWins) || 0;
+    totals.clutches += Number(match.clutches) || 0;
+    return totals;
+}
+
+/** @returns {RatingTotals} */
+const emptyTotals = () => ({
+    rounds: 0, kills: 0, deaths: 0, damage: 0, doubleKills: 0, tripleKills: 0,
+    quadKills: 0, pentaKills: 0, entryWins: 0, clutches: 0
+});
+
+module.exports = {
+    COMPONENTS,
+    computeRating,
+    addMatch,
+    emptyTotals
+};
@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic_fs');
+const { classifyRole, describeRole } = require('./roles');
 
 const escapeHtml = (value) => String(value ?? '')
   .replace(/&/g, '&amp;')
@@ -19,6 +21,37 @@ const normalizeUrl = (value) => {
 };
 const safeUrl = (value) => escapeHtml(normalizeUrl(value));
 
+// Rewrites a player detail file only when more than its timestamp changed,
+// so players without new matches don't show up in the committed data diff.
+const writeDetailFile = (file, payload) => {
+  const body = JSON.stringify(payload);
+  if (fs.existsSync(file)) {
+    try {
+      const existing = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      if (JSON.stringify({ ...existing, lastUpdated: payload.lastUpdated }) === body) return;
+    } catch {
+      // Unreadable files are simply rewritten.
+    }
+  }
+  writeFileAtomic(file, body);
+};
+
+// Link from one generated page to another, relative so the site works from any base path.
+const pageLink = (fromPage, toPage) => path.relative(path.dirname(fromPage), toPage).split(path.sep).join('/');
+
+// "100% (34–100)": a winrate with its 95% confidence bounds (see stats.js), bare without them.
+// The interval is asymmetric near 0 and 100 %, so it is never shown as "±".
+const winrateLabel = (winrate, stats) => Number(stats?.winrateMargin) ? `${winrate}% (${Number(stats.winrateLower)}–${Number(stats.winrateUpper)})` : `${winrate}%`;
+const winrateRange = stats => Number(stats?.winrateMargin) ? `95%-Intervall ${Number(stats.winrateLower)}–${Number(stats.winrateUpper)} %` : '';
+
+const DEFAULT_PERIODS = ['30', '60', '100'];
+// Embedded fallback histories stay short; longer windows are drawn from data/history-cache.json.
+const EMBEDDED_HISTORY_POINTS = 100;
+// Match-count periods request exactly that many matches; "season" requests whatever the season holds.
+const requestedMatchCount = (period, periodStats) => Number(period)
+  || Number(periodStats?.dataQuality?.requestedMatches)
+  || (periodStats?.matchHistory || []).length;
+
 const deriveRenderProfile = stats => {
   if (stats?.performanceProfile?.role) return stats.performanceProfile;
   const recent = stats?.recent || {};
@@ -39,18 +72,27 @@ const deriveRenderProfile = stats => {
   const entryAttemptsPerMatch = (Number(recent.entryCount) || 0) / analyzed;
   const clutchesPerMatch = (Number(recent.clutches) || 0) / analyzed;
   const utilityPerMatch = Math.round((Number(recent.utilityDamage) || 0) / analyzed);
+  const entryAttemptsPerRound = Number(recent.entryAttemptsPerRound) || 0;
+  const clutchesPerRound = Number(recent.clutchesPerRound) || 0;
+  const utilityPerRound = Number(recent.utilityPerRound) || 0;
   const hs = Number.parseFloat(recent.hsPercent) || 0;
   const kd = Number.parseFloat(recent.kd) || 0;
-  const adr = Number.parseFloat(recent.adr) || 0;
-  let role = { key: 'allrounder', label: 'Allrounder', description: 'Ausgeglichenes Profil ohne extreme Ausschläge' };
-  if (entryAttemptsPerMatch >= .35 && Number(recent.entrySuccess) >= 50) role = { key: 'opener', label: 'Opener', description: 'Sucht und gewinnt häufig die ersten Duelle' };
-  else if (clutchesPerMatch >= .12) role = { key: 'closer', label: 'Closer', description: 'Überdurchschnittlich präsent in Clutch-Situationen' };
-  else if (utilityPerMatch >= 80) role = { key: 'support', label: 'Support', description: 'Hoher messbarer Impact durch Utility' };
-  else if (hs >= 55 && kd >= 1.05) role = { key: 'sharpshooter', label: 'Sharpshooter', description: 'Hohe Präzision und starke Headshot-Quote' };
-  else if (adr >= 82 && kd >= 1.08) role = { key: 'fragger', label: 'Fragger', description: 'Hoher Damage-Output bei positiver K/D' };
-  return { consistency, eloTrend: 0, eloVolatility: 0, role, entryAttemptsPerMatch, clutchesPerMatch, utilityPerMatch };
+  const adr = Number.parseFloat(recent.roundAdr ?? recent.adr) || 0;
+  const role = classifyRole({ entryAttemptsPerRound, entrySuccess: Number(recent.entrySuccess), clutchesPerRound, utilityPerRound, hsPercent: hs, kd, adr });
+  return { consistency, eloTrend: 0, eloVolatility: 0, role, entryAttemptsPerMatch, clutchesPerMatch, utilityPerMatch, entryAttemptsPerRound, clutchesPerRound, utilityPerRound };
 };
 
+// Roster metadata shown on the page; the declared role is resolved to its label.
+const rosterProfile = entry => ({
+  alias: entry?.alias || '',
+  role: entry?.role ? describeRole(entry.role) : null,
+  joined: entry?.joined || '',
+  tags: entry?.tags || [],
+  // Newest first; a player who renamed back is not listed under the current name
+  formerNicknames: [...new Set((entry?.previousNicknames || []).map(former => former.nickname).reverse())]
+    .filter(nickname => nickname !== entry?.nickname)
+});
+
 const serializeForScript = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
 
 const countryFlag = value => {
@@ -77,7 +119,9 @@ const iconSvg = (name, className = 'ui-icon') => {
 
 class Renderer {
   render(templatePath, outputPath, data) {
-    const { players, lastUpdated, historyData, awards } = data;
+    const { players, lastUpdated, eloTimelines, awards } = data;
+    const periods = (data.analysisPeriods || DEFAULT_PERIODS).map(String);
+    const primaryPeriod = periods.find(period => period !== 'season') || periods[0];
 
     const rows = players.map(p => this.renderRankingCard(p)).join('\n');
 
@@ -85,15 +129,13 @@ class Renderer {
     template = template.replace("<!-- INSERT_ELO_TABLE_HERE -->", rows);
     template = template.replaceAll("<!-- INSERT_LAST_UPDATED -->", lastUpdated);
     template = template.replaceAll("<!-- INSERT_PLAYER_COUNT -->", players.length);
-    const assetRoot = path.dirname(outputPath);
-    const assetVersion = crypto.createHash('sha256')
-      .update(['dashboard.css', 'dashboard.js'].map(file => {
-        const assetPath = path.join(assetRoot, file);
-        return fs.existsSync(assetPath) ? fs.readFileSync(assetPath) : file;
-      }).join('|'))
-      .digest('hex')
-      .slice(0, 12);
-    template = template.replaceAll("<!-- INSERT_ASSET_VERSION -->", assetVersion);
+    template = template.replace("<!-- INSERT_DATA_HEALTH -->", this.renderDataHealth(data.dataHealth));
+    template = template.replaceAll("<!-- INSERT_CREW_NAME -->", escapeHtml(data.crewName || 'FACEIT'));
+    template = template.replace("<!-- INSERT_SQUAD_NAME -->", escapeHtml(data.squad?.name || data.crewName || 'FACEIT'));
+    template = template.replace("<!-- INSERT_SQUAD_NAV -->", this.renderSquadNav(data.squads, data.squad, data.indexPage, outputPath));
+    template = template.replace("<!-- INSERT_ANALYSIS_PERIODS -->", this.renderAnalysisPeriods(periods, primaryPeriod));
+    template = template.replace("<!-- INSERT_ANALYSIS_PERIOD_LABEL -->", `Letzte ${escapeHtml(primaryPeriod)} Matches`);
+    template = template.replaceAll("<!-- INSERT_ASSET_VERSION -->", this.assetVersion(outputPath));
 
     // Inject awards section
     const awardsHtml = this.renderAwards(awards);
@@ -102,17 +144,20 @@ class Renderer {
     const playerDataDirectory = path.join(path.dirname(outputPath), 'data', 'players');
     fs.mkdirSync(playerDataDirectory, { recursive: true });
 
-    const trackedProfiles = new Map(players.map(player => [player.playerId, player]));
+    // Teammates are linked against every tracked player, not just this squad's,
+    // so a player's detail file is identical whichever squad page writes it.
+    const trackedProfiles = new Map((data.allPlayers || players).map(player => [player.playerId, player]));
     const enrichTeammates = periodStats => (periodStats?.teammates || []).map(mate => {
       const tracked = trackedProfiles.get(mate.playerId);
       return tracked ? { ...mate, avatar: tracked.avatar || mate.avatar, url: tracked.faceitUrl || mate.url } : mate;
     });
     const detailPeriod = (period, periodStats) => ({
-      requestedMatches: Number(period) || 30,
+      requestedMatches: requestedMatchCount(period, periodStats),
       recent: periodStats?.recent || {},
       last5: periodStats?.last5 || [],
       streak: periodStats?.streak || { type: 'none', count: 0 },
       mapPerformance: periodStats?.mapPerformance || [],
+      opponentStrength: periodStats?.opponentStrength || {},
       personalBests: periodStats?.personalBests || {},
       dataQuality: periodStats?.dataQuality || {},
       performanceProfile: deriveRenderProfile(periodStats),
@@ -121,7 +166,12 @@ class Renderer {
     });
 
     for (const player of players) {
-      const period100 = player.periodStats?.['100'] || player.stats || {};
+      // The detail file carries the matches of the widest period; the dashboard slices them per period.
+      const widest = periods
+        .map(period => player.periodStats?.[period])
+        .filter(Boolean)
+        .reduce((best, candidate) => (candidate.matchHistory || []).length > (best?.matchHistory || []).length ? candidate : best, null)
+        || player.stats || {};
       const detailPayload = {
         version: 1,
         lastUpdated,
@@ -140,22 +190,24 @@ class Renderer {
           lifetimeWinrate: player.winrate || '0%',
           lifetimeMatches: Number.parseInt(String(player.matches).replace(/,/g, '')) || 0,
           lastMatch: player.lastMatch || '',
-          lastMatchTs: Number(player.lastMatchTs) || 0
+          lastMatchTs: Number(player.lastMatchTs) || 0,
+          peakElo: Number(player.careerPeak?.elo) || null,
+          peakEloDate: Number(player.careerPeak?.date) || null
         },
-        matches: period100.matchHistory || [],
-        history: period100.eloHistory || [],
-        periods: Object.fromEntries(['30', '60', '100'].map(period => [
+        matches: widest.matchHistory || [],
+        history: widest.eloHistory || [],
+        periods: Object.fromEntries(periods.map(period => [
           period,
           detailPeriod(period, player.periodStats?.[period] || player.stats)
         ]))
       };
       const fileName = `${String(player.playerId).replace(/[^a-z0-9_-]/gi, '_')}.json`;
-      fs.writeFileSync(path.join(playerDataDirectory, fileName), JSON.stringify(detailPayload));
+      writeDetailFile(path.join(playerDataDirectory, fileName), detailPayload);
     }
 
     // Inject compact comparison data. Heavy match/map data lives in lazy player JSON files.
     const serializePeriod = (period, periodStats) => ({
-      requestedMatches: Number(period) || 30,
+      requestedMatches: requestedMatchCount(period, periodStats),
       recent: periodStats?.recent || {},
       last5: periodStats?.last5 || [],
       streak: periodStats?.streak || { type: "none", count: 0 },
@@ -164,11 +216,13 @@ class Renderer {
       performanceProfile: deriveRenderProfile(periodStats),
       insights: periodStats?.insights || [],
       matchIds: (periodStats?.matchHistory || []).map(match => match.matchId).filter(Boolean),
-      history: (periodStats?.eloHistory || []).slice(-Number(period) || -30)
+      history: (periodStats?.eloHistory || []).slice(-Math.min(requestedMatchCount(period, periodStats) || 30, EMBEDDED_HISTORY_POINTS))
     });
     const comparisonData = players.map(p => ({
       id: p.playerId,
       nickname: p.nickname,
+      displayName: p.roster?.alias || p.nickname,
+      roster: rosterProfile(p.roster),
       avatar: normalizeUrl(p.avatar),
       faceitUrl: normalizeUrl(p.faceitUrl),
       country: p.country || '',
@@ -183,26 +237,125 @@ class Renderer {
       performanceProfile: deriveRenderProfile(p.stats),
       insights: p.stats.insights || [],
       history: (p.stats.eloHistory || []).slice(-100),
-      periods: Object.fromEntries(["30", "60", "100"].map(period => [
+      periods: Object.fromEntries(periods.map(period => [
         period,
         serializePeriod(period, p.periodStats?.[period] || p.stats)
       ]))
     }));
-    const comparisonScript = `<script>window.COMPARISON_DATA = ${serializeForScript(comparisonData)};window.DASHBOARD_ANALYTICS = ${serializeForScript({ lastUpdated })};</script>`;
+    const comparisonScript = `<script>window.COMPARISON_DATA = ${serializeForScript(comparisonData)};window.DASHBOARD_ANALYTICS = ${serializeForScript({ lastUpdated, freshness: data.freshness })};</script>`;
     template = template.replace("<!-- INSERT_COMPARISON_DATA -->", comparisonScript);
 
-    // Inject history data
-    const historyScript = `<script>window.ELO_DATA = ${serializeForScript(historyData)};</script>`;
+    // Inject the daily ELO timelines the range trends are computed from
+    const historyScript = `<script>window.ELO_TIMELINES = ${serializeForScript(eloTimelines)};</script>`;
     if (template.match(/<!--\s*INSERT_HISTORY_DATA\s*-->/)) {
       template = template.replace(/<!--\s*INSERT_HISTORY_DATA\s*-->/, historyScript);
     } else {
       console.error("❌ History Data marker NOT found in template!");
     }
 
-    fs.writeFileSync(outputPath, template);
+    writeFileAtomic(outputPath, template);
+    console.log(`✅ Generated ${outputPath}`);
+  }
+
+  /**
+   * Shared index linking every squad page, rendered when more than one squad is configured.
+   * @param {string} templatePath
+   * @param {string} outputPath
+   * @param {{ crewName: string, lastUpdated: string, dataHealth?: object,
+   *   squads: Array<{ id: string, name: string, output: string, players: object[] }> }} data
+   */
+  renderSquadIndex(templatePath, outputPath, data) {
+    const cards = data.squads.map(squad => this.renderSquadCard(squad, outputPath)).join('\n');
+
+    let template = fs.readFileSync(templatePath, 'utf-8');
+    template = template.replace("<!-- INSERT_SQUAD_CARDS -->", cards);
+    template = template.replaceAll("<!-- INSERT_CREW_NAME -->", escapeHtml(data.crewName || 'FACEIT'));
+    template = template.replaceAll("<!-- INSERT_LAST_UPDATED -->", escapeHtml(data.lastUpdated));
+    template = template.replaceAll("<!-- INSERT_SQUAD_COUNT -->", data.squads.length);
+    template = template.replace("<!-- INSERT_DATA_HEALTH -->", this.renderDataHealth(data.dataHealth));
+    template = template.replaceAll("<!-- INSERT_ASSET_VERSION -->", this.assetVersion(outputPath));
+
+    writeFileAtomic(outputPath, template);
     console.log(`✅ Generated ${outputPath}`);
   }
 
+  /**
+   * Cache-busting hash of the stylesheet and script next to the page.
+   * @param {string} outputPath
+   */
+  assetVersion(outputPath) {
+    const assetRoot = path.dirname(outputPath);
+    return crypto.createHash('sha256')
+      .update(['dashboard.css', 'dashboard.js'].map(file => {
+        const assetPath = path.join(assetRoot, file);
+        return fs.existsSync(assetPath) ? fs.readFileSync(assetPath) : file;
+      }).join('|'))
+      .digest('hex')
+      .slice(0, 12);
+  }
+
+  /**
+   * Links to the overview and every squad page; empty with a single squad.
+   * @param {Array<{ id: string, name: string, output: string }>|undefined} squads
+   * @param {{ id: string }|undefined} current
+   * @param {string} indexPage - Path of the shared index
+   * @param {string} outputPath - Page being rendered, links are relative to it
+   */
+  renderSquadNav(squads, current, indexPage, outputPath) {
+    if (!squads || squads.length < 2) return '';
+    const href = target => escapeHtml(pageLink(outputPath, target));
+    const links = squads.map(squad => {
+      const active = squad.id === current?.id;
+      return `<a href="${href(squad.output)}"${active ? ' aria-current="page"' : ''}>${escapeHtml(squad.name)}</a>`;
+    });
+    return `<nav class="squad-nav" aria-label="Squads"><a href="${href(indexPage || 'index.html')}">Übersicht</a>${links.join('')}</nav>`;
+  }
+
+  /**
+   * Overview card of one squad: size, average ELO and its highest rated player.
+   * @param {{ name: string, output: string, players: object[] }} squad
+   * @param {string} indexPath - Index page, the link is relative to it
+   */
+  renderSquadCard(squad, indexPath) {
+    const elos = squad.players.map(player => Number.parseInt(player.elo) || 0);
+    const averageElo = elos.length ? Math.round(elos.reduce((sum, elo) => sum + elo, 0) / elos.length) : 0;
+    const leader = squad.players.reduce((best, player) => !best || (Number.parseInt(player.elo) || 0) > (Number.parseInt(best.elo) || 0) ? player : best, null);
+
+    return `
+      <a class="squad-card" href="${escapeHtml(pageLink(indexPath, squad.output))}">
+        <span class="squad-card-name">${escapeHtml(squad.name)}</span>
+        <dl>
+          <div><dt>Spieler</dt><dd>${squad.players.length}</dd></div>
+          <div><dt>Ø ELO</dt><dd>${averageElo || '—'}</dd></div>
+          <div><dt>Top</dt><dd>${leader ? `${escapeHtml(leader.nickname)} · ${Number.parseInt(leader.elo) || 0}` : '—'}</dd></div>
+        </dl>
+      </a>`;
+  }
+
+  /**
+   * Period switch buttons for analysis.periods; the default window starts active.
+   * @param {string[]} periods
+   * @param {string} primaryPeriod
+   */
+  renderAnalysisPeriods(periods, primaryPeriod) {
+    return periods.map(period => {
+      const active = period === primaryPeriod;
+      const label = period === 'season' ? 'Season' : escapeHtml(period);
+      return `<button class="analysis-period${active ? ' active' : ''}" type="button" data-analysis-period="${escapeHtml(period)}" aria-pressed="${active}">${label}</button>`;
+    }).join('\n          ');
+  }
+
+  /**
+   * Footer line summarising data/run-report.json.
+   * @param {{ status: string, label: string, details: string[] }|undefined} health
+   */
+  renderDataHealth(health) {
+    if (!health) return '';
+    const status = ['ok', 'degraded', 'failed'].includes(health.status) ? health.status : 'degraded';
+    const details = health.details.length ? health.details.join(' · ') : 'Alle Daten vollständig';
+    return `<p class="data-health data-health-${status}"><span class="data-health-dot" aria-hidden="true"></span> Datenqualität: ${escapeHtml(health.label)} · <a href="data/run-report.json" title="Bericht des letzten Laufs">${escapeHtml(details)}</a></p>`;
+  }
+
   renderAwards(awards) {
     if (!awards || Object.keys(awards).length === 0) return "";
 
@@ -232,14 +385,19 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
     const recent = p.stats?.recent || {};
     const performance = deriveRenderProfile(p.stats);
     const role = performance.role || { key: 'allrounder', label: 'Allrounder' };
+    const roster = rosterProfile(p.roster);
+    // The dashboard re-checks the mismatch whenever the analysis period changes the computed role.
+    const declaredRole = roster.role
+      ? `<span class="declared-role${roster.role.key !== role.key ? ' role-mismatch' : ''}" data-declared-role="${escapeHtml(roster.role.key)}" title="Im Team eingetragene Rolle">Team: ${escapeHtml(roster.role.label)}</span>`
+      : '';
     const last5 = p.stats?.last5 || [];
     const streak = p.stats?.streak || { type: 'none', count: 0 };
     const quality = p.stats?.dataQuality || { status: 'stale', label: 'Keine Matchdaten' };
     const wins = last5.filter(result => result === 'W').length;
     const formPercent = last5.length ? Math.round(wins / last5.length * 100) : 0;
     const streakLabel = streak.count ? `${streak.count}${streak.type === 'win' ? 'W' : 'L'}` : '—';
-    const nickname = escapeHtml(p.nickname);
-    const initial = escapeHtml(String(p.nickname || '?').charAt(0).toUpperCase());
+    const nickname = escapeHtml(roster.alias || p.nickname);
+    const initial = escapeHtml(String(roster.alias || p.nickname || '?').charAt(0).toUpperCase());
     const avatar = p.avatar
       ? `<span class="ranking-avatar"><span>${initial}</span><img src="${safeUrl(p.avatar)}" alt="" loading="lazy" onerror="this.remove()"></span>`
       : `<span class="ranking-avatar"><span>${initial}</span></span>`;
@@ -247,11 +405,11 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
 
     return `<tr class="player-row ranking-player-card"
       data-player-id="${escapeHtml(p.playerId)}" data-elo="${Number(p.elo) || 0}"
-      data-nickname="${nickname}" data-winrate="${Number.parseFloat(p.winrate) || 0}"
+      data-nickname="${nickname}"${roster.alias ? ` data-faceit-nickname="${escapeHtml(p.nickname)}"` : ''}${roster.formerNicknames.length ? ` data-former-nicknames="${escapeHtml(roster.formerNicknames.join('|'))}"` : ''} data-winrate="${Number.parseFloat(p.winrate) || 0}"
       data-matches="${Number.parseInt(String(p.matches).replace(/,/g, '')) || 0}"
       data-level="${Number(p.level) || 0}" data-last="${escapeHtml(p.lastMatch)}"
       data-last-ts="${Number(p.lastMatchTs) || 0}" data-kd="${Number.parseFloat(recent.kd) || 0}"
-      data-adr="${Number.parseFloat(recent.adr) || 0}" data-form="${formPercent}"
+      data-adr="${Number.parseFloat(recent.adr) || 0}" data-rating="${Number.parseFloat(recent.rating) || 0}" data-form="${formPercent}"
       data-consistency="${Number(performance.consistency) || 0}" data-role="${escapeHtml(role.label)}"
       data-quality="${escapeHtml(quality.status)}" data-peak="${Number(p.stats?.personalBests?.peakElo) || Number(p.elo) || 0}"
       data-streak="${escapeHtml(streakLabel)}" data-streak-type="${escapeHtml(streak.type)}">
@@ -261,8 +419,8 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
           <div class="ranking-player">
             ${avatar}
             <div class="ranking-identity">
-              <div class="ranking-eyebrow"><span class="ranking-country">${countryFlag(p.country)}</span><span data-card-role>${escapeHtml(role.label)}</span></div>
-              <a class="nickname-link" href="${safeUrl(p.faceitUrl)}" target="_blank" rel="noopener noreferrer">${nickname}</a>
+              <div class="ranking-eyebrow"><span class="ranking-country">${countryFlag(p.country)}</span><span data-card-role>${escapeHtml(role.label)}</span>${declaredRole}</div>
+              <a class="nickname-link" href="${safeUrl(p.faceitUrl)}" target="_blank" rel="noopener noreferrer"${roster.alias ? ` title="FACEIT: ${escapeHtml(p.nickname)}"` : ''}>${nickname}</a>
               <div class="ranking-meta"><img src="icons/levels/level_${Math.max(1, Math.min(10, Number(p.level) || 1))}_icon.png" alt="FACEIT Level ${escapeHtml(p.level)}"><span>Level ${escapeHtml(p.level)}</span><span class="data-status status-${escapeHtml(quality.status)}"><i></i>${escapeHtml(quality.label)}</span></div>
             </div>
           </div>
@@ -272,9 +430,10 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
             <span class="elo-diff">±0</span>
           </div>
           <div class="ranking-stat-grid">
+            <span title="Impact-Rating, 1.00 = Durchschnitt"><small>Rating</small><strong data-card-stat="rating">${escapeHtml(recent.rating || '—')}</strong></span>
             <span><small>K/D</small><strong data-card-stat="kd">${escapeHtml(recent.kd || '0.00')}</strong></span>
             <span><small>ADR</small><strong data-card-stat="adr">${escapeHtml(recent.adr || '0.0')}</strong></span>
-            <span><small>Winrate</small><strong data-card-stat="winrate">${Number(recent.winratePct ?? Number.parseFloat(p.winrate)) || 0}%</strong></span>
+            <span${winrateRange(recent) ? ` title="${winrateRange(recent)}"` : ''}><small>Winrate</small><strong data-card-stat="winrate">${Number(recent.winratePct ?? Number.parseFloat(p.winrate)) || 0}%</strong></span>
             <span><small>Headshots</small><strong data-card-stat="hs">${escapeHtml(recent.hsPercent || '0%')}</strong></span>
             <span><small>Konstanz</small><strong data-card-stat="consistency">${Number(performance.consistency) || 0}%</strong></span>
           </div>
@@ -298,6 +457,8 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
     const recentFormPercent = last5.length ? Math.round(recentFormWins / last5.length * 100) : 0;
     const nickname = escapeHtml(p.nickname);
     const playerId = escapeHtml(p.playerId);
+    // Size of the default analysis window (analysis.periods); the dashboard relabels on period changes.
+    const windowSize = requestedMatchCount(undefined, p.stats) || 30;
 
     // Radar Chart Data Preparation
     const validMaps = (mapPerformance || []).filter(m => m.map !== "Unknown");
@@ -307,7 +468,8 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
 
     const topMates = [...teammates].sort((a, b) => b.count - a.count).slice(0, 5);
     const worstMates = [...teammates].sort((a, b) => b.losses - a.losses).slice(0, 5);
-    const bestMates = [...teammates].sort((a, b) => b.wins - a.wins).slice(0, 5);
+    // Ranked by the lower confidence bound, so one lucky win doesn't top the list
+    const bestMates = [...teammates].sort((a, b) => (Number(b.winrateLower) || 0) - (Number(a.winrateLower) || 0) || b.wins - a.wins).slice(0, 5);
 
     // Calculate Peak ELO (max of history + current)
     const historyMax = eloHistory && eloHistory.length ? Math.max(...eloHistory.map(h => h.elo)) : 0;
@@ -391,7 +553,7 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
       <tr class="border-b border-white/5 last:border-0">
         <td class="py-2 px-3 text-white/80 text-xs font-medium">${escapeHtml(m.map)}</td>
         <td class="py-2 px-3 text-center text-xs font-mono text-white/50">${m.matches}</td>
-        <td class="py-2 px-3 text-center text-xs font-mono ${m.winrate >= 50 ? 'text-green-400' : 'text-red-400'}">${m.winrate}%</td>
+        <td class="py-2 px-3 text-center text-xs font-mono ${m.winrate >= 50 ? 'text-green-400' : 'text-red-400'}"${winrateRange(m) ? ` title="${winrateRange(m)}"` : ''}>${winrateLabel(m.winrate, m)}</td>
         <td class="py-2 px-3 text-center text-xs font-mono ${parseFloat(m.kd) >= 1 ? 'text-green-400' : 'text-red-400'}">${m.kd}</td>
       </tr>`).join("");
 
@@ -415,7 +577,7 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
 <div class="mb-4">
   <div class="performance-period-label font-bold text-neon-blue mb-3 flex items-center gap-2 text-xs uppercase tracking-widest">
     <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 002 2h2a2 2 0 002-2z" /></svg>
-    <span>Performance (letzte 30)</span>
+    <span>Performance (letzte ${windowSize})</span>
   </div>
   <div class="grid grid-cols-2 md:grid-cols-4 gap-4 bg-[#0a0a14] border border-white/5 p-4 rounded-xl shadow-inner">
     <div><span class="text-white/30 block text-[10px] uppercase font-bold tracking-wider mb-1">K/D</span> <span data-stat="kd" class="font-mono text-xl font-bold ${parseFloat(recent.kd) >= 1 ? 'text-green-400' : 'text-red-400'}">${recent.kd}</span></div>
@@ -453,7 +615,7 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
         return `
         <li class="flex justify-between items-center py-2 border-b border-white/5 last:border-0 hover:bg-white/5 px-2 rounded transition-colors group/mate">
             <a href="${safeUrl(m.url)}" target="_blank" rel="noopener noreferrer" class="nickname-link text-white/70 font-medium hover:text-neon-blue transition-colors text-xs">${escapeHtml(m.nickname)}</a>
-            <span class="text-[10px] text-white/40 font-mono">${m[valueKey]} ${suffix} <span class="ml-2 px-1.5 py-0.5 rounded font-bold ${colorClass}">${displayPct}%</span></span>
+            <span class="text-[10px] text-white/40 font-mono">${m[valueKey]} ${suffix} <span class="ml-2 px-1.5 py-0.5 rounded font-bold ${colorClass}">${winrateLabel(displayPct, m)}</span></span>
         </li>`;
     }).join("");
 
@@ -467,7 +629,7 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
 
     const bestMatesBlock = `
 <div class="mb-4">
-  <div class="detail-heading detail-wins font-bold text-green-400/60 mb-3 text-[10px] uppercase tracking-widest pl-1">${iconSvg('trophy', 'heading-svg')}<span>Most wins with</span></div>
+  <div class="detail-heading detail-wins font-bold text-green-400/60 mb-3 text-[10px] uppercase tracking-widest pl-1">${iconSvg('trophy', 'heading-svg')}<span>Best winrate with</span></div>
   <ul data-mate-list="wins" class="bg-[#0a0a14] border border-white/5 rounded-xl p-1">
     ${matesList(bestMates, 'wins', 'W')}
   </ul>
@@ -481,12 +643,12 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
   </ul>
 </div>`;
 
-    const historyJson = escapeHtml(JSON.stringify((p.stats.eloHistory || []).slice(-30)));
+    const historyJson = escapeHtml(JSON.stringify((p.stats.eloHistory || []).slice(-windowSize)));
 
     const chartBlock = `
 <div class="mt-6 bg-[#0a0a14] border border-white/5 p-4 rounded-xl shadow-inner relative overflow-hidden group/chart">
     <div class="detail-heading detail-trend font-bold text-white/60 mb-4 text-[10px] uppercase tracking-widest relative z-10">
-        ${iconSvg('trend', 'heading-svg')}<span class="trend-period-label">ELO-Trend · letzte 30 Matches</span>
+        ${iconSvg('trend', 'heading-svg')}<span class="trend-period-label">ELO-Trend · letzte ${windowSize} Matches</span>
     </div>
     <div class="h-48 w-full relative z-10">
         <canvas id="chart-${playerId}" class="elo-chart" data-history='${historyJson}'></canvas>
@@ -507,13 +669,13 @@ ${card("Baiter", awards.lowestDeaths.name, `${Number.isFinite(awards.lowestDeath
   <div class="player-analytics-head">
     <div>
       <span class="data-status status-${escapeHtml(dataQuality.status)}"><i></i>${escapeHtml(dataQuality.label)}</span>
-      <small class="analysis-coverage">${Number(dataQuality.analyzedMatches) || Number(recent.matches) || 0} von 30 Matches ausgewertet · ${Number(dataQuality.matchCoverage) || 0}% Abdeckung</small>
+      <small class="analysis-coverage">${Number(dataQuality.analyzedMatches) || Number(recent.matches) || 0} von ${windowSize} Matches ausgewertet · ${Number(dataQuality.matchCoverage) || 0}% Abdeckung${Number(dataQuality.pendingMatches) ? ` · ${Number(dataQuality.pendingMatches)} folgen` : ''}</small>
     </div>
   </div>
   <div class="personal-bests" aria-label="Persönliche Bestwerte">
     <article data-best="peak"><span>Peak ELO</span><strong>${Number(personalBests.peakElo) || peakElo}</strong><small>Aus ${Number(dataQuality.eloSamples) || 0} ELO-Werten</small></article>
-    <article data-best="streak"><span>Längste Serie</span><strong>${Number(personalBests.longestWinStreak) || 0}W</strong><small>Letzte 30 Matches</small></article>
-    <article data-best="map"><span>Beste Map</span><strong>${escapeHtml(bestMap?.map || "—")}</strong><small>${bestMap ? `${bestMap.winrate}% WR · letzte 30 Matches` : "Letzte 30 Matches"}</small></article>
+    <article data-best="streak"><span>Längste Serie</span><strong>${Number(personalBests.longestWinStreak) || 0}W</strong><small>Letzte ${windowSize} Matches</small></article>
+    <article data-best="map"><span>Beste Map</span><strong>${escapeHtml(bestMap?.map || "—")}</strong><small>${bestMap ? `${winrateLabel(bestMap.winrate, bestMap)} WR · letzte ${windowSize} Matches` : `Letzte ${windowSize} Matches`}</small></article>
     <article data-best="gain"><span>Beste 30er-Phase</span><strong>${Number(personalBests.bestThirtyGain) > 0 ? "+" : ""}${Number(personalBests.bestThirtyGain) || 0}</strong><small>ELO · aus ${Number(dataQuality.eloSamples) || 0} Werten</small></article>
     <article data-best="form" data-form-card><span>Letzte 5 Matches</span><strong>${last5.length ? `${recentFormWins}/${last5.length}` : "—"}</strong><small>${last5.length ? `${recentFormPercent}% Siege` : "Keine Daten"}</small></article>
   </div>
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const clock = require("./clock");
+
+const RECORD_DIR = (process.env.FACEIT_RECORD_DIR || "").trim();
+const REPLAY_DIR = (process.env.FACEIT_REPLAY_DIR || "").trim();
+const MANIFEST_FILE = "manifest.json";
+const RESPONSES_DIR = "responses";
+
+/**
+ * Records every upstream response of a live run into a fixture directory and
+ * serves them back later, so `index.js` can rebuild the dashboard offline.
+ *
+ * Layout of a fixture directory:
+ *   manifest.json          recording time and the frozen "now" for replays
+ *   responses/<hash>.json  { url, status, headers, body } per request URL
+ */
+class FixtureStore {
+    constructor() {
+        /** @type {"record"|"replay"|null} */
+        this.mode = null;
+        /** @type {string|null} */
+        this.dir = null;
+        this.missing = 0;
+    }
+
+    /**
+     * Switches the store into record or replay mode.
+     * @param {{ mode: "record"|"replay"|null, dir?: string }} options
+     */
+    configure({ mode, dir }) {
+        if (!mode) {
+            this.mode = null;
+            this.dir = null;
+            return;
+        }
+        if (!dir) throw new Error(`Fixture ${mode} mode needs a directory`);
+        this.dir = path.resolve(dir);
+        this.mode = mode;
+        this.missing = 0;
+
+        const manifestPath = path.join(this.dir, MANIFEST_FILE);
+        if (mode === "record") {
+            fs.mkdirSync(path.join(this.dir, RESPONSES_DIR), { recursive: true });
+            fs.writeFileSync(manifestPath, JSON.stringify({
+                recordedAt: new Date(clock.now()).toISOString(),
+                now: clock.now()
+            }, null, 2));
+        } else if (mode === "replay") {
+            if (!fs.existsSync(manifestPath)) {
+                throw new Error(`No fixture manifest found at ${manifestPath}`);
+            }
+            const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+            clock.freeze(manifest.now);
+        } else {
+            throw new Error(`Unknown fixture mode: ${mode}`);
+        }
+    }
+
+    get active() {
+        return this.mode !== null;
+    }
+
+    isRecording() {
+        return this.mode === "record";
+    }
+
+    isReplaying() {
+        return this.mode === "replay";
+    }
+
+    /** @private */
+    _fixturePath(url) {
+        const hash = crypto.createHash("sha1").update(String(url)).digest("hex").slice(0, 20);
+        return path.join(this.dir, RESPONSES_DIR, `${hash}.json`);
+    }
+
+    /**
+     * Stores a raw fixture entry for a URL.
+     * @param {string} url - Request URL (without credentials)
+     * @param {{ status: number|null, headers?: object, body?: string|null }} entry
+     */
+    record(url, entry) {
+        if (!this.isRecording()) return;
+        fs.writeFileSync(this._fixturePath(url), JSON.stringify({ url, ...entry }, null, 2));
+    }
+
+    /**
+     * Looks up the recorded entry for a URL.
+     * @param {string} url - Request URL
+     * @returns {{ url: string, status: number|null, headers: object, body: string|null }|null}
+     */
+    replay(url) {
+        if (!this.isReplaying()) return null;
+        const file = this._fixturePath(url);
+        if (!fs.existsSync(file)) {
+            this.missing++;
+            console.warn(`⚠️ No recorded fixture for ${url}`);
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(file, "utf-8"));
+    }
+
+    /**
+     * Records a fetch Response without consuming its body for the caller.
+     * A null response (404, auth error, exhausted retries) is recorded as well.
+     * @param {string} url - Request URL
+     * @param {Response|null} res - Response returned by the live request
+     */
+    async recordResponse(url, res) {
+        if (!this.isRecording()) return;
+        if (!res) {
+            this.record(url, { status: null, headers: {}, body: null });
+            return;
+        }
+        const body = await res.clone().text();
+        this.record(url, { status: res.status, headers: Object.fromEntries(res.headers.entries()), body });
+    }
+
+    /**
+     * Rebuilds a fetch Response from the recorded fixture.
+     * @param {string} url - Request URL
+     * @returns {Response|null}
+     */
+    replayResponse(url) {
+        const entry = this.replay(url);
+        if (!entry || entry.status === null) return null;
+        return new Response(entry.body, { status: entry.status, headers: entry.headers || {} });
+    }
+}
+
+const fixtures = new FixtureStore();
+if (RECORD_DIR && REPLAY_DIR) {
+    throw new Error("FACEIT_RECORD_DIR and FACEIT_REPLAY_DIR cannot be used together");
+}
+if (RECORD_DIR) fixtures.configure({ mode: "record", dir: RECORD_DIR });
+if (REPLAY_DIR) fixtures.configure({ mode: "replay", dir: REPLAY_DIR });
+
+module.exports = fixtures;
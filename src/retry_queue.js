@@ -0,0 +1,127 @@
+const path = require("path");
+const { writeJsonAtomic, readJson } = require("./atomic_fs");
+const clock = require("./clock");
+
+const QUEUE_FILE = path.join(__dirname, "../data/retry-queue.json");
+// First retry an hour after the failure, doubling up to a week between attempts.
+const BASE_DELAY_MS = 60 * 60 * 1000;
+const MAX_DELAY_MS = 7 * 24 * 60 * 60 * 1000;
+// After this many failed attempts the match keeps its placeholder for good.
+const MAX_ATTEMPTS = 10;
+
+/**
+ * @typedef {object} RetryEntry
+ * @property {number} attempts - Failed lookups so far
+ * @property {number} firstFailedAt - Milliseconds since epoch
+ * @property {number} lastAttemptAt
+ * @property {number} nextAttemptAt - Earliest time for the next retry
+ * @property {string[]} playerIds - Tracked players whose stats use the placeholder
+ */
+
+/**
+ * Match-stat lookups that failed and are retried on later runs with
+ * exponential backoff, instead of silently staying placeholders.
+ */
+class RetryQueue {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.file] - Where the queue is persisted
+     * @param {() => number} [options.now] - Millisecond clock; defaults to the pipeline clock
+     */
+    constructor({ file = QUEUE_FILE, now = () => clock.now() } = {}) {
+        this.file = file;
+        this.now = now;
+        /** @type {Object<string, RetryEntry>} */
+        this.entries = {};
+        this.resolved = 0;
+        this.gaveUp = 0;
+        this.dirty = false;
+    }
+
+    load() {
+        this.entries = readJson(this.file, {});
+        return this;
+    }
+
+    save() {
+        if (!this.dirty) return;
+        writeJsonAtomic(this.file, this.entries, { space: 2 });
+        this.dirty = false;
+    }
+
+    /** @returns {number} Matches still waiting for a retry */
+    get size() {
+        return Object.keys(this.entries).length;
+    }
+
+    /** @returns {string[]} Matches whose backoff has elapsed, oldest failure first */
+    due() {
+        const now = this.now();
+        return Object.entries(this.entries)
+            .filter(([, entry]) => entry.nextAttemptAt <= now)
+            .sort(([, a], [, b]) => a.firstFailedAt - b.firstFailedAt)
+            .map(([matchId]) => matchId);
+    }
+
+    /**
+     * Whether a match is queued and still backing off; callers should use the
+     * placeholder instead of asking FACEIT again.
+     * @param {string} matchId
+     */
+    isWaiting(matchId) {
+        const entry = this.entries[matchId];
+        return Boolean(entry) && entry.nextAttemptAt > this.now();
+    }
+
+    /**
+     * Records a failed lookup and schedules the next attempt.
+     * @param {string} matchId
+     * @param {string} [playerId] - Player whose stats are affected
+     */
+    recordFailure(matchId, playerId) {
+        const now = this.now();
+        const entry = this.entries[matchId] || { attempts: 0, firstFailedAt: now, playerIds: [] };
+        entry.attempts++;
+        entry.lastAttemptAt = now;
+        entry.nextAttemptAt = now + Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (entry.attempts - 1));
+        if (playerId && !entry.playerIds.includes(playerId)) entry.playerIds.push(playerId);
+        this.dirty = true;
+
+        if (entry.attempts >= MAX_ATTEMPTS) {
+            delete this.entries[matchId];
+            this.gaveUp++;
+            console.warn(`⚠️ Match ${matchId}: giving up on stats after ${entry.attempts} attempts`);
+            return;
+        }
+        this.entries[matchId] = entry;
+    }
+
+    /**
+     * Adds a player to an existing entry without counting an attempt.
+     * @param {string} matchId
+     * @param {string} playerId
+     */
+    addPlayer(matchId, playerId) {
+        const entry = this.entries[matchId];
+        if (!entry || entry.playerIds.includes(playerId)) return;
+        entry.playerIds.push(playerId);
+        this.dirty = true;
+    }
+
+    /**
+     * Removes a match whose stats are now available.
+     * @param {string} matchId
+     * @returns {string[]} Players that should be recomputed
+     */
+    resolve(matchId) {
+        const entry = this.entries[matchId];
+        if (!entry) return [];
+        delete this.entries[matchId];
+        this.resolved++;
+        this.dirty = true;
+        return entry.playerIds;
+    }
+}
+
+module.exports = new RetryQueue();
+module.exports.RetryQueue = RetryQueue;
@@ -0,0 +1,45 @@
+const config = require("./config");
+
+const ROLES = {
+    opener: { label: "Opener", description: "Sucht und gewinnt häufig die ersten Duelle" },
+    closer: { label: "Closer", description: "Überdurchschnittlich präsent in Clutch-Situationen" },
+    support: { label: "Support", description: "Hoher messbarer Impact durch Utility" },
+    sharpshooter: { label: "Sharpshooter", description: "Hohe Präzision und starke Headshot-Quote" },
+    fragger: { label: "Fragger", description: "Hoher Damage-Output bei positiver K/D" }
+};
+const ALLROUNDER = { key: "allrounder", label: "Allrounder", description: "Ausgeglichenes Profil ohne extreme Ausschläge" };
+// Every role a player can be classified as or declared to play in the roster
+const ROLE_KEYS = [...Object.keys(ROLES), ALLROUNDER.key];
+
+/**
+ * Picks a player's role from round-weighted rates. Roles are checked in the
+ * order of `config.roles`; the first whose thresholds are all met wins.
+ * @param {{ entryAttemptsPerRound: number, entrySuccess: number, clutchesPerRound: number,
+ *   utilityPerRound: number, hsPercent: number, kd: number, adr: number }} metrics
+ * @param {object} [thresholds] - Minimum value per metric, keyed by role
+ * @returns {{ key: string, label: string, description: string }}
+ */
+function classifyRole(metrics, thresholds = config.roles) {
+    for (const [key, minimums] of Object.entries(thresholds)) {
+        if (!ROLES[key]) continue;
+        if (Object.entries(minimums).every(([metric, minimum]) => (Number(metrics[metric]) || 0) >= minimum)) {
+            return { key, ...ROLES[key] };
+        }
+    }
+    return { ...ALLROUNDER };
+}
+
+/**
+ * @param {string} key - One of ROLE_KEYS
+ * @returns {{ key: string, label: string, description: string }|null}
+ */
+function describeRole(key) {
+    if (key === ALLROUNDER.key) return { ...ALLROUNDER };
+    return ROLES[key] ? { key, ...ROLES[key] } : null;
+}
+
+module.exports = {
+    ROLE_KEYS,
+    classifyRole,
+    describeRole
+};
@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const { writeJsonAtomic } = require("./atomic_fs");
+const { ROLE_KEYS } = require("./roles");
+
+const ROSTER_VERSION = 1;
+const ENTRY_KEYS = ["id", "nickname", "alias", "role", "joined", "hidden", "tags", "previousNicknames"];
+
+/**
+ * @typedef {object} RosterEntry
+ * @property {string} id - FACEIT player ID
+ * @property {string} [nickname] - Last known FACEIT nickname
+ * @property {string} [alias] - Shown instead of the nickname on the dashboard
+ * @property {string} [role] - Declared in-team role, one of ROLE_KEYS
+ * @property {string} [joined] - ISO date the player joined the crew
+ * @property {boolean} [hidden] - Benched: still tracked, but not shown on the dashboard
+ * @property {string[]} [tags]
+ * @property {Array<{ nickname: string, changedAt: string }>} [previousNicknames]
+ *   Former FACEIT nicknames, oldest first, with the ISO time the rename was noticed
+ */
+
+const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * @param {*} entry
+ * @returns {string|null} Problem description
+ */
+function entryProblem(entry) {
+    if (entry === null || typeof entry !== "object" || Array.isArray(entry)) return "expected an object";
+    const unknown = Object.keys(entry).find(key => !ENTRY_KEYS.includes(key));
+    if (unknown) return `unknown key "${unknown}"`;
+    if (typeof entry.id !== "string" || !entry.id.trim()) return "id: expected a FACEIT player ID";
+    for (const key of ["nickname", "alias"]) {
+        if (entry[key] !== undefined && (typeof entry[key] !== "string" || !entry[key].trim())) return `${key}: expected a non-empty string`;
+    }
+    if (entry.role !== undefined && !ROLE_KEYS.includes(entry.role)) return `role: expected one of ${ROLE_KEYS.join(", ")}`;
+    if (entry.joined !== undefined && !isDate(entry.joined)) return "joined: expected an ISO date such as \"2024-03-01\"";
+    if (entry.hidden !== undefined && typeof entry.hidden !== "boolean") return "hidden: expected true or false";
+    if (entry.tags !== undefined && !(Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === "string" && tag.trim()))) {
+        return "tags: expected a list of non-empty strings";
+    }
+    if (entry.previousNicknames !== undefined && !(Array.isArray(entry.previousNicknames) && entry.previousNicknames.every(former =>
+        typeof former?.nickname === "string" && former.nickname.trim() && !Number.isNaN(Date.parse(former.changedAt))))) {
+        return "previousNicknames: expected a list of { nickname, changedAt }";
+    }
+    return null;
+}
+
+/**
+ * Parses a roster file and validates every entry.
+ * @param {string} content
+ * @param {string} fileName - Used in error messages
+ * @returns {RosterEntry[]}
+ */
+function parseRoster(content, fileName) {
+    let raw;
+    try {
+        raw = JSON.parse(content);
+    } catch (e) {
+        throw new Error(`${fileName} is not valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(raw?.players)) throw new Error(`${fileName} must contain a "players" list`);
+
+    const ids = new Set();
+    raw.players.forEach((entry, index) => {
+        const problem = entryProblem(entry) || (ids.has(entry.id) ? `id: "${entry.id}" is listed twice` : null);
+        if (problem) throw new Error(`Invalid ${fileName} players[${index}]: ${problem}`);
+        ids.add(entry.id);
+    });
+    return raw.players;
+}
+
+/**
+ * Parses the old `uuid # nickname` list. `#` and `//` start a comment; the
+ * comment is taken as the nickname. Duplicate IDs are kept once.
+ * @param {string} content
+ * @returns {RosterEntry[]}
+ */
+function parseLegacyList(content) {
+    const entries = new Map();
+    for (const line of content.split("\n")) {
+        const [id, ...comment] = line.split(/#|\/\//);
+        if (!id.trim() || entries.has(id.trim())) continue;
+        const nickname = comment.join("").trim();
+        entries.set(id.trim(), nickname ? { id: id.trim(), nickname } : { id: id.trim() });
+    }
+    return [...entries.values()];
+}
+
+/**
+ * @param {string} file - Configured player list
+ * @returns {{ rosterFile: string, legacyFile: string }} The JSON roster and the
+ *   old text list it is migrated from. A configured `.txt` path still works and
+ *   means the `.json` file next to it.
+ */
+function rosterFiles(file) {
+    const rosterFile = file.replace(/\.txt$/, ".json");
+    return { rosterFile, legacyFile: rosterFile.replace(/\.json$/, ".txt") };
+}
+
+/**
+ * Reads a roster. Without a JSON roster, the old text list next to it is
+ * converted once and written as JSON; the text file is left in place but no
+ * longer read.
+ * @param {string} file
+ * @returns {RosterEntry[]}
+ */
+function loadRoster(file) {
+    const { rosterFile, legacyFile } = rosterFiles(file);
+    if (fs.existsSync(rosterFile)) return parseRoster(fs.readFileSync(rosterFile, "utf-8"), path.basename(rosterFile));
+    if (!fs.existsSync(legacyFile) || legacyFile === rosterFile) throw new Error(`Player list ${rosterFile} not found`);
+
+    const entries = parseLegacyList(fs.readFileSync(legacyFile, "utf-8"));
+    saveRoster(rosterFile, entries);
+    console.log(`📋 Migrated ${path.basename(legacyFile)} to ${path.basename(rosterFile)} (${entries.length} players); ${path.basename(legacyFile)} is no longer read`);
+    return entries;
+}
+
+/**
+ * Sets an entry's nickname, moving a different previous one into its history.
+ * @param {RosterEntry} entry - Updated in place
+ * @param {string} nickname - Current FACEIT nickname
+ * @param {Date} [changedAt]
+ * @returns {boolean} Whether the entry changed
+ */
+function recordNickname(entry, nickname, changedAt = new Date()) {
+    if (!nickname || entry.nickname === nickname) return false;
+    if (entry.nickname) {
+        entry.previousNicknames = [...(entry.previousNicknames || []), { nickname: entry.nickname, changedAt: changedAt.toISOString() }];
+    }
+    entry.nickname = nickname;
+    return true;
+}
+
+/**
+ * @param {string} file
+ * @param {RosterEntry[]} entries
+ */
+function saveRoster(file, entries) {
+    writeJsonAtomic(rosterFiles(file).rosterFile, { version: ROSTER_VERSION, players: entries }, { space: 2 });
+}
+
+module.exports = {
+    loadRoster,
+    saveRoster,
+    recordNickname,
+    parseRoster,
+    parseLegacyList,
+    rosterFiles
+};
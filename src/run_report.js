@@ -0,0 +1,117 @@
+/**
+ * Machine-readable record of one pipeline run, written to data/run-report.json.
+ *
+ * `processPlayer` fills one entry per player while it works; `buildRunReport`
+ * adds the run-wide counters and `summarizeHealth` condenses the result into
+ * the "data health" line shown in the dashboard footer.
+ */
+
+const REPORT_VERSION = 1;
+
+/**
+ * @typedef {object} PlayerEntry
+ * @property {string} playerId
+ * @property {string|null} nickname
+ * @property {"ok"|"unchanged"|"failed"} status
+ * @property {"profile_not_found"|"missing_elo"|"exception"|null} reason - Why the player failed
+ * @property {string|null} error - Error message for `reason: "exception"`
+ * @property {{ source: "fresh"|"merged"|"cached"|null, points: number }} eloHistory
+ *   Where the ELO history came from: a fresh fetch without cache, a fresh fetch
+ *   merged into the cache, or the cache alone (fetch failed or player unchanged)
+ * @property {string[]} placeholderMatches - Matches whose stats were missing and replaced by `{ __mapName }` placeholders
+ * @property {string[]} pendingMatches - Uncached matches left for a later run by `api.matchFetchPerRun`
+ * @property {number} [durationMs]
+ * @property {number} [requests]
+ * @property {number} [cacheHits]
+ * @property {number} [retries]
+ * @property {number} [failures]
+ */
+
+/**
+ * @param {string} playerId
+ * @returns {PlayerEntry} Entry that stays "failed" unless processing completes
+ */
+function createPlayerEntry(playerId) {
+    return {
+        playerId,
+        nickname: null,
+        status: "failed",
+        reason: null,
+        error: null,
+        eloHistory: { source: null, points: 0 },
+        placeholderMatches: [],
+        pendingMatches: []
+    };
+}
+
+/**
+ * @param {object} run
+ * @param {string} run.mode - "live", "record" or "replay"
+ * @param {number} run.startedAt - Wall-clock start in milliseconds
+ * @param {number} run.durationMs - Duration of the player phase
+ * @param {PlayerEntry[]} run.players - Entries in processing order
+ * @param {object} run.apiMetrics - Run-wide counters from `api.metrics`
+ * @param {Array<object>} run.schemaWarnings - Aggregated warnings from `schema.warnings`
+ * @param {{ pending: number, resolved: number, gaveUp: number }} [run.retryQueue] - Failed match lookups
+ * @param {number} [run.missingFixtures] - Requests without a recorded fixture (replay only)
+ * @returns {object}
+ */
+function buildRunReport({ mode, startedAt, durationMs, players, apiMetrics, schemaWarnings, retryQueue = { pending: 0, resolved: 0, gaveUp: 0 }, missingFixtures = 0 }) {
+    const count = status => players.filter(entry => entry.status === status).length;
+    const sources = { fresh: 0, merged: 0, cached: 0 };
+    for (const entry of players) {
+        if (entry.eloHistory.source in sources) sources[entry.eloHistory.source]++;
+    }
+
+    return {
+        version: REPORT_VERSION,
+        mode,
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Math.round(durationMs),
+        summary: {
+            players: players.length,
+            ok: count("ok"),
+            unchanged: count("unchanged"),
+            failed: count("failed"),
+            placeholderMatches: players.reduce((sum, entry) => sum + entry.placeholderMatches.length, 0),
+            pendingMatches: players.reduce((sum, entry) => sum + entry.pendingMatches.length, 0),
+            eloHistorySources: sources,
+            schemaWarnings: schemaWarnings.length,
+            missingFixtures
+        },
+        api: { ...apiMetrics },
+        retryQueue: { ...retryQueue },
+        players,
+        schemaWarnings
+    };
+}
+
+/**
+ * Condenses a run report into the footer summary.
+ * "failed" means no player could be processed, "degraded" that some data is
+ * missing or came from the cache only.
+ * @param {object} report - Result of {@link buildRunReport}
+ * @returns {{ status: "ok"|"degraded"|"failed", label: string, details: string[] }}
+ */
+function summarizeHealth(report) {
+    const { summary, api } = report;
+    const succeeded = summary.ok + summary.unchanged;
+    const details = [];
+    if (summary.failed) details.push(`${summary.failed} Spieler fehlgeschlagen`);
+    if (summary.placeholderMatches) details.push(`${summary.placeholderMatches} Matches ohne Statistik`);
+    if (summary.pendingMatches) details.push(`${summary.pendingMatches} Matches folgen in späteren Läufen`);
+    // Unchanged players read the cache by design; only failed refreshes count.
+    const staleHistory = report.players.filter(entry => entry.status === "ok" && entry.eloHistory.source === "cached").length;
+    if (staleHistory) details.push(`${staleHistory}× ELO-Verlauf nur aus Cache`);
+    if (api.failures) details.push(`${api.failures} API-Fehler`);
+    if (summary.schemaWarnings) details.push(`${summary.schemaWarnings} Schema-Warnungen`);
+
+    const status = succeeded === 0 ? "failed" : details.length ? "degraded" : "ok";
+    return {
+        status,
+        label: `${succeeded}/${summary.players} Spieler aktuell`,
+        details
+    };
+}
+
+module.exports = { createPlayerEntry, buildRunReport, summarizeHealth };
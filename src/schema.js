@@ -0,0 +1,380 @@
+/**
+ * Validation and normalisation of FACEIT payloads.
+ *
+ * Every API method runs its raw response through one of the `parse*` methods
+ * below, so the rest of the pipeline only sees the typed objects documented
+ * here. Missing or renamed fields are collected as structured warnings instead
+ * of silently turning into zeros.
+ */
+
+/**
+ * @typedef {object} Profile
+ * @property {string} playerId
+ * @property {string} nickname
+ * @property {number|null} elo - CS2 FACEIT ELO
+ * @property {number} level - CS2 skill level
+ * @property {string} region
+ * @property {string} avatar
+ * @property {string} country
+ * @property {string} faceitUrl - Profile URL with the German locale filled in
+ * @property {string[]} memberships
+ * @property {string} steamId
+ * @property {string|null} createdAt
+ */
+
+/**
+ * @typedef {object} LifetimeStats
+ * @property {number|null} winrate - Lifetime winrate in percent
+ * @property {number|null} matches - Lifetime match count
+ */
+
+/**
+ * @typedef {object} HistoryItem
+ * Kept in FACEIT's shape because stats.js and its tests consume it directly;
+ * the types of the fields below are guaranteed.
+ * @property {string} match_id
+ * @property {number} finished_at - Unix seconds
+ * @property {{ winner: string|null }} results
+ * @property {Object<string, { players: Array<{ player_id: string, nickname: string, avatar: string, faceit_url: string }> }>} teams
+ */
+
+/**
+ * @typedef {object} MatchDetails
+ * @property {string} matchId
+ * @property {string|null} map - Picked map, e.g. "de_mirage"
+ * @property {Object<string, MatchTeam>} teams - Keyed by faction, like the history item's teams
+ */
+
+/**
+ * @typedef {object} MatchTeam
+ * @property {string} name - Faction name, e.g. "team_nickname" or a registered team's name
+ * @property {number|null} averageElo - Mean ELO at match start
+ * @property {number|null} averageLevel - Mean FACEIT level, from the team stats or else the roster
+ * @property {boolean|null} premade - From FACEIT's team type; null when the type is missing
+ * @property {Array<{ playerId: string, nickname: string, skillLevel: number|null }>} roster
+ */
+
+/**
+ * @typedef {object} EloPoint
+ * Stored in data/history-cache.json and read by stats.js and dashboard.js.
+ * @property {string} [matchId]
+ * @property {number} date - Milliseconds since epoch
+ * @property {number} elo - ELO after the match
+ * @property {number} [eloDiff] - ELO change reported by FACEIT
+ * @property {string} [map]
+ * @property {"W"|"L"} [result]
+ * @property {string} [score]
+ */
+
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const readPath = (raw, dotted) => dotted.split(".").reduce((value, key) => isObject(value) ? value[key] : undefined, raw);
+
+const present = value => value !== undefined && value !== null && value !== "";
+
+const toNumber = value => {
+    const parsed = Number.parseFloat(String(value ?? "").replace(/,/g, ""));
+    return Number.isFinite(parsed) ? parsed : null;
+};
+
+class SchemaValidator {
+    constructor() {
+        this.reset();
+    }
+
+    /** Clears collected warnings and counters (one run = one report). */
+    reset() {
+        /** @type {Map<string, { endpoint: string, field: string, issue: string, count: number, samples: string[] }>} */
+        this.issues = new Map();
+        /** Payloads parsed per endpoint */
+        this.seen = {};
+        /** Payloads per endpoint and critical field that lacked the field */
+        this.criticalMissing = {};
+    }
+
+    /**
+     * Records a structured warning; the first occurrence per field is logged.
+     * @param {string} endpoint - e.g. "profile", "matchStats"
+     * @param {string} field - Dotted field path in the raw payload
+     * @param {"missing"|"renamed"|"invalid"} issue
+     * @param {string} [subject] - Player or match id the payload belongs to
+     */
+    warn(endpoint, field, issue, subject = "") {
+        const key = `${endpoint}:${field}:${issue}`;
+        let entry = this.issues.get(key);
+        if (!entry) {
+            entry = { endpoint, field, issue, count: 0, samples: [] };
+            this.issues.set(key, entry);
+            console.warn(`⚠️ Schema: ${endpoint}.${field} ${issue}${subject ? ` (${subject})` : ""}`);
+        }
+        entry.count++;
+        if (subject && entry.samples.length < 5 && !entry.samples.includes(subject)) entry.samples.push(subject);
+    }
+
+    /** @returns {Array<object>} Aggregated warnings of this run */
+    get warnings() {
+        return [...this.issues.values()];
+    }
+
+    /**
+     * Critical fields that were missing from every payload of their endpoint.
+     * A non-empty result means FACEIT changed its schema and the run must stop.
+     * @returns {Array<{ endpoint: string, field: string, payloads: number }>}
+     */
+    criticalFailures() {
+        return Object.entries(this.criticalMissing).flatMap(([endpoint, fields]) =>
+            Object.entries(fields)
+                .filter(([, missing]) => this.seen[endpoint] > 0 && missing === this.seen[endpoint])
+                .map(([field]) => ({ endpoint, field, payloads: this.seen[endpoint] })));
+    }
+
+    /**
+     * Reads a field from its known locations.
+     * @private
+     * @param {string} endpoint
+     * @param {object} raw
+     * @param {object} spec
+     * @param {string[]} spec.paths - Accepted locations, in order of preference
+     * @param {string[]} [spec.renamed] - Locations FACEIT may move the field to; accepted with a warning
+     * @param {boolean} [spec.required] - Warn when the field is absent
+     * @param {boolean} [spec.critical] - Count towards {@link criticalFailures}
+     * @param {string} [subject]
+     */
+    _field(endpoint, raw, { paths, renamed = [], required = false, critical = false }, subject) {
+        for (const candidate of paths) {
+            const value = readPath(raw, candidate);
+            if (present(value)) return value;
+        }
+        for (const candidate of renamed) {
+            const value = readPath(raw, candidate);
+            if (present(value)) {
+                this.warn(endpoint, paths[0], "renamed", subject);
+                return value;
+            }
+        }
+        if (critical) {
+            this.criticalMissing[endpoint] = this.criticalMissing[endpoint] || {};
+            this.criticalMissing[endpoint][paths[0]] = (this.criticalMissing[endpoint][paths[0]] || 0) + 1;
+        }
+        if (required || critical) this.warn(endpoint, paths[0], "missing", subject);
+        return undefined;
+    }
+
+    /** @private */
+    _number(endpoint, raw, spec, subject) {
+        const value = this._field(endpoint, raw, spec, subject);
+        if (value === undefined) return null;
+        const parsed = toNumber(value);
+        if (parsed === null) this.warn(endpoint, spec.paths[0], "invalid", subject);
+        return parsed;
+    }
+
+    /** @private */
+    _seen(endpoint) {
+        this.seen[endpoint] = (this.seen[endpoint] || 0) + 1;
+    }
+
+    /**
+     * @param {object|null} raw - `GET /players/{id}` payload
+     * @returns {Profile|null}
+     */
+    parseProfile(raw) {
+        if (!isObject(raw)) return null;
+        this._seen("profile");
+        const playerId = this._field("profile", raw, { paths: ["player_id"], required: true });
+        if (!playerId) return null;
+        const subject = String(playerId);
+
+        return {
+            playerId: subject,
+            nickname: String(this._field("profile", raw, { paths: ["nickname"], required: true }, subject) || ""),
+            elo: this._number("profile", raw, { paths: ["games.cs2.faceit_elo"], renamed: ["games.cs2.elo"], critical: true }, subject),
+            level: this._number("profile", raw, { paths: ["games.cs2.skill_level"], required: true }, subject) || 0,
+            region: String(this._field("profile", raw, { paths: ["games.cs2.region"] }, subject) || ""),
+            avatar: String(raw.avatar || ""),
+            country: String(raw.country || ""),
+            faceitUrl: String(raw.faceit_url || "").replace("{lang}", "de"),
+            memberships: Array.isArray(raw.memberships) ? raw.memberships.map(String) : [],
+            steamId: String(this._field("profile", raw, { paths: ["steam_id_64", "games.cs2.game_player_id"] }, subject) || ""),
+            createdAt: this._field("profile", raw, { paths: ["activated_at", "created_at"] }, subject) || null
+        };
+    }
+
+    /**
+     * @param {object|null} raw - `GET /players/{id}/stats/cs2` payload
+     * @param {string} playerId
+     * @returns {LifetimeStats}
+     */
+    parseLifetimeStats(raw, playerId) {
+        if (!isObject(raw) || !isObject(raw.lifetime)) {
+            if (isObject(raw)) this.warn("lifetimeStats", "lifetime", "missing", playerId);
+            return { winrate: null, matches: null };
+        }
+        this._seen("lifetimeStats");
+        return {
+            winrate: this._number("lifetimeStats", raw, { paths: ["lifetime.Win Rate %"], required: true }, playerId),
+            matches: this._number("lifetimeStats", raw, { paths: ["lifetime.Matches"], required: true }, playerId)
+        };
+    }
+
+    /**
+     * @param {object} raw - One item of `GET /players/{id}/history`
+     * @returns {HistoryItem|null}
+     */
+    parseHistoryItem(raw) {
+        if (!isObject(raw)) return null;
+        this._seen("history");
+        const matchId = this._field("history", raw, { paths: ["match_id"], required: true });
+        if (!matchId) return null;
+        const subject = String(matchId);
+        const finishedAt = this._number("history", raw, { paths: ["finished_at"], required: true }, subject);
+        if (finishedAt === null) return null;
+
+        const teams = {};
+        const rawTeams = this._field("history", raw, { paths: ["teams"], required: true }, subject);
+        for (const [side, team] of Object.entries(isObject(rawTeams) ? rawTeams : {})) {
+            teams[side] = {
+                players: (Array.isArray(team?.players) ? team.players : [])
+                    .filter(player => isObject(player) && player.player_id)
+                    .map(player => ({
+                        player_id: String(player.player_id),
+                        nickname: String(player.nickname || ""),
+                        avatar: String(player.avatar || ""),
+                        faceit_url: String(player.faceit_url || "")
+                    }))
+            };
+        }
+
+        return {
+            match_id: subject,
+            finished_at: finishedAt,
+            results: { winner: this._field("history", raw, { paths: ["results.winner"], required: true }, subject) || null },
+            teams
+        };
+    }
+
+    /**
+     * Turns `GET /matches/{id}/stats` into the per-player map stored in the match cache:
+     * `{ [playerId]: { ...player_stats, __rounds, nickname }, __mapName, __score }`.
+     * @param {object|null} raw
+     * @param {string} matchId
+     * @returns {object|null} null when the payload has no round or no players
+     */
+    parseMatchStats(raw, matchId) {
+        if (!isObject(raw)) return null;
+        this._seen("matchStats");
+        const round = Array.isArray(raw.rounds) ? raw.rounds[0] : undefined;
+        if (!isObject(round)) {
+            this.warn("matchStats", "rounds", "missing", matchId);
+            return null;
+        }
+
+        const score = String(this._field("matchStats", round, { paths: ["round_stats.Score"], required: true }, matchId) || "0 / 0");
+        const [a, b] = score.split(" / ").map(Number);
+        const roundCount = (Number.isFinite(a) ? a : 0) + (Number.isFinite(b) ? b : 0);
+        if (!roundCount) this.warn("matchStats", "round_stats.Score", "invalid", matchId);
+        const mapName = String(this._field("matchStats", round, { paths: ["round_stats.Map"], required: true }, matchId) || "Unknown");
+
+        // Without players there is nothing to cache; null lets the retry queue fetch it again.
+        const teams = Array.isArray(round.teams) ? round.teams : [];
+        if (!teams.length) {
+            this.warn("matchStats", "rounds[0].teams", "missing", matchId);
+            return null;
+        }
+        const mapStats = {};
+        for (const player of teams.flatMap(team => Array.isArray(team?.players) ? team.players : [])) {
+            if (!isObject(player) || !player.player_id) continue;
+            if (!isObject(player.player_stats)) {
+                this.warn("matchStats", "player_stats", "missing", matchId);
+                continue;
+            }
+            for (const field of ["Kills", "Deaths"]) {
+                if (!present(player.player_stats[field])) this.warn("matchStats", `player_stats.${field}`, "missing", matchId);
+            }
+            mapStats[player.player_id] = {
+                ...player.player_stats,
+                __rounds: roundCount,
+                nickname: String(player.nickname || "")
+            };
+        }
+
+        if (Object.keys(mapStats).length === 0) return null;
+        mapStats.__mapName = mapName;
+        mapStats.__score = score;
+        return mapStats;
+    }
+
+    /**
+     * @param {object|null} raw - `GET /matches/{id}` payload
+     * @param {string} matchId
+     * @returns {MatchDetails|null}
+     */
+    parseMatchDetails(raw, matchId) {
+        if (!isObject(raw)) return null;
+        this._seen("matchDetails");
+        const pick = readPath(raw, "voting.map.pick");
+        const teams = {};
+        const rawTeams = this._field("matchDetails", raw, { paths: ["teams"], required: true }, matchId);
+        for (const [faction, team] of Object.entries(isObject(rawTeams) ? rawTeams : {})) {
+            if (!Array.isArray(team?.roster)) this.warn("matchDetails", "teams.roster", "missing", matchId);
+            const roster = (Array.isArray(team?.roster) ? team.roster : [])
+                .filter(player => isObject(player) && player.player_id)
+                .map(player => ({
+                    playerId: String(player.player_id),
+                    nickname: String(player.nickname || ""),
+                    skillLevel: toNumber(player.game_skill_level)
+                }));
+            const levels = roster.map(player => player.skillLevel).filter(level => level !== null);
+            teams[faction] = {
+                name: String(team?.name || ""),
+                averageElo: toNumber(readPath(team, "stats.rating")),
+                averageLevel: toNumber(readPath(team, "stats.skillLevel.average"))
+                    ?? (levels.length ? Math.round(levels.reduce((sum, level) => sum + level, 0) / levels.length * 10) / 10 : null),
+                // FACEIT sends "" for teams that were matched together; only a missing type is unknown
+                premade: typeof team?.type === "string" ? team.type.trim().toLowerCase() === "premade" : null,
+                roster
+            };
+        }
+        return {
+            matchId: String(raw.match_id || matchId),
+            map: Array.isArray(pick) && pick.length ? String(pick[0]) : null,
+            teams
+        };
+    }
+
+    /**
+     * Maps the stats time endpoint's cryptic keys (`i1` map, `i10` result,
+     * `i18` score, `i20` as ELO fallback) to readable ones and drops unusable points.
+     * @param {Array|object|null} raw - Stats time payload
+     * @param {string} playerId
+     * @returns {EloPoint[]}
+     */
+    parseEloHistory(raw, playerId) {
+        if (!Array.isArray(raw)) {
+            if (raw !== null && raw !== undefined) this.warn("eloHistory", "(root)", "invalid", playerId);
+            return [];
+        }
+        const points = [];
+        for (const item of raw) {
+            if (!isObject(item)) continue;
+            this._seen("eloHistory");
+            const rawDate = this._number("eloHistory", item, { paths: ["date"], renamed: ["created_at"], required: true }, playerId);
+            const elo = this._number("eloHistory", item, { paths: ["elo"], renamed: ["i20"], required: true }, playerId);
+            if (rawDate === null || elo === null) continue;
+
+            const point = { date: rawDate > 1e12 ? rawDate : rawDate * 1000, elo };
+            const matchId = this._field("eloHistory", item, { paths: ["matchId"], renamed: ["match_id"], required: true }, playerId);
+            if (matchId) point.matchId = String(matchId);
+            const eloDiff = toNumber(item.elo_delta);
+            if (eloDiff !== null) point.eloDiff = eloDiff;
+            if (present(item.i1)) point.map = String(item.i1);
+            if (present(item.i18)) point.score = String(item.i18);
+            if (String(item.i10) === "1") point.result = "W";
+            else if (String(item.i10) === "0") point.result = "L";
+            points.push(point);
+        }
+        return points;
+    }
+}
+
+module.exports = new SchemaValidator();
@@ -0,0 +1,43 @@
+const config = require("./config");
+const { loadRoster } = require("./roster");
+
+/**
+ * @typedef {object} Squad
+ * @property {string} id - Slug, also used for data/squads/<id>/
+ * @property {string} name - Shown in the page title, header and navigation
+ * @property {string} players - Roster file (see roster.js)
+ * @property {string} output - Rendered page
+ * @property {string} [discordChannelId]
+ * @property {string} [discordWebhookEnv]
+ */
+
+/**
+ * The configured squads with defaults filled in. Without any, the crew is
+ * a single squad built from `crew.name`, `files.players` and `files.output`.
+ * @param {object} [settings]
+ * @returns {Squad[]}
+ */
+function resolveSquads(settings = config) {
+    if (settings.squads.length === 0) {
+        return [{ id: "main", name: settings.crew.name, players: settings.files.players, output: settings.files.output }];
+    }
+    return settings.squads.map(squad => ({ ...squad, output: squad.output || `${squad.id}.html` }));
+}
+
+/**
+ * Reads every squad's roster.
+ * @param {Squad[]} squads
+ * @returns {{ rosters: Map<string, import("./roster").RosterEntry[]>, playerIds: string[] }}
+ *   Roster entries per squad ID, and every player ID once, so a player in
+ *   several squads is only fetched once per run
+ */
+function loadRosters(squads) {
+    const rosters = new Map(squads.map(squad => [squad.id, loadRoster(squad.players)]));
+    const playerIds = [...new Set([...rosters.values()].flat().map(entry => entry.id))];
+    return { rosters, playerIds };
+}
+
+module.exports = {
+    resolveSquads,
+    loadRosters
+};
@@ -1,5 +1,22 @@
-const FRESH_HOURS = 7 * 24;
-const AGING_HOURS = 30 * 24;
+const clock = require("./clock");
+const config = require("./config");
+const { classifyRole } = require("./roles");
+const rating = require("./rating");
+
+const { freshHours: FRESH_HOURS, agingHours: AGING_HOURS } = config.freshness;
+const EQUAL_ELO_MARGIN = config.analysis.equalEloMargin;
+const STRENGTH_BUCKETS = ["weaker", "equal", "stronger"];
+
+/**
+ * German duration for freshness labels, in the largest whole unit:
+ * 168 → "1 Woche", 720 → "1 Monat", 240 → "10 Tage" ("10 Tagen" after "innerhalb").
+ */
+function spanLabel(hours, dative = false) {
+    const units = [[30 * 24, "Monat", "Monate", "Monaten"], [7 * 24, "Woche", "Wochen", "Wochen"], [24, "Tag", "Tage", "Tagen"], [1, "Stunde", "Stunden", "Stunden"]];
+    const [size, one, many, manyDative] = units.find(([unit]) => hours % unit === 0);
+    const count = hours / size;
+    return `${count} ${count === 1 ? one : dative ? manyDative : many}`;
+}
 
 const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
 const average = values => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
@@ -9,24 +26,202 @@ const deviation = values => {
     return Math.sqrt(average(values.map(value => (value - mean) ** 2)));
 };
 
+// z for a two-sided 95% interval
+const CONFIDENCE_Z = 1.96;
+
+/**
+ * 95% Wilson score interval of a winrate, in whole percent. Unlike the plain
+ * normal approximation it stays inside 0–100 and is wide for few matches:
+ * 2 wins from 2 matches gives 34–100, not 100 ± 0.
+ * @param {number} wins
+ * @param {number} matches
+ * @returns {{ winrateLower: number, winrateUpper: number, winrateMargin: number }}
+ *   Bounds and half the interval width; all 0 without matches. Labels show the
+ *   bounds ("100% (34–100)"), as the interval is asymmetric near 0 and 100 %
+ */
+function winrateInterval(wins, matches) {
+    if (!matches) return { winrateLower: 0, winrateUpper: 0, winrateMargin: 0 };
+    const rate = wins / matches;
+    const z2 = CONFIDENCE_Z ** 2;
+    const center = (rate + z2 / (2 * matches)) / (1 + z2 / matches);
+    const spread = CONFIDENCE_Z * Math.sqrt(rate * (1 - rate) / matches + z2 / (4 * matches ** 2)) / (1 + z2 / matches);
+    const lower = Math.max(0, center - spread) * 100;
+    const upper = Math.min(1, center + spread) * 100;
+    return { winrateLower: Math.round(lower), winrateUpper: Math.round(upper), winrateMargin: Math.round((upper - lower) / 2) };
+}
+
+// Expected win probability below / above which a match counts as underdog / favourite
+const UNDERDOG_PROBABILITY = 0.4;
+const FAVOURITE_PROBABILITY = 0.6;
+
+/**
+ * Elo expectation of winning from both teams' average ELO at match start:
+ * 200 ELO ahead is 76%, level is 50%.
+ * @param {number} teamElo
+ * @param {number} opponentElo
+ * @returns {number} 0–1
+ */
+const winProbability = (teamElo, opponentElo) => 1 / (1 + 10 ** ((opponentElo - teamElo) / 400));
+
+/**
+ * Opponent strength relative to the own team's average ELO.
+ * @param {number} eloGap - Opponent minus own team average ELO
+ * @returns {"weaker"|"equal"|"stronger"}
+ */
+const strengthBucket = eloGap => eloGap < -EQUAL_ELO_MARGIN ? "weaker" : eloGap > EQUAL_ELO_MARGIN ? "stronger" : "equal";
+
+/**
+ * Results and performance over a subset of `matchHistory` entries, e.g. all
+ * matches against stronger opponents. Totals are summed before dividing, as
+ * for the period stats.
+ * @param {Array<object>} matches
+ * @returns {object}
+ */
+function summarizeMatches(matches) {
+    const sum = key => matches.reduce((total, match) => total + (Number(match[key]) || 0), 0);
+    const wins = matches.filter(match => match.result === "W").length;
+    const rounds = sum("rounds");
+    const damage = matches.reduce((total, match) => total + (Number(match.adr) || 0) * (Number(match.rounds) || 0), 0);
+    const opponentElos = matches.map(match => match.opponentElo).filter(Number.isFinite);
+    const eloGaps = matches.filter(match => Number.isFinite(match.opponentElo) && Number.isFinite(match.teamElo))
+        .map(match => match.opponentElo - match.teamElo);
+    const matchRating = rating.computeRating(matches.reduce(rating.addMatch, rating.emptyTotals()));
+    return {
+        matches: matches.length,
+        wins,
+        losses: matches.length - wins,
+        winrate: matches.length ? Math.round(wins / matches.length * 100) : 0,
+        ...winrateInterval(wins, matches.length),
+        kd: sum("deaths") ? (sum("kills") / sum("deaths")).toFixed(2) : "0.00",
+        roundAdr: rounds ? (damage / rounds).toFixed(1) : "0.0",
+        rating: matchRating === null ? "—" : matchRating.toFixed(2),
+        expectedWins: Math.round(matches.reduce((total, match) => total + (match.winProbability ?? 0), 0) * 10) / 10,
+        avgOpponentElo: opponentElos.length ? Math.round(average(opponentElos)) : null,
+        avgEloGap: eloGaps.length ? Math.round(average(eloGaps)) : null,
+        premadeOpponents: matches.filter(match => match.opponentPremade === true).length
+    };
+}
+
+const emptyExpectation = () => ({
+    matches: 0, wins: 0, expectedWins: 0, overperformance: 0,
+    underdog: { matches: 0, wins: 0 }, favourite: { matches: 0, wins: 0 }
+});
+
+const emptyRoundTotals = () => ({ rounds: 0, kills: 0, deaths: 0, damage: 0, multikills: 0, utilityDamage: 0, clutches: 0, entryCount: 0 });
+
+/**
+ * Adds one match to round-weighted totals. Matches without a round count are
+ * left out entirely, so their kills don't inflate the per-round rates.
+ */
+function addRoundTotals(totals, playerStats) {
+    const rounds = +playerStats.__rounds || 0;
+    if (rounds <= 0) return;
+    totals.rounds += rounds;
+    totals.kills += +playerStats.Kills || 0;
+    totals.deaths += +playerStats.Deaths || 0;
+    totals.damage += (+playerStats.ADR || 0) * rounds;
+    totals.multikills += (+playerStats["Double Kills"] || 0) + (+playerStats["Triple Kills"] || 0)
+        + (+playerStats["Quadro Kills"] || 0) + (+playerStats["Penta Kills"] || 0);
+    totals.utilityDamage += +playerStats["Utility Damage"] || 0;
+    totals.clutches += +playerStats["Clutch Kills"] || 0;
+    totals.entryCount += +playerStats["Entry Count"] || 0;
+}
+
+/**
+ * Per-round rates from round totals. A 13:0 stomp weighs 13 rounds and a
+ * 16:14 overtime 30, instead of one match each.
+ * @returns {{ kpr: number, dpr: number, adr: number, multikills: number, utility: number, clutches: number, entryAttempts: number }}
+ */
+function perRoundRates(totals) {
+    const rate = value => totals.rounds ? value / totals.rounds : 0;
+    return {
+        kpr: rate(totals.kills),
+        dpr: rate(totals.deaths),
+        adr: rate(totals.damage),
+        multikills: rate(totals.multikills),
+        utility: rate(totals.utilityDamage),
+        clutches: rate(totals.clutches),
+        entryAttempts: rate(totals.entryCount)
+    };
+}
+
 class StatsCalculator {
+    /**
+     * Freshness thresholds and labels, shared with the dashboard so both
+     * classify a match age the same way.
+     * @returns {{ freshHours: number, agingHours: number, labels: { fresh: string, aging: string, stale: string } }}
+     */
+    getFreshnessBands() {
+        return {
+            freshHours: FRESH_HOURS,
+            agingHours: AGING_HOURS,
+            labels: {
+                fresh: `Match innerhalb ${spanLabel(FRESH_HOURS, true)}`,
+                aging: `Match älter als ${spanLabel(FRESH_HOURS)}`,
+                stale: `Match älter als ${spanLabel(AGING_HOURS)}`
+            }
+        };
+    }
+
     /**
      * Classifies the age of a player's latest match.
-     * Green: up to 7 days, yellow: over 7 and up to 30 days, red: over 30 days.
+     * Green: up to `freshness.freshHours` (7 days), yellow: up to
+     * `freshness.agingHours` (30 days), red: older.
      */
-    getDataFreshness(latestTimestamp, nowSeconds = Date.now() / 1000) {
+    getDataFreshness(latestTimestamp, nowSeconds = clock.nowSeconds()) {
         if (!Number(latestTimestamp)) {
             return { status: "stale", label: "Keine Matchdaten", ageHours: Infinity };
         }
 
         const ageHours = Math.max(0, (nowSeconds - Number(latestTimestamp)) / 3600);
+        const { labels } = this.getFreshnessBands();
         if (ageHours <= FRESH_HOURS) {
-            return { status: "fresh", label: "Match innerhalb 1 Woche", ageHours };
+            return { status: "fresh", label: labels.fresh, ageHours };
         }
         if (ageHours <= AGING_HOURS) {
-            return { status: "aging", label: "Match älter als 1 Woche", ageHours };
+            return { status: "aging", label: labels.aging, ageHours };
         }
-        return { status: "stale", label: "Match älter als 1 Monat", ageHours };
+        return { status: "stale", label: labels.stale, ageHours };
+    }
+
+    /**
+     * Normalizes raw FACEIT ELO history items into `{ date, elo, ... }` points,
+     * sorted oldest → newest with one point per timestamp. Dates are in seconds.
+     * @param {Array} items - Raw ELO history (stats time endpoint or fallback points)
+     * @returns {Array<object>}
+     */
+    normalizeEloHistory(items) {
+        return (items || [])
+            .map(item => {
+                const rawDate = Number(item.date ?? item.created_at ?? item.updated_at);
+                const date = rawDate > 1e12 ? Math.floor(rawDate / 1000) : Math.floor(rawDate);
+                const elo = parseInt(item.elo ?? item.i20);
+                const rawDiff = item.elo_delta ?? item.eloDiff;
+                const parsedDiff = rawDiff !== undefined && rawDiff !== "" ? parseInt(rawDiff) : NaN;
+                const normalized = {
+                    date,
+                    elo,
+                    eloDiff: Number.isFinite(parsedDiff) ? parsedDiff : undefined,
+                    eloDiffSource: Number.isFinite(parsedDiff) ? "faceit" : undefined
+                };
+                const matchId = item.matchId ?? item.match_id;
+                const map = item.map ?? item.i1;
+                const score = item.score ?? item.i18;
+                const rawResult = item.result ?? item.i10;
+                if (matchId) {
+                    normalized.matchId = String(matchId);
+                    normalized.matchUrl = `https://www.faceit.com/de/cs2/room/${encodeURIComponent(matchId)}`;
+                }
+                if (map) normalized.map = String(map).replace(/^de_/i, "").replace(/\b\w/g, letter => letter.toUpperCase());
+                if (score) normalized.score = String(score);
+                if (rawResult === "W" || rawResult === "L") normalized.result = rawResult;
+                else if (String(rawResult) === "1") normalized.result = "W";
+                else if (String(rawResult) === "0") normalized.result = "L";
+                return normalized;
+            })
+            .filter(item => Number.isFinite(item.date) && Number.isFinite(item.elo))
+            .sort((a, b) => a.date - b.date)
+            .filter((item, index, sorted) => index === 0 || item.date !== sorted[index - 1].date);
     }
 
     /**
@@ -35,14 +230,16 @@ class StatsCalculator {
      * @param {Array} history - Array of match history items (newest first)
      * @param {object} matchStatsMap - Map of matchId → per-player stats
      * @param {Array} externalEloHistory - Raw ELO history from FACEIT API
-     * @returns {object} Calculated stats: recent, teammates, eloHistory, matchHistory, streak, last5, mapPerformance
+     * @returns {object} Calculated stats: recent, teammates, eloHistory, matchHistory, streak, last5, mapPerformance,
+     *   opponentStrength (weaker / equal / stronger, see `analysis.equalEloMargin`)
      */
     calculatePlayerStats(playerId, history, matchStatsMap, externalEloHistory, requestedMatches = history?.length || 0) {
         if (!playerId || !history || !matchStatsMap) {
             return this._emptyStats();
         }
-        let kills = 0, deaths = 0, assists = 0, adrTotal = 0, hs = 0, count = 0, rounds = 0;
+        let kills = 0, deaths = 0, assists = 0, adrTotal = 0, hs = 0, count = 0;
         let entryWins = 0, entryCount = 0, clutches = 0, multikills = 0, utilityDamage = 0;
+        const roundTotals = emptyRoundTotals();
 
         // For teammates analysis
         const teammateCounts = {};
@@ -53,6 +250,9 @@ class StatsCalculator {
         // For map performance
         const mapData = {};
 
+        // Results against the ELO expectation, for matches with both teams' average ELO
+        const expectation = emptyExpectation();
+
         // For last 5 results & streak
         const matchResults = []; // ordered newest → oldest
         const detailedHistory = []; // For Heatmap
@@ -71,7 +271,7 @@ class StatsCalculator {
                 assists += +playerStats.Assists || 0;
                 adrTotal += +playerStats.ADR || 0;
                 hs += +playerStats.Headshots || 0;
-                if (typeof playerStats.__rounds === "number") rounds += playerStats.__rounds;
+                addRoundTotals(roundTotals, playerStats);
                 entryWins += +playerStats["Entry Wins"] || +playerStats["First Kills"] || 0;
                 entryCount += +playerStats["Entry Count"] || 0;
                 clutches += +playerStats["Clutch Kills"] || 0;
@@ -86,8 +286,9 @@ class StatsCalculator {
             if (!mapData[mapName]) {
                 mapData[mapName] = {
                     wins: 0, losses: 0, kills: 0, deaths: 0, assists: 0, matches: 0,
-                    adrTotal: 0, headshots: 0, rounds: 0, entryWins: 0, entryCount: 0,
-                    clutches: 0, multikills: 0, utilityDamage: 0, damage: 0
+                    adrTotal: 0, headshots: 0, entryWins: 0, entryCount: 0,
+                    clutches: 0, multikills: 0, utilityDamage: 0, damage: 0,
+                    roundTotals: emptyRoundTotals()
                 };
             }
 
@@ -95,12 +296,14 @@ class StatsCalculator {
             const teams = match.teams;
             const winner = match.results?.winner;
             let didWin = false;
+            let ownSide = null;
 
             if (teams && winner) {
                 for (const [side, team] of Object.entries(teams)) {
                     const members = team.players || [];
                     if (!members.some(p => p.player_id === playerId)) continue;
                     didWin = (side === winner);
+                    ownSide = side;
 
                     // Teammate Stats
                     for (const p of members) {
@@ -131,6 +334,27 @@ class StatsCalculator {
             // Track match result
             matchResults.push(didWin ? "W" : "L");
 
+            // Both factions' average ELO, level and name, stored with the match by api.js
+            const ownTeam = ownSide ? stats.__teams?.[ownSide] : undefined;
+            const opponent = ownSide && stats.__teams
+                ? Object.entries(stats.__teams).find(([side]) => side !== ownSide)?.[1]
+                : undefined;
+            const teamElo = ownTeam?.averageElo;
+            const opponentElo = opponent?.averageElo;
+            const expectedWin = Number.isFinite(teamElo) && Number.isFinite(opponentElo) ? winProbability(teamElo, opponentElo) : null;
+            if (expectedWin !== null) {
+                expectation.matches++;
+                expectation.expectedWins += expectedWin;
+                if (didWin) expectation.wins++;
+                const band = expectedWin < UNDERDOG_PROBABILITY ? expectation.underdog
+                    : expectedWin > FAVOURITE_PROBABILITY ? expectation.favourite
+                        : null;
+                if (band) {
+                    band.matches++;
+                    if (didWin) band.wins++;
+                }
+            }
+
             // Track detailed match history for Heatmap
             if (playerStats) {
                 const mKills = +playerStats.Kills || 0;
@@ -165,8 +389,17 @@ class StatsCalculator {
                     pentaKills: +playerStats["Penta Kills"] || 0,
                     utilityDamage: +playerStats["Utility Damage"] || 0,
                     enemiesFlashed: +playerStats["Enemies Flashed"] || 0,
-                    sniperKills: +playerStats["Sniper Kills"] || 0
+                    sniperKills: +playerStats["Sniper Kills"] || 0,
+                    teamElo: Number.isFinite(teamElo) ? Math.round(teamElo) : null,
+                    opponentElo: Number.isFinite(opponentElo) ? Math.round(opponentElo) : null,
+                    winProbability: expectedWin === null ? null : Math.round(expectedWin * 100) / 100,
+                    opponentLevel: Number.isFinite(opponent?.averageLevel) ? opponent.averageLevel : null,
+                    opponentName: opponent?.name || null,
+                    opponentPremade: typeof opponent?.premade === "boolean" ? opponent.premade : null,
+                    opponentStrength: expectedWin === null ? null : strengthBucket(opponentElo - teamElo)
                 });
+                const detail = detailedHistory.at(-1);
+                detail.rating = rating.computeRating(rating.addMatch(rating.emptyTotals(), detail));
             }
 
             // Map stats accumulation
@@ -181,7 +414,6 @@ class StatsCalculator {
                 mapData[mapName].assists += +playerStats.Assists || 0;
                 mapData[mapName].adrTotal += +playerStats.ADR || 0;
                 mapData[mapName].headshots += +playerStats.Headshots || 0;
-                mapData[mapName].rounds += +playerStats.__rounds || 0;
                 mapData[mapName].entryWins += +playerStats["Entry Wins"] || +playerStats["First Kills"] || 0;
                 mapData[mapName].entryCount += +playerStats["Entry Count"] || 0;
                 mapData[mapName].clutches += +playerStats["Clutch Kills"] || 0;
@@ -189,11 +421,15 @@ class StatsCalculator {
                     + (+playerStats["Quadro Kills"] || 0) + (+playerStats["Penta Kills"] || 0);
                 mapData[mapName].utilityDamage += +playerStats["Utility Damage"] || 0;
                 mapData[mapName].damage += +playerStats.Damage || 0;
+                addRoundTotals(mapData[mapName].roundTotals, playerStats);
             }
         }
 
         // Aggregate Personal Stats
         const wins = matchResults.filter(r => r === "W").length;
+        // Rated over the summed totals, not as a mean of match ratings, so longer matches weigh more
+        const periodRating = rating.computeRating(detailedHistory.reduce(rating.addMatch, rating.emptyTotals()));
+        const perRound = perRoundRates(roundTotals);
         const recentStats = {
             kills,
             assists,
@@ -202,15 +438,31 @@ class StatsCalculator {
             kd: count && deaths ? (kills / deaths).toFixed(2) : "0.00",
             adr: count ? (adrTotal / count).toFixed(1) : "0.0",
             hsPercent: kills ? Math.round((hs / kills) * 100) + "%" : "0%",
-            kr: rounds ? (kills / rounds).toFixed(2) : "0.00",
+            kr: roundTotals.rounds ? perRound.kpr.toFixed(2) : "0.00",
             matches: count,
             winratePct: count ? Math.round((wins / count) * 100) : 0,
+            ...winrateInterval(wins, count),
             entryWins,
             entryCount,
             entrySuccess: entryCount ? Math.round(entryWins / entryCount * 100) : 0,
             clutches,
             multikills,
-            utilityDamage
+            utilityDamage,
+            rating: periodRating === null ? "—" : periodRating.toFixed(2),
+            // Wins minus the summed win probabilities: above 0 is more wins than the ELO gap predicted
+            expectation: {
+                ...expectation,
+                expectedWins: Math.round(expectation.expectedWins * 10) / 10,
+                overperformance: Math.round((expectation.wins - expectation.expectedWins) * 10) / 10
+            },
+            // Round-weighted; `adr` above is the mean of the per-match values
+            rounds: roundTotals.rounds,
+            roundAdr: perRound.adr.toFixed(1),
+            dpr: perRound.dpr.toFixed(2),
+            multikillsPerRound: perRound.multikills.toFixed(2),
+            utilityPerRound: perRound.utility.toFixed(1),
+            clutchesPerRound: perRound.clutches.toFixed(3),
+            entryAttemptsPerRound: perRound.entryAttempts.toFixed(3)
         };
 
         // Win/Loss Streak (from most recent match)
@@ -230,16 +482,18 @@ class StatsCalculator {
 
         // Map Performance (sorted by matches played, descending)
         const mapPerformance = Object.entries(mapData)
-            .map(([map, d]) => ({
+            .map(([map, d]) => [map, d, perRoundRates(d.roundTotals)])
+            .map(([map, d, perRound]) => ({
                 map,
                 wins: d.wins,
                 losses: d.losses,
                 matches: d.matches,
                 winrate: d.matches ? Math.round((d.wins / d.matches) * 100) : 0,
+                ...winrateInterval(d.wins, d.matches),
                 kd: d.deaths ? (d.kills / d.deaths).toFixed(2) : "0.00",
                 adr: d.matches ? (d.adrTotal / d.matches).toFixed(1) : "0.0",
                 hsPercent: d.kills ? Math.round(d.headshots / d.kills * 100) : 0,
-                kr: d.rounds ? (d.kills / d.rounds).toFixed(2) : "0.00",
+                kr: d.roundTotals.rounds ? perRound.kpr.toFixed(2) : "0.00",
                 avgKills: d.matches ? (d.kills / d.matches).toFixed(1) : "0.0",
                 avgDeaths: d.matches ? (d.deaths / d.matches).toFixed(1) : "0.0",
                 avgAssists: d.matches ? (d.assists / d.matches).toFixed(1) : "0.0",
@@ -247,43 +501,24 @@ class StatsCalculator {
                 entrySuccess: d.entryCount ? Math.round(d.entryWins / d.entryCount * 100) : 0,
                 clutches: d.clutches,
                 multikills: d.multikills,
-                utilityDamage: d.utilityDamage
+                utilityDamage: d.utilityDamage,
+                rounds: d.roundTotals.rounds,
+                roundAdr: perRound.adr.toFixed(1),
+                dpr: perRound.dpr.toFixed(2),
+                multikillsPerRound: perRound.multikills.toFixed(2),
+                utilityPerRound: perRound.utility.toFixed(1),
+                clutchesPerRound: perRound.clutches.toFixed(3)
             }))
             .sort((a, b) => b.matches - a.matches);
 
+        // Split by opponent strength; matches without both team ELOs are in no bucket
+        const opponentStrength = Object.fromEntries(STRENGTH_BUCKETS.map(bucket => [
+            bucket,
+            summarizeMatches(detailedHistory.filter(match => match.opponentStrength === bucket))
+        ]));
+
         // ELO History
-        const eloHistory = (externalEloHistory || [])
-            .map(item => {
-                const rawDate = Number(item.date ?? item.created_at ?? item.updated_at);
-                const date = rawDate > 1e12 ? Math.floor(rawDate / 1000) : Math.floor(rawDate);
-                const elo = parseInt(item.elo ?? item.i20);
-                const rawDiff = item.elo_delta ?? item.eloDiff;
-                const parsedDiff = rawDiff !== undefined && rawDiff !== "" ? parseInt(rawDiff) : NaN;
-                const normalized = {
-                    date,
-                    elo,
-                    eloDiff: Number.isFinite(parsedDiff) ? parsedDiff : undefined,
-                    eloDiffSource: Number.isFinite(parsedDiff) ? "faceit" : undefined
-                };
-                const matchId = item.matchId ?? item.match_id;
-                const map = item.map ?? item.i1;
-                const score = item.score ?? item.i18;
-                const rawResult = item.result ?? item.i10;
-                if (matchId) {
-                    normalized.matchId = String(matchId);
-                    normalized.matchUrl = `https://www.faceit.com/de/cs2/room/${encodeURIComponent(matchId)}`;
-                }
-                if (map) normalized.map = String(map).replace(/^de_/i, "").replace(/\b\w/g, letter => letter.toUpperCase());
-                if (score) normalized.score = String(score);
-                if (rawResult === "W" || rawResult === "L") normalized.result = rawResult;
-                else if (String(rawResult) === "1") normalized.result = "W";
-                else if (String(rawResult) === "0") normalized.result = "L";
-                return normalized;
-            })
-            .filter(item => Number.isFinite(item.date) && Number.isFinite(item.elo))
-            .sort((a, b) => a.date - b.date)
-            .filter((item, index, items) => index === 0 || item.date !== items[index - 1].date)
-            .slice(-300);
+        const eloHistory = this.normalizeEloHistory(externalEloHistory);
 
         // Prefer FACEIT's match ID. Locally captured fallback points have no ID,
         // but use the exact completion timestamp; keep their tolerance narrow and
@@ -345,9 +580,10 @@ class StatsCalculator {
         }
         const peakPoint = eloHistory.reduce((best, point) => !best || point.elo > best.elo ? point : best, null);
         const currentElo = eloHistory.at(-1)?.elo || 0;
+        // Ranked by the lower confidence bound, so 2/2 on one map doesn't beat 14/20 on another
         const bestMap = mapPerformance
             .filter(map => map.map !== "Unknown" && map.matches >= 2)
-            .sort((a, b) => b.winrate - a.winrate || parseFloat(b.kd) - parseFloat(a.kd) || b.matches - a.matches)[0] || null;
+            .sort((a, b) => b.winrateLower - a.winrateLower || b.winrate - a.winrate || parseFloat(b.kd) - parseFloat(a.kd))[0] || null;
         let bestThirtyGain = 0;
         for (let index = 0; index + 29 < eloHistory.length; index++) {
             const end = eloHistory[index + 29];
@@ -377,6 +613,8 @@ class StatsCalculator {
             requestedMatches: Number(requestedMatches) || history.length,
             historyMatches: history.length,
             analyzedMatches: count,
+            // Matches left for a later run by the per-run stats budget; the period is incomplete until then
+            pendingMatches: history.filter(match => matchStatsMap[match.match_id]?.__pending).length,
             latestTimestamp,
             ageHours: Number.isFinite(freshness.ageHours) ? Math.round(freshness.ageHours) : null
         };
@@ -398,19 +636,15 @@ class StatsCalculator {
         const utilityPerMatch = recentStats.utilityDamage / matchesAnalyzed;
         const hsPercent = Number.parseFloat(recentStats.hsPercent) || 0;
         const kd = Number.parseFloat(recentStats.kd) || 0;
-        const adr = Number.parseFloat(recentStats.adr) || 0;
-        let role = { key: "allrounder", label: "Allrounder", description: "Ausgeglichenes Profil ohne extreme Ausschläge" };
-        if (entryAttemptsPerMatch >= 0.35 && recentStats.entrySuccess >= 50) {
-            role = { key: "opener", label: "Opener", description: "Sucht und gewinnt häufig die ersten Duelle" };
-        } else if (clutchesPerMatch >= 0.12) {
-            role = { key: "closer", label: "Closer", description: "Überdurchschnittlich präsent in Clutch-Situationen" };
-        } else if (utilityPerMatch >= 80) {
-            role = { key: "support", label: "Support", description: "Hoher messbarer Impact durch Utility" };
-        } else if (hsPercent >= 55 && kd >= 1.05) {
-            role = { key: "sharpshooter", label: "Sharpshooter", description: "Hohe Präzision und starke Headshot-Quote" };
-        } else if (adr >= 82 && kd >= 1.08) {
-            role = { key: "fragger", label: "Fragger", description: "Hoher Damage-Output bei positiver K/D" };
-        }
+        const role = classifyRole({
+            entryAttemptsPerRound: perRound.entryAttempts,
+            entrySuccess: recentStats.entrySuccess,
+            clutchesPerRound: perRound.clutches,
+            utilityPerRound: perRound.utility,
+            hsPercent,
+            kd,
+            adr: perRound.adr
+        });
         const performanceProfile = {
             consistency,
             eloTrend,
@@ -418,7 +652,10 @@ class StatsCalculator {
             role,
             entryAttemptsPerMatch: Math.round(entryAttemptsPerMatch * 100) / 100,
             clutchesPerMatch: Math.round(clutchesPerMatch * 100) / 100,
-            utilityPerMatch: Math.round(utilityPerMatch)
+            utilityPerMatch: Math.round(utilityPerMatch),
+            entryAttemptsPerRound: Math.round(perRound.entryAttempts * 1000) / 1000,
+            clutchesPerRound: Math.round(perRound.clutches * 1000) / 1000,
+            utilityPerRound: Math.round(perRound.utility * 10) / 10
         };
 
         const recentElo = eloHistory.slice(-10);
@@ -429,7 +666,14 @@ class StatsCalculator {
         if (currentElo && personalBests.peakElo - currentElo <= 5) insights.push({ type: "peak", icon: "◆", title: "Peak-Alarm", text: `${currentElo} ELO · persönlicher Bestwert` });
         if (recentGain >= 80) insights.push({ type: "positive", icon: "↑", title: "Starker Trend", text: `+${recentGain} ELO in 10 Matches` });
         if (recentGain <= -80) insights.push({ type: "warning", icon: "↓", title: "Formtief", text: `${recentGain} ELO in 10 Matches` });
-        if (bestMap) insights.push({ type: "map", icon: "⌖", title: `Beste Map · letzte ${Number(requestedMatches) || history.length} Matches`, text: `${bestMap.map} · ${bestMap.winrate}% Winrate` });
+        const { underdog, overperformance } = recentStats.expectation;
+        if (underdog.matches >= 5 && underdog.wins / underdog.matches >= 0.5) insights.push({ type: "positive", icon: "⚔", title: "Underdog-Killer", text: `${underdog.wins} von ${underdog.matches} als Außenseiter gewonnen` });
+        if (recentStats.expectation.matches >= 10 && Math.abs(overperformance) >= 2) {
+            insights.push(overperformance > 0
+                ? { type: "positive", icon: "▲", title: "Über Erwartung", text: `+${overperformance} Siege gegenüber der ELO-Erwartung` }
+                : { type: "warning", icon: "▼", title: "Unter Erwartung", text: `${overperformance} Siege gegenüber der ELO-Erwartung` });
+        }
+        if (bestMap) insights.push({ type: "map", icon: "⌖", title: `Beste Map · letzte ${Number(requestedMatches) || history.length} Matches`, text: `${bestMap.map} · ${bestMap.winrate}% (${bestMap.winrateLower}–${bestMap.winrateUpper}) Winrate` });
 
         // Aggregate Teammate Stats
         const teammates = Object.entries(teammateCounts).map(([id, cnt]) => {
@@ -446,6 +690,7 @@ class StatsCalculator {
                 losses,
                 winratePct: cnt ? Math.round((wins / cnt) * 100) : 0,
                 winrate: cnt ? `${Math.round((wins / cnt) * 100)}%` : "—",
+                ...winrateInterval(wins, cnt)
             };
         }).filter(p => p.nickname && p.nickname !== "—");
 
@@ -457,6 +702,7 @@ class StatsCalculator {
             streak,
             last5,
             mapPerformance,
+            opponentStrength,
             personalBests,
             dataQuality,
             performanceProfile,
@@ -467,16 +713,17 @@ class StatsCalculator {
     /** Returns an empty stats object for error/edge cases */
     _emptyStats() {
         return {
-            recent: { kills: 0, assists: 0, deaths: 0, wins: 0, kd: "0.00", adr: "0.0", hsPercent: "0%", kr: "0.00", matches: 0, winratePct: 0, entryWins: 0, entryCount: 0, entrySuccess: 0, clutches: 0, multikills: 0, utilityDamage: 0 },
+            recent: { kills: 0, assists: 0, deaths: 0, wins: 0, kd: "0.00", adr: "0.0", hsPercent: "0%", kr: "0.00", matches: 0, winratePct: 0, winrateLower: 0, winrateUpper: 0, winrateMargin: 0, entryWins: 0, entryCount: 0, entrySuccess: 0, clutches: 0, multikills: 0, utilityDamage: 0, rating: "—", expectation: emptyExpectation(), rounds: 0, roundAdr: "0.0", dpr: "0.00", multikillsPerRound: "0.00", utilityPerRound: "0.0", clutchesPerRound: "0.000", entryAttemptsPerRound: "0.000" },
             teammates: [],
             eloHistory: [],
             matchHistory: [],
             streak: { type: "none", count: 0 },
             last5: [],
             mapPerformance: [],
+            opponentStrength: Object.fromEntries(STRENGTH_BUCKETS.map(bucket => [bucket, summarizeMatches([])])),
             personalBests: { peakElo: 0, peakEloDate: null, longestWinStreak: 0, bestMap: null, bestThirtyGain: 0 },
             dataQuality: { status: "stale", label: "Keine Matchdaten", matchCoverage: 0, eloSamples: 0, latestTimestamp: 0, ageHours: null },
-            performanceProfile: { consistency: 0, eloTrend: 0, eloVolatility: 0, role: { key: "allrounder", label: "Allrounder", description: "Noch nicht genügend Daten" }, entryAttemptsPerMatch: 0, clutchesPerMatch: 0, utilityPerMatch: 0 },
+            performanceProfile: { consistency: 0, eloTrend: 0, eloVolatility: 0, role: { key: "allrounder", label: "Allrounder", description: "Noch nicht genügend Daten" }, entryAttemptsPerMatch: 0, clutchesPerMatch: 0, utilityPerMatch: 0, entryAttemptsPerRound: 0, clutchesPerRound: 0, utilityPerRound: 0 },
             insights: []
         };
     }
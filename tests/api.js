@@ -0,0 +1,797 @@
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const zlib = require("node:zlib");
+
+// The API module reads its key on load; requests in this file only hit local stubs.
+process.env.FACEIT_API_KEY = process.env.FACEIT_API_KEY || "test-key";
+
+const clock = require("../src/clock");
+const fixtures = require("../src/replay");
+const stats = require("../src/stats");
+const api = require("../src/api");
+const { TokenBucket, parseRetryAfter, backoffDelay } = require("../src/rate_limiter");
+const { mergeEloHistory, oldestEloDate } = require("../src/elo_history");
+const schema = require("../src/schema");
+const { writeJsonAtomic, readJson, backupPath } = require("../src/atomic_fs");
+const { Cache, shardOf } = require("../src/cache");
+const maintenance = require("../src/cache_maintenance");
+const { RetryQueue } = require("../src/retry_queue");
+const playerState = require("../src/player_state");
+const { EloLedger } = require("../src/elo_ledger");
+const config = require("../src/config");
+const { loadConfig, envName } = config;
+const { classifyRole } = require("../src/roles");
+const rating = require("../src/rating");
+const calendar = require("../src/calendar");
+const squads = require("../src/squads");
+const roster = require("../src/roster");
+const { DiscordNotifier } = require("../src/notifier");
+
+(async () => {
+  const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-fixtures-"));
+  const profileUrl = "https://open.faceit.com/data/v4/players/player-1";
+  const missingUrl = "https://open.faceit.com/data/v4/players/missing";
+
+  fixtures.configure({ mode: "record", dir: fixtureDir });
+  const live = new Response(JSON.stringify({ player_id: "player-1" }), { status: 200, headers: { "content-type": "application/json" } });
+  await fixtures.recordResponse(profileUrl, live);
+  assert.deepEqual(await live.json(), { player_id: "player-1" }, "recording must not consume the caller's response body");
+  await fixtures.recordResponse(missingUrl, null);
+  fixtures.record("https://api.faceit.com/stats/v1/elo", { status: 200, headers: {}, body: "[]" });
+  const historyUrl = "https://open.faceit.com/data/v4/players/player-1/history?game=cs2";
+  const historyPage = (start, count) => JSON.stringify({
+    items: Array.from({ length: count }, (_, i) => ({ match_id: `match-${start + i}`, finished_at: 1_900_000_000 - (start + i) * 60 }))
+  });
+  fixtures.record(`${historyUrl}&from=0&limit=100`, { status: 200, headers: {}, body: historyPage(0, 100) });
+  fixtures.record(`${historyUrl}&from=0&offset=100&limit=100`, { status: 200, headers: {}, body: historyPage(99, 100) });
+  fixtures.record(`${historyUrl}&from=0&offset=200&limit=51`, { status: 200, headers: {}, body: historyPage(199, 20) });
+  fixtures.record(`${historyUrl}&from=1899990000&to=1899999000&limit=100`, { status: 200, headers: {}, body: historyPage(0, 3) });
+  const matchUrl = "https://open.faceit.com/data/v4/matches/match-7";
+  fixtures.record(`${matchUrl}/stats`, { status: 200, headers: {}, body: JSON.stringify({
+    rounds: [{ round_stats: { Score: "13 / 9", Map: "de_nuke" }, teams: [{ players: [{ player_id: "player-1", nickname: "one", player_stats: { Kills: "20", Deaths: "15" } }] }] }]
+  }) });
+  fixtures.record(matchUrl, { status: 200, headers: {}, body: JSON.stringify({
+    match_id: "match-7",
+    teams: {
+      faction1: { name: "A", type: "premade", roster: [], stats: { rating: 2150, skillLevel: { average: 9 } } },
+      faction2: { name: "B", type: "", roster: [{ player_id: "x", game_skill_level: 7 }, { player_id: "y", game_skill_level: 8 }], stats: { rating: 1950 } }
+    }
+  }) });
+  const manifest = JSON.parse(fs.readFileSync(path.join(fixtureDir, "manifest.json"), "utf8"));
+  assert.equal(typeof manifest.now, "number");
+
+  fs.writeFileSync(path.join(fixtureDir, "manifest.json"), JSON.stringify({ ...manifest, now: 2_000_000_000_000 }));
+  fixtures.configure({ mode: "replay", dir: fixtureDir });
+  assert.equal(clock.now(), 2_000_000_000_000, "replay must freeze the clock to the recorded instant");
+  assert.equal(stats.getDataFreshness(2_000_000_000 - 3600).status, "fresh");
+  const replayed = fixtures.replayResponse(profileUrl);
+  assert.equal(replayed.status, 200);
+  assert.deepEqual(await replayed.json(), { player_id: "player-1" });
+  assert.equal(fixtures.replayResponse(missingUrl), null, "recorded failures replay as failures");
+  assert.equal(fixtures.replay("https://api.faceit.com/stats/v1/elo").body, "[]");
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  assert.equal(fixtures.replayResponse("https://open.faceit.com/data/v4/unknown"), null);
+  console.warn = originalWarn;
+  assert.equal(fixtures.missing, 1);
+
+  await api.init();
+  const before = { ...api.metrics };
+  const [first, second] = await Promise.all([
+    api.track(async () => (await api.request(profileUrl)).json()),
+    api.track(async () => {
+      await api.request(profileUrl);
+      await api.request(profileUrl);
+    })
+  ]);
+  assert.deepEqual(first.value, { player_id: "player-1" });
+  assert.equal(first.usage.requests, 1, "usage is attributed to the tracked scope");
+  assert.equal(second.usage.requests, 2);
+  assert.equal(api.metrics.requests - before.requests, 3, "run-wide metrics count every request");
+
+  const paged = await api.getPlayerHistory("player-1", 250);
+  assert.equal(paged.items.length, 219, "history pages are followed with offsets until the endpoint runs dry");
+  assert.equal(new Set(paged.items.map(item => item.match_id)).size, 219, "matches repeated across page boundaries are dropped");
+  const windowed = await api.getPlayerHistory("player-1", 100, { from: 1_899_990_000, to: 1_899_999_000 });
+  assert.equal(windowed.items.length, 3, "from/to are passed as a time window");
+  const matchStats = await api.getMatchStats("match-7");
+  assert.equal(matchStats.__mapName, "de_nuke");
+  assert.deepEqual(matchStats.__teams, {
+    faction1: { name: "A", averageElo: 2150, averageLevel: 9, premade: true },
+    faction2: { name: "B", averageElo: 1950, averageLevel: 7.5, premade: false }
+  }, "both factions from the match details are stored with the stats, without rosters");
+
+  fixtures.configure({ mode: null });
+  clock.unfreeze();
+  fs.rmSync(fixtureDir, { recursive: true, force: true });
+
+  // Team data for cached matches: a limited number per run, failures end in a null marker.
+  const matchCache = require("../src/cache");
+  const teamLookups = [];
+  api.getMatchTeams = async matchId => {
+    teamLookups.push(matchId);
+    return matchId === "backfill-ok" ? { faction1: { name: "A", averageElo: 2000, averageLevel: 9, premade: null } } : undefined;
+  };
+  api.teamBackfillLeft = 2;
+  for (const id of ["backfill-ok", "backfill-failing", "backfill-later"]) matchCache.set(id, { __mapName: "Mirage" });
+  const logBeforeBackfill = console.log;
+  console.log = () => {};
+  for (const id of ["backfill-ok", "backfill-failing", "backfill-later"]) await api.getMatchStats(id);
+  console.log = logBeforeBackfill;
+  assert.deepEqual(teamLookups, ["backfill-ok", "backfill-failing"], "the backfill stops at the per-run limit");
+  assert.equal(matchCache.get("backfill-ok").__teams.faction1.averageElo, 2000);
+  assert.equal(matchCache.get("backfill-failing").__teamsFailures, 1, "a failed lookup is counted and retried later");
+  assert.ok(!("__teams" in matchCache.get("backfill-later")));
+  for (let run = 0; run < 3; run++) {
+    api.teamBackfillLeft = 1;
+    await api.getMatchStats("backfill-failing");
+  }
+  assert.equal(teamLookups.filter(id => id === "backfill-failing").length, 3, "a match that keeps failing is no longer requested");
+  assert.equal(matchCache.get("backfill-failing").__teams, null);
+  assert.ok(!("__teamsFailures" in matchCache.get("backfill-failing")));
+  matchCache.set("backfill-migrated", { __mapName: "Mirage", __teamElo: { faction1: 2100, faction2: 1900 } });
+  matchCache.set("backfill-unrated", { __mapName: "Mirage", __teamElo: null });
+  api.teamBackfillLeft = 5;
+  const migrated = await api.getMatchStats("backfill-migrated");
+  assert.deepEqual(migrated.__teams, {
+    faction1: { name: "", averageElo: 2100, averageLevel: null, premade: null },
+    faction2: { name: "", averageElo: 1900, averageLevel: null, premade: null }
+  }, "team ELOs stored earlier are converted to __teams");
+  assert.ok(!("__teamElo" in migrated));
+  assert.equal((await api.getMatchStats("backfill-unrated")).__teams, null);
+  assert.ok(!teamLookups.includes("backfill-migrated") && !teamLookups.includes("backfill-unrated"), "converted entries need no request");
+  assert.equal(api.teamBackfillLeft, 5, "conversions don't use up the backfill limit");
+  delete api.getMatchTeams;
+  for (const id of ["backfill-ok", "backfill-failing", "backfill-later", "backfill-migrated", "backfill-unrated"]) matchCache.delete(id);
+
+  // Stored player results are recomputed until the team backfill has reached all of their matches.
+  const playerStateDir = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-player-state-"));
+  try {
+    const fingerprint = { version: 1, latestMatchId: "reuse-2", elo: 2000 };
+    const runPlayer = async () => {
+      const matchStatsMap = {};
+      for (const id of ["reuse-1", "reuse-2"]) matchStatsMap[id] = await api.getMatchStats(id);
+      matchStatsMap["reuse-placeholder"] = { __mapName: "Unknown" };
+      const teamsMissing = playerState.countMissingTeams(matchStatsMap, ["reuse-placeholder"]);
+      playerState.savePlayerState("player/1", fingerprint, { nickname: "one" }, { placeholderMatches: ["reuse-placeholder"], teamsMissing }, playerStateDir);
+      return teamsMissing;
+    };
+    api.getMatchTeams = async () => ({ faction1: { name: "A", averageElo: 2000, averageLevel: 9, premade: null } });
+    for (const id of ["reuse-1", "reuse-2"]) matchCache.set(id, { __mapName: "Mirage" });
+    console.log = () => {};
+    api.teamBackfillLeft = 1;
+    assert.equal(await runPlayer(), 1, "one match is left for the next run's backfill");
+    const partial = playerState.loadPlayerState("player/1", playerStateDir);
+    assert.equal(playerState.canReuse(partial, fingerprint), false, "a player with pending team data is recomputed");
+    api.teamBackfillLeft = 1;
+    assert.equal(await runPlayer(), 0);
+    console.log = logBeforeBackfill;
+    const complete = playerState.loadPlayerState("player/1", playerStateDir);
+    assert.equal(playerState.canReuse(complete, fingerprint), true, "once every match has team data the stored result is reused");
+    assert.equal(playerState.canReuse(complete, { ...fingerprint, elo: 2010 }), false);
+    assert.equal(playerState.canReuse({ ...complete, diagnostics: { placeholderMatches: [] } }, fingerprint), false, "states without the marker are recomputed once");
+  } finally {
+    console.log = logBeforeBackfill;
+    delete api.getMatchTeams;
+    for (const id of ["reuse-1", "reuse-2"]) matchCache.delete(id);
+    fs.rmSync(playerStateDir, { recursive: true, force: true });
+  }
+
+  // Uncached match stats are fetched up to a per-run budget; the rest stay pending for later runs.
+  matchCache.set("fetch-cached", { __mapName: "Mirage", __teams: null });
+  api.matchFetchLeft = 1;
+  console.log = () => {};
+  assert.equal(api.reserveMatchFetch("fetch-new"), true);
+  assert.equal(api.reserveMatchFetch("fetch-later"), false, "the budget is used up");
+  assert.equal(api.reserveMatchFetch("fetch-cached"), true, "cached matches need no budget");
+  console.log = logBeforeBackfill;
+  matchCache.delete("fetch-cached");
+  const pendingStats = stats.calculatePlayerStats("player-1", [{ match_id: "fetch-new" }, { match_id: "fetch-later" }], {
+    "fetch-new": { __mapName: "Mirage" },
+    "fetch-later": { __mapName: "Unknown", __pending: true }
+  }, []);
+  assert.equal(pendingStats.dataQuality.pendingMatches, 1, "the period shows the pending match as incomplete");
+  const pendingState = { fingerprint: { elo: 1 }, result: {}, diagnostics: { placeholderMatches: [], pendingMatches: ["fetch-later"], teamsMissing: 0 } };
+  assert.equal(playerState.canReuse(pendingState, { elo: 1 }), false, "players with pending matches are recomputed");
+  assert.equal(playerState.countMissingTeams({ "fetch-later": { __mapName: "Unknown", __pending: true } }, ["fetch-later"]), 0);
+
+  // Token bucket on a fake clock: sleeping advances time instead of waiting.
+  let fakeNow = 0;
+  const bucket = new TokenBucket({
+    ratePerSecond: 2,
+    burst: 2,
+    now: () => fakeNow,
+    sleep: async ms => { fakeNow += ms; }
+  });
+  await bucket.take();
+  await bucket.take();
+  assert.equal(fakeNow, 0, "burst tokens are available immediately");
+  await bucket.take();
+  assert.equal(fakeNow, 500, "an empty bucket refills at the configured rate");
+  bucket.observe(new Headers({ "x-ratelimit-remaining": "0", "x-ratelimit-reset": "3" }));
+  await bucket.take();
+  assert.ok(fakeNow >= 3500, "an exhausted server quota pauses until the reset");
+  fakeNow = 10_000;
+  bucket.observe(new Headers({ "x-ratelimit-remaining": "1" }));
+  await bucket.take();
+  assert.equal(fakeNow, 10_000);
+  await bucket.take();
+  assert.equal(fakeNow, 10_500, "a low server quota caps the local burst");
+
+  assert.equal(parseRetryAfter("2"), 2000);
+  assert.equal(parseRetryAfter(new Date(65_000).toUTCString(), 5_000), 60_000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(backoffDelay(0, 1000, 30000, () => 0), 500);
+  assert.equal(backoffDelay(3, 1000, 30000, () => 0.999), 7996);
+  assert.equal(backoffDelay(10, 1000, 30000, () => 1), 30000, "backoff is capped");
+
+  // Live requests against a local stub: a 429 is retried after Retry-After.
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    if (hits === 1) {
+      res.writeHead(429, { "Retry-After": "0" });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "content-type": "application/json", "x-ratelimit-remaining": "50" });
+    res.end(JSON.stringify({ ok: true }));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const originalLog = console.log;
+  console.log = () => {};
+  const retried = await api.track(() => api.request(`http://127.0.0.1:${server.address().port}/players/x`));
+  console.log = originalLog;
+  server.close();
+  assert.equal(retried.value.status, 200);
+  assert.deepEqual(await retried.value.json(), { ok: true });
+  assert.equal(hits, 2);
+  assert.equal(retried.usage.retries, 1);
+
+  // ELO history over native HTTP against a stub of the internal stats API.
+  const seenRequests = [];
+  const statsStub = http.createServer((req, res) => {
+    seenRequests.push(req);
+    if (req.url.startsWith("/moved/")) {
+      res.writeHead(302, { location: req.url.replace("/moved", "") });
+      res.end();
+    } else if (req.url.includes("/users/cloudflare/")) {
+      res.writeHead(403, { "content-type": "text/html" });
+      res.end("<html><title>Just a moment...</title></html>");
+    } else if (req.url.includes("/users/broken/")) {
+      res.writeHead(502, { "content-type": "text/plain" });
+      res.end("Bad gateway");
+    } else {
+      res.writeHead(200, { "content-type": "application/json", "content-encoding": "gzip" });
+      res.end(zlib.gzipSync(JSON.stringify([{ matchId: "m1", date: 1_700_000_000_000, elo: "2001", i10: "1" }])));
+    }
+  });
+  await new Promise(resolve => statsStub.listen(0, "127.0.0.1", resolve));
+  api.statsBase = `http://127.0.0.1:${statsStub.address().port}`;
+  const stubPoint = { date: 1_700_000_000_000, elo: 2001, matchId: "m1", result: "W" };
+  const diagnostics = [];
+  const originalError = console.error;
+  console.log = () => {};
+  console.warn = message => diagnostics.push(message);
+  console.error = message => diagnostics.push(message);
+  try {
+    assert.deepEqual(await api.getEloHistory("player-1"), [stubPoint]);
+    assert.match(seenRequests[0].headers["user-agent"], /Mozilla\/5\.0/, "browser-like headers are sent");
+    assert.equal(seenRequests[0].headers.referer, "https://www.faceit.com/en/players/player-1/stats/cs2");
+    assert.deepEqual(await api.getEloHistory("cloudflare"), []);
+    assert.match(diagnostics.pop(), /Cloudflare challenge detected for cloudflare/);
+    assert.deepEqual(await api.getEloHistory("broken"), []);
+    assert.match(diagnostics.pop(), /non-JSON response for broken\. First 100 chars: Bad gateway/);
+    assert.deepEqual(await api.getEloHistory("a b;rm -rf"), [stubPoint]);
+    assert.equal(seenRequests.at(-1).url, "/stats/time/users/a%20b%3Brm%20-rf/games/cs2?size=100", "ids are URL-encoded, never interpreted");
+
+    api.statsBase = `http://127.0.0.1:${statsStub.address().port}/moved`;
+    assert.deepEqual(await api.getEloHistory("player-1"), [stubPoint], "redirects are followed");
+
+    // Backfill walks pages until the requested date is covered.
+    const pages = [
+      Array.from({ length: 100 }, (_, i) => ({ matchId: `p0-${i}`, date: 2_000_000_000_000 - i * 1000, elo: "2000" })),
+      Array.from({ length: 100 }, (_, i) => ({ matchId: `p1-${i}`, date: 1_900_000_000_000 - i * 1000, elo: "1900" })),
+      Array.from({ length: 100 }, (_, i) => ({ matchId: `p2-${i}`, date: 1_800_000_000_000 - i * 1000, elo: "1800" }))
+    ];
+    const requestedPages = [];
+    api.httpGet = async url => {
+      const page = Number(new URL(url).searchParams.get("page") || 0);
+      requestedPages.push(page);
+      return { status: 200, headers: {}, body: JSON.stringify(pages[page] || []) };
+    };
+    const backfilled = await api.backfillEloHistory("player-1", 1_900_000_000_000 - 50_000);
+    assert.deepEqual(requestedPages, [0, 1], "backfill stops once the target date is reached");
+    assert.equal(backfilled.length, 200);
+    requestedPages.length = 0;
+    assert.equal((await api.backfillEloHistory("player-1", 0)).length, 300);
+    assert.deepEqual(requestedPages, [0, 1, 2, 3], "backfill stops when the endpoint runs dry");
+
+    api.httpGet = async () => { throw new Error("connection reset"); };
+    assert.deepEqual(await api.getEloHistory("player-1"), []);
+    assert.match(diagnostics.pop(), /Failed to fetch ELO history for player-1/);
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+    statsStub.close();
+  }
+
+  // History merge: keyed by matchId, fresh data wins, fallback points fold into real ones.
+  const cachedHistory = [
+    { matchId: "m1", date: 1_700_000_100_000, elo: "1990", i6: "21" },
+    { matchId: "m2", date: 1_700_000_200_000, elo: "2000" },
+    { date: 1_700_000_310_000, elo: "2020" },
+    { date: 1_700_000_900_000, elo: "2050" }
+  ];
+  const merged = mergeEloHistory(cachedHistory, [
+    { matchId: "m3", date: 1_700_000_300_000, elo: "2020" },
+    { matchId: "m2", date: 1_700_000_200_000, elo: "2001", elo_delta: "11" }
+  ]);
+  assert.deepEqual(merged.map(item => item.matchId ?? item.date), ["m1", "m2", "m3", 1_700_000_900_000]);
+  assert.equal(merged[1].elo, "2001", "fresh items replace cached ones with the same matchId");
+  assert.equal(merged[0].i6, undefined, "unused raw fields are dropped from the cache");
+  assert.equal(mergeEloHistory(merged, merged).length, merged.length, "merging is idempotent");
+  assert.deepEqual(
+    mergeEloHistory(merged, [], { keepSince: 1_700_000_250_000 }).map(item => item.matchId ?? item.date),
+    ["m3", 1_700_000_900_000],
+    "points older than the retention window are dropped"
+  );
+  assert.equal(oldestEloDate([{ date: 1_800_000_000_000 }, { created_at: 1_700_000_000 }]), 1_700_000_000_000, "second timestamps are normalized");
+  assert.equal(oldestEloDate([]), null);
+
+  // Schema layer: renamed fields are accepted with a warning, missing critical fields abort the run.
+  const schemaWarnings = [];
+  const originalSchemaWarn = console.warn;
+  console.warn = message => schemaWarnings.push(message);
+  try {
+    schema.reset();
+    const profile = schema.parseProfile({
+      player_id: "p1",
+      nickname: "alice",
+      faceit_url: "https://www.faceit.com/{lang}/players/alice",
+      games: { cs2: { elo: "2150", skill_level: 10, region: "EU" } }
+    });
+    assert.equal(profile.elo, 2150);
+    assert.equal(profile.faceitUrl, "https://www.faceit.com/de/players/alice");
+    assert.deepEqual(schema.warnings.map(w => `${w.endpoint}.${w.field}:${w.issue}`), ["profile.games.cs2.faceit_elo:renamed"]);
+    assert.deepEqual(schema.criticalFailures(), []);
+
+    schema.reset();
+    schema.parseProfile({ player_id: "p1", nickname: "alice", games: { cs2: { skill_level: 10 } } });
+    schema.parseProfile({ player_id: "p2", nickname: "bob", games: {} });
+    assert.deepEqual(schema.criticalFailures(), [{ endpoint: "profile", field: "games.cs2.faceit_elo", payloads: 2 }]);
+    assert.equal(schema.warnings.find(w => w.field === "games.cs2.faceit_elo").count, 2, "warnings are aggregated per field");
+    schema.parseProfile({ player_id: "p3", nickname: "carol", games: { cs2: { faceit_elo: 1800, skill_level: 8 } } });
+    assert.deepEqual(schema.criticalFailures(), [], "one valid payload is enough to keep running");
+
+    schema.reset();
+    assert.deepEqual(schema.parseEloHistory([
+      { match_id: "m1", created_at: 1_700_000_000, i20: "1990", elo_delta: "-12", i1: "de_inferno", i10: "0", i18: "11 / 13" },
+      { matchId: "m2", date: 1_700_000_100_000, elo: "n/a" }
+    ], "p1"), [{ date: 1_700_000_000_000, elo: 1990, matchId: "m1", eloDiff: -12, map: "de_inferno", score: "11 / 13", result: "L" }]);
+    assert.ok(schema.warnings.some(w => w.field === "elo" && w.issue === "invalid"), "unparseable ELO values are reported");
+    const details = schema.parseMatchDetails({ match_id: "m1", teams: { faction1: { name: "A", type: "", roster: [], stats: { rating: "2010" } }, faction2: { name: "B", roster: [] } } }, "m1");
+    assert.equal(details.teams.faction1.averageElo, 2010);
+    assert.equal(details.teams.faction2.averageElo, null, "a missing team rating is not an error");
+    assert.equal(details.teams.faction1.premade, false, "an empty team type means no premade");
+    assert.equal(details.teams.faction2.premade, null, "a missing team type stays unknown");
+    const roundStats = { Score: "13 / 9", Map: "de_nuke" };
+    assert.equal(schema.parseMatchStats({ rounds: [{ round_stats: roundStats }] }, "m1"), null, "stats without teams are not cached");
+    assert.equal(schema.parseMatchStats({ rounds: [{ round_stats: roundStats, teams: [] }] }, "m1"), null);
+    assert.equal(schema.parseMatchStats({ rounds: [{ round_stats: roundStats, teams: [{ players: [] }] }] }, "m1"), null);
+    assert.ok(schema.warnings.some(w => w.field === "rounds[0].teams" && w.issue === "missing"));
+    assert.deepEqual(schema.parseLifetimeStats({ lifetime: { "Win Rate %": "54", Matches: "1,204" } }, "p1"), { winrate: 54, matches: 1204 });
+  } finally {
+    console.warn = originalSchemaWarn;
+    schema.reset();
+  }
+
+  // Atomic writes: a corrupt file falls back to its last-known-good copy.
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-state-"));
+  const originalStateWarn = console.warn;
+  const originalStateError = console.error;
+  const stateLog = [];
+  console.warn = message => stateLog.push(message);
+  console.error = message => stateLog.push(message);
+  try {
+    const stateFile = path.join(stateDir, "history-cache.json");
+    assert.deepEqual(readJson(stateFile, {}), {}, "missing files yield the fallback");
+    writeJsonAtomic(stateFile, { run: 1 });
+    assert.equal(fs.existsSync(backupPath(stateFile)), false, "there is nothing to back up on the first write");
+    writeJsonAtomic(stateFile, { run: 2 });
+    assert.deepEqual(JSON.parse(fs.readFileSync(backupPath(stateFile), "utf-8")), { run: 1 });
+    assert.deepEqual(fs.readdirSync(stateDir).sort(), ["history-cache.json", "history-cache.json.bak"], "no temp files are left behind");
+
+    fs.writeFileSync(stateFile, '{"run": 3, "trunc');
+    assert.deepEqual(readJson(stateFile, {}), { run: 1 });
+    assert.match(stateLog.pop(), /history-cache\.json is unreadable, restored last-known-good copy/);
+    writeJsonAtomic(stateFile, { run: 4 });
+    assert.deepEqual(JSON.parse(fs.readFileSync(backupPath(stateFile), "utf-8")), { run: 1 }, "corrupt files never replace the backup");
+
+    assert.throws(() => writeJsonAtomic(stateFile, { run: 5n }), TypeError);
+    assert.deepEqual(readJson(stateFile, {}), { run: 4 }, "a failed write leaves the previous content intact");
+
+    fs.writeFileSync(stateFile, "");
+    fs.writeFileSync(backupPath(stateFile), "nope");
+    assert.deepEqual(readJson(stateFile, { empty: true }), { empty: true });
+    assert.match(stateLog.pop(), /history-cache\.json and its backup are unreadable/);
+  } finally {
+    console.warn = originalStateWarn;
+    console.error = originalStateError;
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  }
+
+  // Sharded match cache: one-time migration, dirty tracking and optional gzip.
+  const cacheRoot = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-cache-"));
+  const originalCacheLog = console.log;
+  console.log = () => {};
+  try {
+    const shardDir = path.join(cacheRoot, "match-cache");
+    const legacyFile = path.join(cacheRoot, "match_cache.json");
+    const legacyEntries = Object.fromEntries(Array.from({ length: 40 }, (_, i) => [`match-${i}`, { __mapName: "Mirage", __cachedAt: Date.now() }]));
+    fs.writeFileSync(legacyFile, JSON.stringify(legacyEntries));
+
+    const migrating = new Cache({ dir: shardDir, legacyFile, gzip: false });
+    assert.equal(migrating.get("match-7").__mapName, "Mirage", "legacy entries are readable right away");
+    const shardCount = new Set(Object.keys(legacyEntries).map(shardOf)).size;
+    assert.equal(migrating.save(), shardCount);
+    assert.equal(fs.existsSync(legacyFile), false, "the legacy file is removed once its entries are sharded");
+    assert.equal(migrating.save(), 0, "clean shards are not rewritten");
+
+    const reopened = new Cache({ dir: shardDir, legacyFile, gzip: false });
+    assert.equal(reopened.entries().length, 40);
+    reopened.set("match-new", { __mapName: "Nuke" });
+    assert.equal(reopened.save(), 1, "only the shard holding the new entry is written");
+    reopened.set("match-old", { __mapName: "Anubis" });
+    reopened.get("match-old").__cachedAt = 1;
+    reopened.save();
+    assert.equal(new Cache({ dir: shardDir, legacyFile }).get("match-old"), undefined, "expired entries are evicted");
+    const aging = new Cache({ dir: shardDir, legacyFile, gzip: false });
+    aging.set("match-aging", { __mapName: "Inferno" });
+    clock.freeze(aging.get("match-aging").__cachedAt + config.cache.maxAgeDays * 24 * 60 * 60 * 1000 + 1);
+    aging.save();
+    clock.unfreeze();
+    assert.equal(new Cache({ dir: shardDir, legacyFile }).get("match-aging"), undefined, "eviction follows the pipeline clock");
+
+    const compressed = new Cache({ dir: shardDir, legacyFile, gzip: true });
+    compressed.set("match-new", { __mapName: "Nuke" });
+    compressed.save();
+    const gzShard = path.join(shardDir, `${shardOf("match-new")}.json.gz`);
+    assert.equal(fs.existsSync(gzShard), true);
+    assert.equal(fs.existsSync(path.join(shardDir, `${shardOf("match-new")}.json`)), false, "the uncompressed copy is replaced");
+    assert.equal(new Cache({ dir: shardDir, legacyFile, gzip: false }).get("match-new").__mapName, "Nuke", "gzip shards stay readable without the flag");
+  } finally {
+    console.log = originalCacheLog;
+    fs.rmSync(cacheRoot, { recursive: true, force: true });
+  }
+
+  // Cache maintenance: shape checks, orphan detection and per-player stats.
+  const validEntry = { p1: { Kills: "20", Deaths: "10", __rounds: 24, nickname: "One" }, __mapName: "Mirage", __score: "13 / 11", __cachedAt: 1_700_000_000_000 };
+  const strangerEntry = { p9: { Kills: "5", Deaths: "9", __rounds: 16, nickname: "Nine" }, __mapName: "Nuke", __score: "13 / 3", __cachedAt: 1_600_000_000_000 };
+  const placeholderEntry = { __mapName: "Unknown" };
+  const maintenanceEntries = [["m-valid", validEntry], ["m-stranger", strangerEntry], ["m-placeholder", placeholderEntry]];
+  assert.deepEqual(maintenance.verifyMatchEntry(validEntry), []);
+  assert.deepEqual(maintenance.verifyMatchEntry({ ...validEntry, __score: "13-11", p1: { Kills: "3", __rounds: 0 } }), [
+    "__score invalid (13-11)", "p1: __rounds missing", "p1: Deaths missing"
+  ]);
+  assert.deepEqual(maintenance.verifyMatchEntry({ ...validEntry, __teamElo: { faction1: 2100, faction2: 1900 }, __teams: null }), []);
+  assert.deepEqual(maintenance.verifyMatchEntry({ ...validEntry, __teamElo: { faction1: "n/a" }, __teams: ["A"] }), ["__teams invalid", "__teamElo invalid"]);
+  assert.ok(maintenance.verifyMatchEntry(placeholderEntry).includes("placeholder without player stats"));
+  assert.equal(maintenance.isPlaceholder(placeholderEntry), true);
+  assert.deepEqual(maintenance.findOrphanMatches(maintenanceEntries, ["p1"]), ["m-stranger"], "placeholders are left to refetch");
+  assert.deepEqual(maintenance.findOrphanHistories({ p1: [], p2: [] }, ["p1"]), ["p2"]);
+  const cacheSummary = maintenance.summarizeCaches(maintenanceEntries, [{ id: "p1", name: "One" }], { p1: [{}, {}], p2: [{}] });
+  assert.deepEqual(cacheSummary.matches, { entries: 3, placeholders: 1, oldestCachedAt: 1_600_000_000_000, newestCachedAt: 1_700_000_000_000 });
+  assert.deepEqual(cacheSummary.history, { players: 2, points: 3 });
+  assert.deepEqual(cacheSummary.perPlayer, [{ id: "p1", name: "One", matches: 1, eloPoints: 2 }]);
+
+  // Retry queue: failed match lookups back off exponentially and survive between runs.
+  const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-queue-"));
+  const originalQueueWarn = console.warn;
+  console.warn = () => {};
+  try {
+    const hour = 60 * 60 * 1000;
+    let queueNow = 1_700_000_000_000;
+    const queueFile = path.join(queueDir, "retry-queue.json");
+    const queue = new RetryQueue({ file: queueFile, now: () => queueNow });
+    queue.recordFailure("m1", "p1");
+    queue.addPlayer("m1", "p2");
+    assert.equal(queue.isWaiting("m1"), true);
+    assert.deepEqual(queue.due(), []);
+    queueNow += hour;
+    assert.deepEqual(queue.due(), ["m1"], "the first retry is due after an hour");
+    queue.recordFailure("m1");
+    assert.equal(queue.entries.m1.nextAttemptAt - queueNow, 2 * hour, "the delay doubles per attempt");
+    queue.save();
+
+    const nextRun = new RetryQueue({ file: queueFile, now: () => queueNow + 2 * hour }).load();
+    assert.deepEqual(nextRun.due(), ["m1"]);
+    assert.deepEqual(nextRun.resolve("m1"), ["p1", "p2"], "resolving returns the players to recompute");
+    assert.equal(nextRun.size, 0);
+    assert.equal(nextRun.resolved, 1);
+
+    for (let attempt = 0; attempt < 10; attempt++) nextRun.recordFailure("m2");
+    assert.equal(nextRun.entries.m2, undefined, "hopeless matches are dropped after the last attempt");
+    assert.equal(nextRun.gaveUp, 1);
+
+    clock.freeze(queueNow);
+    const clocked = new RetryQueue({ file: queueFile });
+    clocked.recordFailure("m3", "p1");
+    assert.equal(clocked.entries.m3.firstFailedAt, queueNow, "the queue follows the pipeline clock by default");
+    clock.freeze(queueNow + hour);
+    assert.deepEqual(clocked.due(), ["m3"]);
+    clock.unfreeze();
+  } finally {
+    console.warn = originalQueueWarn;
+    fs.rmSync(queueDir, { recursive: true, force: true });
+  }
+
+  // ELO ledger: append-only baselines; the latest record per period wins.
+  const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-ledger-"));
+  const originalLedgerWarn = console.warn;
+  const ledgerWarnings = [];
+  console.warn = message => ledgerWarnings.push(message);
+  try {
+    const ledgerFile = path.join(ledgerDir, "elo-ledger.jsonl");
+    const ledger = new EloLedger({ file: ledgerFile }).load();
+    const at = new Date("2026-03-02T06:00:00Z");
+    ledger.append({ range: "daily", period: "2026-03-01", playerId: "p1", elo: 2000, reason: "history" }, at);
+    ledger.append({ range: "daily", period: "2026-03-02", playerId: "p1", elo: 2025, reason: "current" }, at);
+    ledger.append({ range: "monthly", period: "2026-03-01", playerId: "p1", elo: 1990, reason: "import" }, at);
+    ledger.append({ range: "daily", period: "2026-03-02", playerId: "p2", elo: 1500, reason: "current" }, at);
+    ledger.append({ range: "daily", period: "2026-03-02", playerId: "p2", elo: 1490, reason: "inactive-correction" }, at);
+    assert.throws(() => ledger.append({ range: "hourly", period: "2026-03-02", playerId: "p1", elo: 1 }), /Unknown ledger range/);
+
+    // A crash mid-append leaves a partial line that is skipped and never merged with the next record.
+    fs.appendFileSync(ledgerFile, '{"range":"daily","per');
+    const reloaded = new EloLedger({ file: ledgerFile }).load();
+    assert.equal(reloaded.records.length, 5);
+    assert.match(ledgerWarnings.pop(), /skipping unreadable line 6/);
+    reloaded.append({ range: "weekly", period: "2026-03-02", playerId: "p1", elo: 2025, reason: "history" }, at);
+    assert.equal(new EloLedger({ file: ledgerFile }).load().records.length, 6);
+    assert.equal(fs.readFileSync(ledgerFile, "utf-8").split("\n").filter(Boolean).length, 7, "earlier lines are never rewritten");
+
+    assert.deepEqual(reloaded.snapshot("daily", "2026-03-02"), [{ playerId: "p1", elo: 2025 }, { playerId: "p2", elo: 1490 }]);
+    assert.equal(reloaded.latest("daily", "2026-03-02", "p2").reason, "inactive-correction");
+    assert.equal(reloaded.eloAt("p1", "2026-03-01").elo, 2000, "daily beats monthly for the same start date");
+    assert.equal(reloaded.eloAt("p1", "2026-03-15").record.period, "2026-03-02");
+    assert.equal(reloaded.eloAt("p1", "2026-02-28"), null);
+
+    const inMemory = new EloLedger({ file: path.join(ledgerDir, "replay.jsonl"), persist: false }).load();
+    clock.freeze(Date.UTC(2026, 2, 2, 6));
+    const replayed = inMemory.append({ range: "daily", period: "2026-03-02", playerId: "p1", elo: 2025, reason: "current" });
+    clock.unfreeze();
+    assert.equal(replayed.recordedAt, "2026-03-02T06:00:00.000Z", "records are stamped with the pipeline clock");
+    assert.equal(fs.existsSync(path.join(ledgerDir, "replay.jsonl")), false, "replays never touch the ledger file");
+  } finally {
+    console.warn = originalLedgerWarn;
+    fs.rmSync(ledgerDir, { recursive: true, force: true });
+  }
+
+  // Calendar: timezone, week start and reset hour from dashboard.config.json.
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-config-"));
+  try {
+    const configFile = path.join(configDir, "dashboard.config.json");
+    const defaults = loadConfig(configFile, {});
+    assert.deepEqual(defaults.time, { timezone: "Europe/Berlin", weekStart: 1, resetHour: 0 }, "defaults without a config file");
+    assert.equal(defaults.api.requestTimeoutMs, 15000);
+    assert.deepEqual(defaults.roles.fragger, { adr: 82, kd: 1.08 });
+    assert.equal(defaults.analysis.equalEloMargin, 50);
+    assert.deepEqual(defaults.api, { requestTimeoutMs: 15000, concurrency: 5, rateLimit: 8, playerConcurrency: 4, eloBackfillUntil: null, teamBackfillPerRun: 100, matchFetchPerRun: 500 });
+    assert.equal(defaults.analysis.seasonStart, null);
+    assert.equal(defaults.analysis.seasonMatchLimit, 1000);
+    assert.equal(defaults.cache.gzip, false);
+    assert.equal(defaults.cache.eloHistoryDays, 1095);
+    assert.throws(() => loadConfig(configFile, { DASHBOARD_CACHE_ELO_HISTORY_DAYS: "30" }), /Invalid cache\.eloHistoryDays/, "shorter than a year would break yearly trends");
+    fs.writeFileSync(configFile, JSON.stringify({ time: { timezone: "America/New_York", resetHour: 6 }, roles: { opener: { entrySuccess: 60 } } }));
+    const custom = loadConfig(configFile, {});
+    assert.deepEqual(custom.time, { timezone: "America/New_York", weekStart: 1, resetHour: 6 });
+    assert.deepEqual(custom.roles.opener, { entryAttemptsPerRound: 0.016, entrySuccess: 60 }, "role thresholds merge per value");
+
+    // Environment variables beat the file.
+    const env = { DASHBOARD_TIME_RESET_HOUR: "4", DASHBOARD_ANALYSIS_PERIODS: "20, 50, season", DASHBOARD_CREW_NAME: "Fork" };
+    const overridden = loadConfig(configFile, env);
+    assert.equal(overridden.time.resetHour, 4);
+    assert.deepEqual(overridden.analysis.periods, [20, 50, "season"]);
+    assert.equal(overridden.crew.name, "Fork");
+    assert.equal(envName("roles.opener.entryAttemptsPerRound"), "DASHBOARD_ROLES_OPENER_ENTRY_ATTEMPTS_PER_ROUND");
+    const tuned = loadConfig(configFile, {
+      DASHBOARD_API_CONCURRENCY: "2",
+      DASHBOARD_API_RATE_LIMIT: "0.5",
+      DASHBOARD_CACHE_GZIP: "1",
+      DASHBOARD_ANALYSIS_SEASON_START: "2026-07-01",
+      DASHBOARD_API_ELO_BACKFILL_UNTIL: "2023-09-27"
+    });
+    assert.equal(tuned.api.concurrency, 2);
+    assert.equal(tuned.api.rateLimit, 0.5);
+    assert.equal(tuned.cache.gzip, true, "switches accept 1/0 and true/false");
+    assert.equal(tuned.analysis.seasonStart, "2026-07-01");
+    assert.equal(tuned.api.eloBackfillUntil, "2023-09-27");
+    assert.throws(() => loadConfig(configFile, { DASHBOARD_CACHE_GZIP: "yes" }), /Invalid cache\.gzip from DASHBOARD_CACHE_GZIP/);
+    assert.throws(() => loadConfig(configFile, { DASHBOARD_ANALYSIS_SEASON_START: "2026-13-01" }), /Invalid analysis\.seasonStart/);
+    assert.throws(() => loadConfig(configFile, { DASHBOARD_API_RATE_LIMIT: "0" }), /Invalid api\.rateLimit/);
+    assert.throws(() => loadConfig(configFile, { DASHBOARD_API_REQUEST_TIMEOUT_MS: "soon" }), /Invalid api\.requestTimeoutMs from DASHBOARD_API_REQUEST_TIMEOUT_MS/);
+    assert.throws(() => loadConfig(configFile, { DASHBOARD_ANALYSIS_PERIODS: "season" }), /at least one match count/);
+    assert.throws(() => loadConfig(configFile, { DASHBOARD_FRESHNESS_AGING_HOURS: "100" }), /greater than freshness\.freshHours/);
+
+    fs.writeFileSync(configFile, JSON.stringify({ time: { timezone: "Mars/Olympus" } }));
+    assert.throws(() => loadConfig(configFile, {}), /Invalid time\.timezone from dashboard\.config\.json/);
+    fs.writeFileSync(configFile, JSON.stringify({ time: { weekStart: 0 } }));
+    assert.throws(() => loadConfig(configFile, {}), /Invalid time\.weekStart/);
+    // Per-match role thresholds of older configs are converted to per round.
+    const roleWarnings = [];
+    const warnBeforeRoles = console.warn;
+    console.warn = message => roleWarnings.push(message);
+    try {
+      fs.writeFileSync(configFile, JSON.stringify({ roles: { opener: { entryAttemptsPerMatch: 0.44 }, support: { utilityPerMatch: 88 } } }));
+      const legacyRoles = loadConfig(configFile, { DASHBOARD_ROLES_CLOSER_CLUTCHES_PER_MATCH: "0.22" });
+      assert.equal(legacyRoles.roles.opener.entryAttemptsPerRound, 0.02);
+      assert.equal(legacyRoles.roles.support.utilityPerRound, 4);
+      assert.equal(legacyRoles.roles.closer.clutchesPerRound, 0.01, "old variables are converted too");
+      assert.match(roleWarnings.join("\n"), /"roles\.opener\.entryAttemptsPerMatch" is deprecated, using roles\.opener\.entryAttemptsPerRound = 0\.02/);
+      assert.match(roleWarnings.join("\n"), /DASHBOARD_ROLES_CLOSER_CLUTCHES_PER_MATCH is deprecated, using DASHBOARD_ROLES_CLOSER_CLUTCHES_PER_ROUND/);
+      fs.writeFileSync(configFile, JSON.stringify({ roles: { closer: { clutchesPerMatch: 0.1, clutchesPerRound: 0.01 } } }));
+      assert.throws(() => loadConfig(configFile, {}), /"roles\.closer\.clutchesPerMatch" was replaced by "roles\.closer\.clutchesPerRound"/);
+    } finally {
+      console.warn = warnBeforeRoles;
+    }
+    fs.writeFileSync(configFile, JSON.stringify({ cache: { maxAgeDay: 10 } }));
+    assert.throws(() => loadConfig(configFile, {}), /unknown setting "cache\.maxAgeDay"/);
+    fs.writeFileSync(configFile, "{ nope");
+    assert.throws(() => loadConfig(configFile, {}), /not valid JSON/);
+
+    // Squads: validated as a list, defaulting to one squad built from crew and files.
+    assert.deepEqual(squads.resolveSquads(defaults), [{ id: "main", name: "Uebertr1eber", players: "players.json", output: "index.html" }]);
+    const mainList = path.join(configDir, "main.txt");
+    const academyList = path.join(configDir, "academy.txt");
+    fs.writeFileSync(mainList, "p1 # One\np2 // Two\n\n# retired\n");
+    fs.writeFileSync(academyList, "p2\np3\np3\n");
+    fs.writeFileSync(configFile, JSON.stringify({ squads: [
+      { id: "main", name: "Main", players: mainList, discordWebhookEnv: "MAIN_HOOK" },
+      { id: "academy", name: "Academy", players: academyList, output: "academy/index.html", discordChannelId: "42" }
+    ] }));
+    const squadConfig = loadConfig(configFile, {});
+    const resolved = squads.resolveSquads(squadConfig);
+    assert.deepEqual(resolved.map(squad => squad.output), ["main.html", "academy/index.html"]);
+    const originalLog = console.log;
+    console.log = () => {};
+    const { rosters, playerIds } = squads.loadRosters(resolved);
+    console.log = originalLog;
+    assert.deepEqual(rosters.get("main"), [{ id: "p1", nickname: "One" }, { id: "p2", nickname: "Two" }], "old text lists are migrated");
+    assert.deepEqual(rosters.get("academy").map(entry => entry.id), ["p2", "p3"], "duplicate lines count once");
+    assert.equal(fs.existsSync(path.join(configDir, "academy.json")), true);
+    assert.deepEqual(playerIds, ["p1", "p2", "p3"], "shared players are fetched once");
+    const invalidSquads = [
+      [{ squads: {} }, /Invalid squads from dashboard\.config\.json: expected a list/],
+      [{ squads: [{ id: "Main", name: "M", players: "a.txt" }] }, /squads\[0\]\.id: expected a lowercase slug/],
+      [{ squads: [{ id: "a", name: "A", players: "a.txt" }, { id: "a", name: "B", players: "b.txt" }] }, /"a" is used twice/],
+      [{ squads: [{ id: "a", name: "A" }] }, /squads\[0\]\.players: expected a non-empty string/],
+      [{ squads: [{ id: "a", name: "A", players: "a.txt", channel: "1" }] }, /unknown key "channel"/],
+      [{ squads: [{ id: "a", name: "A", players: "a.txt" }, { id: "b", name: "B", players: "b.txt", output: "index.html" }] }, /"index\.html" is already used/]
+    ];
+    for (const [settings, message] of invalidSquads) {
+      fs.writeFileSync(configFile, JSON.stringify(settings));
+      assert.throws(() => loadConfig(configFile, {}), message);
+    }
+
+    // Roster: structured entries, validated per field.
+    const rosterFile = path.join(configDir, "roster.json");
+    roster.saveRoster(rosterFile, [{ id: "p1", nickname: "One", alias: "Uno", role: "opener", joined: "2024-03-01", hidden: true, tags: ["IGL"] }]);
+    assert.deepEqual(roster.loadRoster(rosterFile)[0].tags, ["IGL"]);
+    assert.equal(JSON.parse(fs.readFileSync(rosterFile, "utf8")).version, 1);
+    const invalidEntries = [
+      [{ id: "p1", role: "awper" }, /players\[0\]: role: expected one of opener, closer, support, sharpshooter, fragger, allrounder/],
+      [{ id: "p1", joined: "01.03.2024" }, /joined: expected an ISO date/],
+      [{ id: "p1", hidden: "yes" }, /hidden: expected true or false/],
+      [{ id: "p1", tags: "IGL" }, /tags: expected a list/],
+      [{ id: "p1", comment: "x" }, /unknown key "comment"/],
+      [{ nickname: "x" }, /id: expected a FACEIT player ID/]
+    ];
+    for (const [entry, message] of invalidEntries) {
+      assert.throws(() => roster.parseRoster(JSON.stringify({ players: [entry] }), "roster.json"), message);
+    }
+    assert.throws(() => roster.parseRoster(JSON.stringify({ players: [{ id: "p1" }, { id: "p1" }] }), "roster.json"), /"p1" is listed twice/);
+    assert.throws(() => roster.parseRoster("[]", "roster.json"), /must contain a "players" list/);
+    assert.deepEqual(roster.parseLegacyList("p1 # One\n# old\np2\np1 # again\n"), [{ id: "p1", nickname: "One" }, { id: "p2" }]);
+    assert.equal(roster.rosterFiles("players.txt").rosterFile, "players.json", "configured text lists resolve to the JSON roster");
+    assert.throws(() => roster.loadRoster(path.join(configDir, "missing.json")), /missing\.json not found/);
+
+    // Renames keep the old nickname with the time they were noticed.
+    const renamed = { id: "p1", nickname: "old_name" };
+    assert.equal(roster.recordNickname(renamed, "old_name"), false);
+    assert.equal(roster.recordNickname(renamed, "new_name", new Date("2026-03-01T10:00:00Z")), true);
+    assert.deepEqual(renamed, { id: "p1", nickname: "new_name", previousNicknames: [{ nickname: "old_name", changedAt: "2026-03-01T10:00:00.000Z" }] });
+    const unnamed = { id: "p2" };
+    roster.recordNickname(unnamed, "first");
+    assert.deepEqual(unnamed, { id: "p2", nickname: "first" }, "a first nickname is not a rename");
+    assert.doesNotThrow(() => roster.parseRoster(JSON.stringify({ players: [renamed] }), "roster.json"));
+    assert.throws(() => roster.parseRoster(JSON.stringify({ players: [{ id: "p1", previousNicknames: [{ nickname: "x" }] }] }), "roster.json"), /previousNicknames: expected/);
+
+    // Notification targets: squad webhook variable, then squad channel via the bot, then the global credentials.
+    const originalEnv = { ...process.env };
+    try {
+      Object.assign(process.env, { DISCORD_WEBHOOK_URL: "", DISCORD_TOKEN: "bot-token", DISCORD_CHANNEL_ID: "7", MAIN_HOOK: "https://hook.test/main" });
+      const discord = new DiscordNotifier();
+      assert.deepEqual(discord.targetFor(resolved[0]), { webhookUrl: "https://hook.test/main", channelId: "" });
+      assert.deepEqual(discord.targetFor(resolved[1]), { webhookUrl: "", channelId: "42" });
+      assert.deepEqual(discord.targetFor(), { webhookUrl: "", channelId: "7" });
+      process.env.MAIN_HOOK = "";
+      assert.equal(discord.targetFor(resolved[0]), null, "an unset squad webhook never falls back to another channel");
+    } finally {
+      process.env = originalEnv;
+    }
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+
+  const roleMetrics = { entryAttemptsPerRound: 0.005, entrySuccess: 40, clutchesPerRound: 0.002, utilityPerRound: 1, hsPercent: 60, kd: 1.1, adr: 90 };
+  assert.equal(classifyRole(roleMetrics).key, "sharpshooter", "roles are checked in order");
+  assert.equal(classifyRole(roleMetrics, { ...config.roles, sharpshooter: { hsPercent: 65, kd: 1.05 } }).key, "fragger");
+  assert.equal(classifyRole({}).key, "allrounder");
+
+  const average = { rounds: 100, kills: 68, deaths: 68, damage: 7500, doubleKills: 12, tripleKills: 4, quadKills: 1, pentaKills: 0, entryWins: 10, clutches: 4 };
+  assert.equal(rating.computeRating(average), 1, "typical values rate 1.00");
+  assert.equal(rating.computeRating(rating.emptyTotals()), null, "no rounds, no rating");
+  const stomp = { rounds: 16, kills: 20, deaths: 8, adr: 110, doubleKills: 4, tripleKills: 1, entryWins: 3, clutches: 1 };
+  const overtime = { rounds: 36, kills: 20, deaths: 30, adr: 60, doubleKills: 2, entryWins: 2 };
+  const combined = [stomp, overtime].reduce(rating.addMatch, rating.emptyTotals());
+  assert.equal(combined.rounds, 52);
+  assert.equal(combined.damage, 110 * 16 + 60 * 36);
+  assert.ok(rating.computeRating(combined) < (rating.computeRating(rating.addMatch(rating.emptyTotals(), stomp)) + rating.computeRating(rating.addMatch(rating.emptyTotals(), overtime))) / 2,
+    "a period is weighted by rounds, so the long bad match counts for more");
+  assert.equal(rating.addMatch(rating.emptyTotals(), { kills: 10 }).kills, 0, "matches without rounds are skipped");
+
+  const { DateTime } = require("luxon");
+  const berlin = { timezone: "Europe/Berlin", weekStart: 1, resetHour: 0 };
+  const lateNight = { timezone: "Europe/Berlin", weekStart: 7, resetHour: 6 };
+  // Sunday 2026-03-08, 03:30 in Berlin
+  const sundayNight = DateTime.fromISO("2026-03-08T03:30", { zone: "Europe/Berlin" });
+  assert.equal(calendar.startOfPeriod("daily", sundayNight, berlin).toISO(), "2026-03-08T00:00:00.000+01:00");
+  assert.equal(calendar.startOfPeriod("weekly", sundayNight, berlin).toISODate(), "2026-03-02");
+  assert.equal(calendar.startOfPeriod("daily", sundayNight, lateNight).toISO(), "2026-03-07T06:00:00.000+01:00", "before the reset hour it is still Saturday");
+  assert.equal(calendar.startOfPeriod("weekly", sundayNight, lateNight).toISODate(), "2026-03-01", "weeks starting on Sunday");
+  assert.equal(calendar.startOfPeriod("monthly", DateTime.fromISO("2026-04-01T05:00", { zone: "Europe/Berlin" }), lateNight).toISODate(), "2026-03-01");
+  assert.equal(calendar.dayOf(sundayNight.toSeconds(), lateNight), "2026-03-07");
+  assert.equal(calendar.dayOf(sundayNight.toSeconds(), { ...berlin, timezone: "America/New_York" }), "2026-03-07");
+  assert.equal(calendar.formatDateTime(sundayNight.toSeconds(), berlin), "2026-03-08 03:30");
+  assert.equal(calendar.parseDate("2026-03-08", lateNight).toISO(), "2026-03-08T06:00:00.000+01:00");
+
+  // A full replay run renders into the fixture directory and leaves data/ and the pages byte-identical.
+  const repoRoot = path.resolve(__dirname, "..");
+  const liveFiles = () => {
+    const files = fs.readdirSync(repoRoot).filter(file => file.endsWith(".html"));
+    const walk = dir => fs.readdirSync(path.join(repoRoot, dir), { withFileTypes: true }).forEach(entry => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(file);
+      else files.push(file);
+    });
+    walk("data");
+    return Object.fromEntries(files.sort().map(file => [file, crypto.createHash("sha1").update(fs.readFileSync(path.join(repoRoot, file))).digest("hex")]));
+  };
+  const replayDir = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-replay-"));
+  try {
+    fs.mkdirSync(path.join(replayDir, "responses"));
+    fs.writeFileSync(path.join(replayDir, "manifest.json"), JSON.stringify({ recordedAt: "2026-03-01T12:00:00.000Z", now: Date.UTC(2026, 2, 1, 12) }));
+    const before = liveFiles();
+    const { FACEIT_RECORD_DIR: _record, ...replayEnv } = process.env;
+    const run = spawnSync(process.execPath, ["index.js"], { cwd: repoRoot, env: { ...replayEnv, FACEIT_REPLAY_DIR: replayDir }, encoding: "utf8", timeout: 120000 });
+    assert.equal(run.status, 0, run.stderr);
+    assert.deepEqual(liveFiles(), before, "a replay leaves data/ and the live pages untouched");
+    assert.ok(fs.existsSync(path.join(replayDir, "output", config.files.output)), "replay pages go to <fixture dir>/output");
+    assert.equal(readJson(path.join(replayDir, "output", "run-report.json"), {}).mode, "replay");
+    assert.ok(fs.existsSync(path.join(replayDir, "output", "dashboard.js")), "the page assets are copied next to the replay pages");
+  } finally {
+    fs.rmSync(replayDir, { recursive: true, force: true });
+  }
+
+  console.log("API layer tests passed.");
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
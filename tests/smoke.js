@@ -2,8 +2,11 @@ const assert = require("node:assert/strict");
 const fs = require("node:fs");
 const os = require("node:os");
 const path = require("node:path");
+const vm = require("node:vm");
 const renderer = require("../src/renderer");
+const runReport = require("../src/run_report");
 const stats = require("../src/stats");
+const config = require("../src/config");
 
 const root = path.resolve(__dirname, "..");
 const template = fs.readFileSync(path.join(root, "index.template.html"), "utf8");
@@ -52,17 +55,52 @@ assert.doesNotMatch(template, /id="synergy-grid"|Team-Synergien/);
 assert.equal(fs.statSync(path.join(root, "vendor", "chart.min.js")).size > 100000, true);
 assert.match(dashboardScript, /toMatchSeries/);
 assert.match(dashboardScript, /cubicInterpolationMode: "monotone"/);
-assert.match(dashboardScript, /matchAgeHours <= 7 \* 24/);
-assert.match(dashboardScript, /matchAgeHours <= 30 \* 24/);
+assert.match(dashboardScript, /matchAgeHours <= bands\.freshHours/);
+assert.match(dashboardScript, /matchAgeHours <= bands\.agingHours/);
 assert.match(dashboardCss, /\.data-status\.status-aging/);
 assert.match(dashboardCss, /\.data-status\.status-stale/);
-assert.match(dashboardScript, /max: state\.analysisPeriod/);
+assert.match(dashboardScript, /max: axisMax/);
 assert.match(dashboardScript, /periodData/);
 assert.match(dashboardScript, /updatePlayerPeriod/);
 assert.match(dashboardScript, /renderPeriodAwards/);
-assert.match(template, /data-analysis-period="30"/);
-assert.match(template, /data-analysis-period="60"/);
-assert.match(template, /data-analysis-period="100"/);
+assert.match(template, /INSERT_ANALYSIS_PERIODS/);
+assert.match(template, /INSERT_SQUAD_NAV[\s\S]*<h1 id="dashboard-title"><!-- INSERT_SQUAD_NAME --><\/h1>/);
+assert.doesNotMatch(template, /Uebertr1eber/, "the crew name comes from dashboard.config.json");
+assert.match(template, /data-val="days:14"/);
+assert.match(template, /data-val="season"/);
+assert.match(template, /data-val="custom"/);
+assert.match(template, /id="rangeFrom"[\s\S]*id="rangeTo"/);
+assert.match(dashboardScript, /window\.ELO_TIMELINES/);
+
+// Range trends, evaluated from dashboard.js itself: the helpers from the ELO timelines up to updateDiffs.
+const rangeSource = dashboardScript.slice(dashboardScript.indexOf("  const eloTimelines = "), dashboardScript.indexOf("  const updateDiffs = "));
+const rangeHelpers = (range, customRange = { from: "", to: "" }) => {
+  const context = vm.createContext({
+    window: { ELO_TIMELINES: { calendar: { timezone: "Europe/Berlin", weekStart: 1, resetHour: 0 }, seasonStart: "2026-02-01", players: { p1: [["2026-03-01", 2000], ["2026-03-10", 2050]] } } },
+    state: { range, customRange },
+    number: value => Number.parseFloat(value) || 0
+  });
+  // Friday, 2026-03-20, noon in Berlin
+  vm.runInContext(`Date.now = () => ${Date.UTC(2026, 2, 20, 11)};`, context);
+  return vm.runInContext(`${rangeSource}; ({ rangeBounds, eloOnDay, rangeDiff })`, context);
+};
+const rangeRow = { dataset: { playerId: "p1", elo: "2080" } };
+const { rangeBounds, eloOnDay } = rangeHelpers("daily");
+assert.deepEqual({ ...rangeBounds("weekly") }, { from: "2026-03-16", to: null });
+assert.deepEqual({ ...rangeBounds("monthly") }, { from: "2026-03-01", to: null });
+assert.deepEqual({ ...rangeBounds("yearly") }, { from: "2026-01-01", to: null });
+assert.deepEqual({ ...rangeBounds("season") }, { from: "2026-02-01", to: null });
+assert.deepEqual({ ...rangeBounds("days:14") }, { from: "2026-03-07", to: null });
+const timeline = [["2026-03-01", 2000], ["2026-03-10", 2050]];
+assert.equal(eloOnDay(timeline, "2026-03-09"), 2000);
+assert.equal(eloOnDay(timeline, "2026-03-10"), 2050);
+assert.equal(eloOnDay(timeline, "2026-02-01"), 2000, "before the timeline starts, its earliest value is the baseline");
+assert.equal(rangeHelpers("monthly").rangeDiff(rangeRow), 80, "open ranges end at the current ELO");
+assert.equal(rangeHelpers("custom", { from: "2026-03-05", to: "2026-03-12" }).rangeDiff(rangeRow), 50);
+assert.equal(rangeHelpers("weekly").rangeDiff(rangeRow), 0, "a stale timeline shows no trend for a range without games");
+assert.equal(rangeHelpers("custom", { from: "2026-03-11", to: "2026-03-12" }).rangeDiff(rangeRow), 0);
+assert.doesNotMatch(dashboardScript, /ELO_DATA/);
+assert.match(updaterScript, /dailyEloTimeline/);
 assert.match(template, /id="playerDeepDive"/);
 assert.match(template, /data-deep-tab="matches"/);
 assert.match(template, /data-deep-tab="maps"/);
@@ -77,11 +115,12 @@ assert.match(dashboardCss, /\.legacy-brand img\s*\{[^}]*width:\s*176%/);
 assert.match(dashboardCss, /\.ranking-table tbody\s*\{[^}]*display:\s*grid/);
 assert.match(dashboardCss, /\.ranking-table tbody\s*\{[^}]*grid-template-columns:\s*1fr/);
 assert.match(dashboardCss, /\.primary-nav\s*\{[^}]*left:\s*50%[^}]*translateX\(-50%\)/);
-assert.match(updaterScript, /ANALYSIS_PERIODS = \[30, 60, 100\]/);
+assert.deepEqual(config.analysis.periods, [30, 60, 100, 250, "season"]);
+assert.match(updaterScript, /ANALYSIS_PERIODS = config\.analysis\.periods/);
 assert.match(updaterScript, /periodStats/);
-assert.match(updaterScript, /slice\(-\(period \+ 1\)\)/);
-assert.match(apiScript, /Math\.min\(100/);
-assert.match(apiScript, /from=0&limit=/);
+assert.match(updaterScript, /slice\(-\(matchCount \+ 1\)\)/);
+assert.match(apiScript, /HISTORY_PAGE_SIZE = 100/);
+assert.match(apiScript, /offset=\$\{offset\}/);
 assert.match(dashboardScript, /matchTooltipCallbacks/);
 assert.match(dashboardScript, /Klicken, um das FACEIT-Match zu öffnen/);
 assert.match(dashboardScript, /renderComparisonMetrics/);
@@ -108,6 +147,7 @@ assert.doesNotMatch(dashboardCss, /backdrop-filter:/);
 assert.match(dashboardScript, /animation: false/);
 assert.match(dashboardScript, /data-teammate-page/);
 assert.match(dashboardScript, /insight\.type !== "map"/);
+assert.match(template, /class="footer-meta">[\s\S]*<!-- INSERT_DATA_HEALTH -->/);
 assert.match(template, /dashboard\.js\?v=<!-- INSERT_ASSET_VERSION -->/);
 assert.match(template, /dashboard\.css\?v=<!-- INSERT_ASSET_VERSION -->/);
 assert.match(dashboardScript, /flagcdn\.com/);
@@ -134,7 +174,7 @@ const templatePath = path.join(tempDir, "template.html");
 const outputPath = path.join(tempDir, "output.html");
 fs.writeFileSync(
   templatePath,
-  "<!-- INSERT_ELO_TABLE_HERE --><!-- INSERT_LAST_UPDATED --><!-- INSERT_PLAYER_COUNT --><!-- INSERT_AWARDS_SECTION --><!-- INSERT_HISTORY_DATA --><!-- INSERT_COMPARISON_DATA --><!-- INSERT_ASSET_VERSION -->"
+  "<!-- INSERT_ELO_TABLE_HERE --><!-- INSERT_LAST_UPDATED --><!-- INSERT_PLAYER_COUNT --><!-- INSERT_AWARDS_SECTION --><!-- INSERT_HISTORY_DATA --><!-- INSERT_COMPARISON_DATA --><!-- INSERT_ASSET_VERSION --><!-- INSERT_DATA_HEALTH --><title><!-- INSERT_CREW_NAME --> — FACEIT Team Dashboard</title><strong id=\"analysis-period-copy\"><!-- INSERT_ANALYSIS_PERIOD_LABEL --></strong><!-- INSERT_ANALYSIS_PERIODS --><!-- INSERT_SQUAD_NAV --><h1><!-- INSERT_SQUAD_NAME --></h1>"
 );
 
 const maliciousName = '<script>alert("xss")</script>';
@@ -152,7 +192,7 @@ renderer.render(templatePath, outputPath, {
     lastMatch: "2026-01-01 12:00",
     lastMatchTs: 1767265200,
     stats: {
-      recent: { kd: "1.00", kr: "0.70", kills: 100, deaths: 100, assists: 20, adr: "75.0", hsPercent: "50%", matches: 10 },
+      recent: { kd: "1.00", kr: "0.70", kills: 100, deaths: 100, assists: 20, adr: "75.0", hsPercent: "50%", matches: 10, rating: "1.04", winratePct: 60, winrateLower: 31, winrateUpper: 83, winrateMargin: 26 },
       teammates: [],
       streak: { count: 0, type: "none" },
       last5: ["W", "L", "W", "W", "L"],
@@ -161,8 +201,11 @@ renderer.render(templatePath, outputPath, {
     }
   }],
   lastUpdated: "2026-01-01 12:00",
-  historyData: { daily: [] },
-  awards: {}
+  eloTimelines: { calendar: { timezone: "Europe/Berlin", weekStart: 1, resetHour: 0 }, seasonStart: "2026-01-01", players: { "player-1": [["2025-12-31", 1480], ["2026-01-01", 1500]] } },
+  awards: {},
+  crewName: "Crew <One>",
+  freshness: stats.getFreshnessBands(),
+  dataHealth: { status: "degraded", label: "1/2 Spieler aktuell", details: ["1 Spieler fehlgeschlagen", "<b>"] }
 });
 
 const rendered = fs.readFileSync(outputPath, "utf8");
@@ -175,10 +218,24 @@ assert.match(rendered, /class="ranking-card"/);
 assert.match(rendered, /flagcdn\.com\/24x18\/de\.png/);
 assert.doesNotMatch(rendered, />DE<\/span>/);
 assert.match(rendered, /data-card-stat="form"/);
+assert.match(rendered, /data-rating="1.04"/);
+assert.match(rendered, /title="95%-Intervall 31–83 %"><small>Winrate<\/small><strong data-card-stat="winrate">60%</);
+assert.match(rendered, /data-card-stat="rating"[^>]*>1\.04</);
 assert.match(rendered, /"periods":\{"30":/);
 assert.doesNotMatch(rendered, /"matchHistory":/);
 assert.doesNotMatch(rendered, /Ansicht teilen|data-share-player/);
 assert.doesNotMatch(rendered, /INSERT_ASSET_VERSION/);
+assert.match(rendered, /class="data-health data-health-degraded"/);
+assert.match(rendered, /<title>Crew &lt;One&gt; — FACEIT Team Dashboard<\/title>/);
+assert.match(rendered, /<h1>Crew &lt;One&gt;<\/h1>/, "a single squad is headed by the crew name");
+assert.doesNotMatch(rendered, /squad-nav|INSERT_SQUAD/);
+assert.doesNotMatch(rendered, /INSERT_CREW_NAME|INSERT_ANALYSIS_PERIOD/);
+assert.match(rendered, /data-analysis-period="30" aria-pressed="true">30<\/button>/);
+assert.match(rendered, /data-analysis-period="100" aria-pressed="false">100<\/button>/);
+assert.match(rendered, /id="analysis-period-copy">Letzte 30 Matches</);
+assert.match(rendered, /"freshness":\{"freshHours":168,"agingHours":720,"labels":\{"fresh":"Match innerhalb 1 Woche","aging":"Match älter als 1 Woche","stale":"Match älter als 1 Monat"\}\}/);
+assert.match(rendered, /window\.ELO_TIMELINES = \{"calendar":\{"timezone":"Europe\/Berlin","weekStart":1,"resetHour":0\},"seasonStart":"2026-01-01","players":\{"player-1":\[\["2025-12-31",1480\]/);
+assert.match(rendered, /Datenqualität: 1\/2 Spieler aktuell · <a href="data\/run-report\.json"[^>]*>1 Spieler fehlgeschlagen · &lt;b&gt;<\/a>/);
 const playerDetailPath = path.join(tempDir, "data", "players", "player-1.json");
 assert.equal(fs.existsSync(playerDetailPath), true);
 const playerDetail = JSON.parse(fs.readFileSync(playerDetailPath, "utf8"));
@@ -186,8 +243,117 @@ assert.equal(playerDetail.profile.id, "player-1");
 assert.ok(Array.isArray(playerDetail.matches));
 assert.ok(playerDetail.periods["100"]);
 assert.ok(playerDetail.periods["100"].performanceProfile);
+const renderSamePlayers = lastUpdated => renderer.render(templatePath, outputPath, {
+  players: [{ playerId: "player-1", nickname: "One", elo: 1500, stats: { recent: {}, eloHistory: [] } }],
+  lastUpdated,
+  eloTimelines: { calendar: { timezone: "Europe/Berlin", weekStart: 1, resetHour: 0 }, seasonStart: "2026-01-01", players: {} },
+  awards: {}
+});
+renderSamePlayers("2026-01-01 12:00");
+renderSamePlayers("2026-01-01 12:30");
+assert.equal(
+  JSON.parse(fs.readFileSync(playerDetailPath, "utf8")).lastUpdated,
+  "2026-01-01 12:00",
+  "detail files are only rewritten when more than the timestamp changed"
+);
+assert.doesNotMatch(fs.readFileSync(outputPath, "utf8"), /data-health|INSERT_DATA_HEALTH/, "the footer line is omitted without a run report");
+
+// Squads: each page links the others and the shared index lists them all.
+const squadList = [
+  { id: "main", name: "Main", output: path.join(tempDir, "main.html") },
+  { id: "academy", name: "Academy <2>", output: path.join(tempDir, "academy.html") }
+];
+const squadPlayers = [
+  { playerId: "player-1", nickname: "One", elo: 2100, stats: { recent: {}, eloHistory: [] } },
+  { playerId: "player-2", nickname: "Two", elo: 1700, stats: { recent: {}, eloHistory: [] } }
+];
+renderer.render(templatePath, squadList[1].output, {
+  players: [squadPlayers[1]],
+  allPlayers: squadPlayers,
+  lastUpdated: "2026-01-01 12:00",
+  eloTimelines: { calendar: { timezone: "Europe/Berlin", weekStart: 1, resetHour: 0 }, seasonStart: "2026-01-01", players: {} },
+  awards: {},
+  crewName: "Crew",
+  squad: squadList[1],
+  squads: squadList,
+  indexPage: outputPath
+});
+const squadPage = fs.readFileSync(squadList[1].output, "utf8");
+assert.doesNotMatch(squadPage, /declared-role/, "players without roster metadata render as before");
+assert.match(squadPage, /<h1>Academy &lt;2&gt;<\/h1>/);
+assert.match(squadPage, /<nav class="squad-nav" aria-label="Squads"><a href="output\.html">Übersicht<\/a><a href="main\.html">Main<\/a><a href="academy\.html" aria-current="page">/);
+
+// Roster metadata: alias as display name, declared role compared with the computed one.
+const rosterCard = renderer.renderRankingCard({
+  playerId: "player-3",
+  nickname: "faceit_nick",
+  elo: 1800,
+  roster: { id: "player-3", nickname: "faceit_nick", alias: "Captain", role: "support", joined: "2024-03-01", tags: ["IGL"] },
+  stats: { recent: { kd: "1.30", adr: "95.0", hsPercent: "40%" }, last5: [] }
+});
+assert.match(rosterCard, /data-nickname="Captain" data-faceit-nickname="faceit_nick"/);
+assert.match(rosterCard, /title="FACEIT: faceit_nick">Captain<\/a>/);
+assert.match(rosterCard, /<span data-card-role>Fragger<\/span><span class="declared-role role-mismatch" data-declared-role="support"[^>]*>Team: Support<\/span>/);
+const matchingRoleCard = renderer.renderRankingCard({ playerId: "player-4", nickname: "four", elo: 1, roster: { id: "player-4", role: "allrounder" }, stats: { recent: {}, last5: [] } });
+assert.match(matchingRoleCard, /class="declared-role" data-declared-role="allrounder"/);
+assert.match(dashboardScript, /row\.dataset\.faceitNickname/, "search also matches the FACEIT nickname");
+const renamedCard = renderer.renderRankingCard({
+  playerId: "player-5",
+  nickname: "now",
+  elo: 1,
+  roster: { id: "player-5", nickname: "now", previousNicknames: [{ nickname: "first", changedAt: "2025-01-01T00:00:00Z" }, { nickname: "now", changedAt: "2025-06-01T00:00:00Z" }, { nickname: "second", changedAt: "2026-01-01T00:00:00Z" }] },
+  stats: { recent: {}, last5: [] }
+});
+assert.match(renamedCard, /data-former-nicknames="second\|first"/, "former nicknames newest first, without the current one");
+assert.match(dashboardScript, /row\.dataset\.formerNicknames/, "search also matches former nicknames");
+assert.match(dashboardScript, /früher bekannt als/);
+assert.match(dashboardScript, /row\.dataset\.rating/, "cards can be sorted by rating");
+assert.match(dashboardScript, /ELO-Erwartung/);
+assert.match(template, /data-deep-tab="opponents"/);
+assert.match(dashboardScript, /state\.deepDive\.tab === "opponents"\) renderDeepOpponents/);
+assert.match(dashboardScript, /<th title="Erwartete Siegchance[^"]*">Chance<\/th>/);
+const squadIndexPath = path.join(tempDir, "index.html");
+renderer.renderSquadIndex(path.join(__dirname, "..", "squads.template.html"), squadIndexPath, {
+  crewName: "Crew",
+  lastUpdated: "2026-01-01 12:00",
+  squads: [{ ...squadList[0], players: squadPlayers }, { ...squadList[1], players: [] }]
+});
+const squadIndex = fs.readFileSync(squadIndexPath, "utf8");
+assert.doesNotMatch(squadIndex, /INSERT_/);
+assert.match(squadIndex, /<a class="squad-card" href="main\.html">/);
+assert.match(squadIndex, /<dt>Ø ELO<\/dt><dd>1900<\/dd>/);
+assert.match(squadIndex, /<dt>Top<\/dt><dd>One · 2100<\/dd>/);
+assert.match(squadIndex, /Academy &lt;2&gt;[\s\S]*<dt>Spieler<\/dt><dd>0<\/dd>/, "an empty squad still gets a card");
 fs.rmSync(tempDir, { recursive: true, force: true });
 
+// Run report: per-player outcome plus a footer summary that flags degraded data.
+const okEntry = { ...runReport.createPlayerEntry("p1"), nickname: "One", status: "ok", eloHistory: { source: "merged", points: 120 } };
+const staleEntry = { ...runReport.createPlayerEntry("p2"), nickname: "Two", status: "ok", eloHistory: { source: "cached", points: 80 }, placeholderMatches: ["m1", "m2"], pendingMatches: ["m3", "m4", "m5"] };
+const unchangedEntry = { ...runReport.createPlayerEntry("p3"), status: "unchanged", eloHistory: { source: "cached", points: 50 } };
+const failedEntry = { ...runReport.createPlayerEntry("p4"), reason: "exception", error: "boom" };
+const reportInput = {
+  mode: "live",
+  startedAt: Date.UTC(2026, 0, 1),
+  durationMs: 1234.4,
+  apiMetrics: { requests: 40, cacheHits: 10, retries: 1, failures: 0 },
+  schemaWarnings: []
+};
+const report = runReport.buildRunReport({ ...reportInput, players: [okEntry, staleEntry, unchangedEntry, failedEntry] });
+assert.equal(report.startedAt, "2026-01-01T00:00:00.000Z");
+assert.equal(report.durationMs, 1234);
+assert.deepEqual(report.summary, {
+  players: 4, ok: 2, unchanged: 1, failed: 1, placeholderMatches: 2, pendingMatches: 3,
+  eloHistorySources: { fresh: 0, merged: 1, cached: 2 }, schemaWarnings: 0, missingFixtures: 0
+});
+assert.equal(report.players[3].error, "boom");
+assert.deepEqual(runReport.summarizeHealth(report), {
+  status: "degraded",
+  label: "3/4 Spieler aktuell",
+  details: ["1 Spieler fehlgeschlagen", "2 Matches ohne Statistik", "3 Matches folgen in späteren Läufen", "1× ELO-Verlauf nur aus Cache"]
+});
+assert.equal(runReport.summarizeHealth(runReport.buildRunReport({ ...reportInput, players: [okEntry, unchangedEntry] })).status, "ok");
+assert.equal(runReport.summarizeHealth(runReport.buildRunReport({ ...reportInput, players: [failedEntry] })).status, "failed");
+
 const normalizedStats = stats.calculatePlayerStats("player-1", [], {}, [
   { date: 1767265200000, i20: "1480" },
   { date: 1767268800, elo: "1500", elo_delta: "20" },
@@ -241,6 +407,71 @@ assert.equal(analyzedStats.recent.clutches, 1);
 assert.equal(analyzedStats.matchHistory[0].tripleKills, 1);
 assert.equal(analyzedStats.mapPerformance[0].adr, "88.0");
 assert.equal(analyzedStats.mapPerformance[0].entrySuccess, 63);
+// Round-weighted: 92 ADR over 21 rounds and 84 over 23 is 87.8, not the per-match mean of 88.0
+assert.equal(analyzedStats.recent.roundAdr, "87.8");
+assert.equal(analyzedStats.mapPerformance[0].roundAdr, "87.8");
+assert.equal(analyzedStats.recent.kr, "0.86");
+assert.equal(analyzedStats.recent.dpr, "0.50");
+assert.equal(analyzedStats.mapPerformance[0].multikillsPerRound, "0.09");
+assert.equal(analyzedStats.mapPerformance[0].utilityPerRound, "2.8");
+assert.equal(analyzedStats.recent.clutchesPerRound, "0.023");
+assert.equal(analyzedStats.performanceProfile.entryAttemptsPerRound, 0.182);
+// Wilson interval: 2 wins from 2 matches is anything from 34% to 100%
+assert.deepEqual(
+  [analyzedStats.mapPerformance[0].winrateLower, analyzedStats.mapPerformance[0].winrateUpper, analyzedStats.mapPerformance[0].winrateMargin],
+  [34, 100, 33]
+);
+assert.equal(analyzedStats.recent.winrateLower, 34);
+assert.equal(analyzedStats.teammates[0].winrateMargin, 33);
+assert.match(analyzedStats.insights.find(item => item.type === "map").text, /100% \(34–100\) Winrate/);
+assert.doesNotMatch(dashboardScript, /% ±\$\{/, "the asymmetric interval is shown as bounds, never as ±");
+
+// Best map ranks by the lower bound: 14 of 20 on Inferno beats 2 of 2 on Nuke.
+const mapMatches = [...Array(20).keys()].map(index => ({ id: `inferno-${index}`, map: "Inferno", win: index < 14 }))
+  .concat([{ id: "nuke-0", map: "Nuke", win: true }, { id: "nuke-1", map: "Nuke", win: true }]);
+const rankedMapStats = stats.calculatePlayerStats(
+  "player-1",
+  mapMatches.map(match => ({ match_id: match.id, results: { winner: match.win ? "faction1" : "faction2" }, teams: { faction1: { players: [{ player_id: "player-1" }] } } })),
+  Object.fromEntries(mapMatches.map(match => [match.id, { __mapName: match.map, "player-1": { Kills: 10, Deaths: 10, __rounds: 20 } }])),
+  []
+);
+assert.equal(rankedMapStats.personalBests.bestMap.map, "Inferno");
+assert.equal(rankedMapStats.mapPerformance.find(map => map.map === "Inferno").winrateLower, 48);
+
+// ELO expectation: 200 below the opponents is a 24% chance, so 5 wins from 10 beat the 2.4 expected.
+const underdogMatches = [...Array(10).keys()].map(index => ({ id: `underdog-${index}`, win: index < 5 }));
+const expectationStats = stats.calculatePlayerStats(
+  "player-1",
+  underdogMatches.map(match => ({ match_id: match.id, results: { winner: match.win ? "faction2" : "faction1" }, teams: { faction1: { players: [] }, faction2: { players: [{ player_id: "player-1" }] } } }))
+    .concat({ match_id: "no-elo", results: { winner: "faction1" }, teams: { faction1: { players: [{ player_id: "player-1" }] } } }),
+  {
+    ...Object.fromEntries(underdogMatches.map(match => [match.id, { __mapName: "Ancient", __teams: { faction1: { name: "team_rival", averageElo: 2000, averageLevel: 9.4, premade: true }, faction2: { name: "team_one", averageElo: 1800 } }, "player-1": { Kills: 10, Deaths: 10, __rounds: 20 } }])),
+    "no-elo": { __mapName: "Ancient", "player-1": { Kills: 10, Deaths: 10, __rounds: 20 } }
+  },
+  []
+);
+assert.deepEqual(expectationStats.recent.expectation, {
+  matches: 10, wins: 5, expectedWins: 2.4, overperformance: 2.6,
+  underdog: { matches: 10, wins: 5 }, favourite: { matches: 0, wins: 0 }
+}, "matches without team ELOs are left out");
+assert.equal(expectationStats.matchHistory[0].winProbability, 0.24);
+assert.equal(expectationStats.matchHistory[0].opponentElo, 2000);
+assert.equal(expectationStats.matchHistory.at(-1).winProbability, null);
+assert.equal(expectationStats.matchHistory[0].opponentName, "team_rival");
+assert.equal(expectationStats.matchHistory[0].opponentLevel, 9.4);
+assert.equal(expectationStats.matchHistory[0].opponentPremade, true);
+assert.equal(expectationStats.matchHistory[0].opponentStrength, "stronger");
+assert.equal(expectationStats.matchHistory.at(-1).opponentStrength, null);
+const { stronger, equal: evenMatches } = expectationStats.opponentStrength;
+assert.deepEqual(
+  [stronger.matches, stronger.wins, stronger.winrate, stronger.winrateLower, stronger.avgOpponentElo, stronger.avgEloGap, stronger.expectedWins, stronger.premadeOpponents],
+  [10, 5, 50, 24, 2000, 200, 2.4, 10]
+);
+assert.equal(stronger.roundAdr, "0.0");
+assert.equal(stronger.kd, "1.00");
+assert.equal(evenMatches.matches, 0, "the match without team ELOs is in no bucket");
+assert.deepEqual(expectationStats.insights.filter(item => ["Underdog-Killer", "Über Erwartung"].includes(item.title)).map(item => item.text),
+  ["5 von 10 als Außenseiter gewonnen", "+2.6 Siege gegenüber der ELO-Erwartung"]);
 assert.equal(analyzedStats.teammates[0].avatar, "https://example.com/two.jpg");
 assert.equal(typeof analyzedStats.performanceProfile.consistency, "number");
 assert.equal(analyzedStats.performanceProfile.role.label, "Opener");